@@ -1,6 +1,75 @@
+export interface OccurrenceCall {
+    function: string | null;
+    /** Zero-based argument index */
+    argument: number;
+}
+
+export interface OccurrenceContext {
+    /** Innermost function call the placeholder is an argument of */
+    function: string | null;
+    /** Zero-based argument index in that call */
+    argument: number | null;
+    /** Operator the placeholder is an operand of, e.g. '>', '+', 'BETWEEN' */
+    operator: string | null;
+    side: 'left' | 'right' | 'lower' | 'upper' | null;
+    /** Grammar node of the slot the placeholder fills, e.g. 'argument' or 'result' for a comparison operand */
+    node: string | null;
+    /** Enclosing calls, outermost first */
+    path: OccurrenceCall[];
+}
+
 export interface VariablePosition {
     start: number;
     end: number;
+    /** Sub-path accessed on the root variable, e.g. 'room' for ${DEVICE.room} */
+    path?: string;
+    /** Present when extractVariables({ context: true }) is used */
+    context?: OccurrenceContext;
+    /** Variables of the ${#if} and ${#each} blocks the occurrence is nested in, outermost first */
+    conditions?: string[];
+    /** Set on the marker positions of a block variable */
+    block?: 'if' | 'each';
+    /** Loop variable of an ${#each} marker */
+    item?: string;
+    /** Set when the occurrence is a ${NAME...} spread */
+    spread?: boolean;
+    /** Set when the occurrence came from an included fragment */
+    include?: IncludeSource;
+    /** Filters applied at this occurrence, set when it has any */
+    filters?: string[];
+    filterCalls?: TemplateFilterCall[];
+    /** Type the chain produces, null when it depends on an undeclared input type or rejects the declared one */
+    outputType?: VariableType | null;
+}
+
+export interface FilterChain {
+    filters: string[];
+    filterCalls: TemplateFilterCall[];
+    outputType: VariableType | null;
+}
+
+export interface IncludeSource {
+    /** Innermost fragment the occurrence came from */
+    name: string;
+    /** Fragments included to reach it, outermost first */
+    path: string[];
+    /** Span within the fragment's text as registered */
+    start: number;
+    end: number;
+}
+
+export interface IncludeSegment {
+    start: number;
+    end: number;
+    path: string[];
+    offset: number;
+}
+
+export interface RuleTemplateParseOptions {
+    /** Companion manifest, overriding front-matter declarations */
+    manifest?: TemplateManifestData | TemplateManifest;
+    /** Fragments ${> NAME} includes are resolved from */
+    partials?: Record<string, string>;
 }
 
 export interface TemplateFilterCall {
@@ -12,6 +81,23 @@ export interface VariableInfo {
     name: string;
     filters: Array<string | TemplateFilterCall>;
     positions: VariablePosition[];
+    /** Distinct sub-paths accessed on the variable, when used as ${NAME.sub.path} */
+    paths?: string[];
+    /** Distinct filter chains the variable is used with, when any occurrence has filters */
+    chains?: FilterChain[];
+    /** Metadata declared for the variable in the template manifest */
+    type?: VariableType;
+    default?: any;
+    label?: string;
+    description?: string;
+    constraints?: VariableConstraints;
+}
+
+export type VariableType = 'string' | 'number' | 'boolean' | 'object' | 'time period' | 'time period ago' | 'time value' | 'number time' | 'string array' | 'number array' | 'boolean array' | 'object array';
+
+export interface VariableProperty {
+    type?: VariableType;
+    properties?: Record<string, VariableProperty>;
 }
 
 export interface VariableValue {
@@ -21,19 +107,208 @@ export interface VariableValue {
         ago?: [number, string];
     } | Record<string, any> | string[] | number[] | boolean[] | Record<string, any>[];
     filters?: string[];
-    type?: 'string' | 'number' | 'boolean' | 'object' | 'time period' | 'time period ago' | 'time value' | 'number time' | 'string array' | 'number array' | 'boolean array' | 'object array';
+    type?: VariableType;
+    /** Nested type metadata used to resolve dotted template paths */
+    properties?: Record<string, VariableProperty>;
 }
 
 export interface Variables {
     [key: string]: VariableValue;
 }
 
+export interface VariableConstraints {
+    min?: number;
+    max?: number;
+    enum?: any[];
+    pattern?: string;
+}
+
+export interface VariableDeclaration {
+    type?: VariableType;
+    default?: any;
+    label?: string;
+    description?: string;
+    constraints?: VariableConstraints;
+}
+
+export interface TemplateManifestData {
+    variables?: Record<string, VariableDeclaration>;
+}
+
+export class TemplateManifest {
+    variables: Record<string, VariableDeclaration>;
+
+    constructor(variables?: Record<string, VariableDeclaration>);
+
+    /**
+     * Split a leading JSON front-matter manifest from the template text
+     */
+    static extract(templateText: string): { manifest: TemplateManifest | null; body: string };
+
+    static from(data: TemplateManifestData | TemplateManifest): TemplateManifest;
+
+    static merge(base: TemplateManifestData | TemplateManifest | null | undefined, override: TemplateManifestData | TemplateManifest | null | undefined): TemplateManifest | null;
+
+    has(name: string): boolean;
+
+    get(name: string): VariableDeclaration | null;
+
+    resolveVariables(variables: Variables, options?: { defaults?: boolean }): Variables;
+
+    checkConstraints(name: string, varData: VariableValue): string | null;
+
+    describe(name: string): VariableDeclaration;
+
+    toJSON(): TemplateManifestData;
+}
+
+export type DiagnosticCode = 'INVALID_VARIABLES' | 'UNKNOWN_FILTER' | 'MISSING_VARIABLE' | 'INVALID_VARIABLE' | 'INVALID_TYPE' | 'INVALID_VALUE' | 'CONSTRAINT' | 'TYPE_MISMATCH' | 'INVALID_RULE' | 'UNKNOWN_FUNCTION' | 'ARITY' | 'ARGUMENT_TYPE' | 'EXPRESSION_TYPE' | 'DEPRECATED_FUNCTION';
+
+export type DiagnosticSeverity = 'error' | 'warning';
+
+export interface Diagnostic {
+    code: DiagnosticCode;
+    severity: DiagnosticSeverity;
+    message: string;
+    variable?: string;
+    function?: string;
+    start?: number;
+    end?: number;
+}
+
 export interface ValidationResult {
     valid: boolean;
+    /** Plain error messages, kept for compatibility */
     errors: string[];
+    /** Plain warning messages, kept for compatibility */
+    warnings: string[];
+    diagnostics: Diagnostic[];
+}
+
+export interface PrepareManyResult extends ValidationResult {
+    /** Position of the variable set in the input */
+    index: number;
+    /** The prepared text, null when the variable set failed */
+    prepared: string | null;
+}
+
+export interface DiffSpan {
+    start: number;
+    end: number;
+    text: string;
+}
+
+export interface TemplateChange {
+    kind: 'variable' | 'filter' | 'function' | 'structure';
+    change: 'added' | 'removed' | 'changed' | 'renamed';
+    /** Variable or function name */
+    name?: string;
+    /** Grammar node of a structural edit */
+    node?: string;
+    /** Span in the earlier revision's rule text, null when added */
+    before: DiffSpan | null;
+    /** Span in the later revision's rule text, null when removed */
+    after: DiffSpan | null;
+    /** Former name of a renamed function */
+    previousName?: string;
+    /** Filter chains of a changed filter */
+    filters?: { before: string[]; after: string[] };
+    /** Manifest declarations of a changed variable */
+    declaration?: { before: VariableDeclaration; after: VariableDeclaration };
+}
+
+export interface TemplateDiffResult {
+    equal: boolean;
+    changes: TemplateChange[];
+}
+
+export interface FingerprintOptions {
+    /** Number variables in order of first use instead of hashing their names */
+    ignoreVariableNames?: boolean;
+    /** Hash only the kind of each string, number, time and boolean literal */
+    ignoreLiterals?: boolean;
+}
+
+export interface FingerprintGroup {
+    fingerprint: string;
+    /** Templates as given */
+    templates: Array<RuleTemplate | string>;
+    /** Indexes of the templates in the list */
+    indexes: number[];
+}
+
+export interface FormatOptions {
+    /** Spaces per indentation level, 4 by default */
+    indent?: number;
+    /** Line length past which && and || chains are broken, 80 by default */
+    maxLength?: number;
+}
+
+export interface MatchDivergence {
+    message: string;
+    /** Template node where the trees diverge, positions are offsets into the template text */
+    template?: { start: number; end: number; text: string };
+    /** Rule node where the trees diverge, positions relative to the trimmed rule */
+    rule?: { start: number; end: number; text: string };
+}
+
+export interface MatchResult {
+    matched: boolean;
+    /** Recovered {value, type} for each placeholder, keyed by variable path */
+    variables: Variables;
+    divergence: MatchDivergence | null;
     warnings: string[];
 }
 
+/** AST node stored as [type, start, end, children?] */
+export type CompactASTNode = [string, number, number, CompactASTNode[]?];
+
+export interface FunctionCallInfo {
+    name: string;
+    start: number;
+    end: number;
+    arguments: string[];
+    /** Arguments that are ${NAME...} spreads and the variable each expands */
+    spread?: Array<{ argument: number; variable: string }>;
+}
+
+export interface SerializedRuleTemplate {
+    format: number;
+    /** Version of the grammar the AST was produced with */
+    grammar: string;
+    template: string;
+    manifest: TemplateManifestData | null;
+    ast: CompactASTNode;
+    variables: VariableInfo[];
+    functions: FunctionCallInfo[];
+    /** Rule text with includes expanded, present when the template has includes */
+    rule?: string;
+    /** Source map of the expanded rule, present when the template has includes */
+    includes?: IncludeSegment[];
+}
+
+export interface FunctionRewrite {
+    /** New function name, defaults to the current one */
+    name?: string;
+    /** Index of an existing argument to keep, or {value} text to insert, in order; unlisted arguments are dropped */
+    arguments?: Array<number | { value: string }>;
+}
+
+export interface FunctionRewriteChange {
+    function: string;
+    name: string;
+    start: number;
+    end: number;
+    before: string;
+    after: string;
+}
+
+export interface FunctionRewriteResult {
+    /** Rewritten template text, unchanged on a dry run */
+    text: string;
+    changes: FunctionRewriteChange[];
+}
+
 export interface VariableValidationResult {
     valid: boolean;
     error?: string;
@@ -66,35 +341,129 @@ export interface TemplateFiltersType {
     [key: string]: FilterFunction;
 }
 
+export type FunctionArgumentType = 'string' | 'number' | 'number time' | 'time value' | 'boolean' | 'array' | 'any';
+
+export interface FunctionArgument {
+    /** Not needed for a variadic argument */
+    name?: string;
+    type?: FunctionArgumentType;
+    optional?: boolean;
+    /** Any number of further arguments of this type */
+    variadic?: boolean;
+}
+
 export interface HalleyFunctionDefinition {
     name: string;
+    /** Argument names, 'name?' when optional and '...' for any number of further arguments */
     arguments: string[];
+    /** Type of each argument, set for typed definitions */
+    argumentTypes?: FunctionArgumentType[];
+    returns?: FunctionArgumentType;
+    deprecated?: boolean;
+    /** Version the function was deprecated in */
+    since?: string;
+    /** Version the function will be removed in */
+    removedIn?: string;
+    /** Function name, or a rewrite in the form rewriteFunctions takes */
+    replacement?: string | FunctionRewrite;
+}
+
+export interface HalleyFunctionDefinitionData {
+    name: string;
+    arguments?: Array<string | FunctionArgument>;
+    returns?: FunctionArgumentType;
+    deprecated?: boolean;
+    since?: string | number;
+    removedIn?: string | number;
+    replacement?: string | FunctionRewrite;
+}
+
+export interface FunctionBlobChange {
+    change: 'removed' | 'renamed' | 'added' | 'arity' | 'optionality';
+    name: string;
+    message: string;
+    /** Whether the change can give a clean template new warnings */
+    breaking: boolean;
+    before: HalleyFunctionDefinition | null;
+    after: HalleyFunctionDefinition | null;
+    /** Added function a removed one was probably renamed to */
+    renamedTo?: string;
+    /** Name similarity between 0 and 1 of a renamed function */
+    similarity?: number;
+    /** 1-based parameter whose optionality changed */
+    parameter?: number;
+}
+
+export interface FunctionBlobComparison {
+    equal: boolean;
+    changes: FunctionBlobChange[];
+}
+
+export interface BrokenTemplate {
+    index: number;
+    template: RuleTemplate;
+    warnings: string[];
+    diagnostics: Diagnostic[];
 }
 
 export interface HalleyFunctionBlobData {
     _schema?: number;
     version?: string;
-    functions?: HalleyFunctionDefinition[];
+    functions?: HalleyFunctionDefinitionData[];
 }
 
 export class RuleTemplate {
     ruleTemplateText: string;
     ast: ASTNode;
+    manifest: TemplateManifest | null;
 
-    constructor(ruleTemplateText: string, ast: ASTNode);
+    constructor(ruleTemplateText: string, ast: ASTNode, manifest?: TemplateManifest | null);
 
     /**
      * Parse a rule template string and return a RuleTemplate instance
-     * @param ruleTemplate The template string to parse
+     * @param ruleTemplate The template string to parse, optionally starting with a front-matter manifest
+     * @param options Optional companion manifest, overriding front-matter declarations, and partials for ${> NAME} includes
      * @returns Instance with AST and template text
      */
-    static parse(ruleTemplate: string): RuleTemplate;
+    static parse(ruleTemplate: string, options?: RuleTemplateParseOptions): RuleTemplate;
+
+    /**
+     * Rehydrate a template serialized with toJSON() without constructing a parser
+     * @param data Serialized template, or its JSON string
+     * @returns Instance with AST and template text
+     */
+    static fromJSON(data: SerializedRuleTemplate | string): RuleTemplate;
+
+    /**
+     * Compare two revisions of a template by their ASTs, ignoring whitespace between tokens
+     * @param before Earlier revision, or its template text
+     * @param after Later revision, or its template text
+     */
+    static diff(before: RuleTemplate | string, after: RuleTemplate | string): TemplateDiffResult;
+
+    /**
+     * Group templates whose fingerprints match, in order of first appearance
+     * @param templates Templates, or their text
+     * @param options Options for fingerprint()
+     */
+    static groupByFingerprint(templates: Array<RuleTemplate | string>, options?: FingerprintOptions): FingerprintGroup[];
+
+    /**
+     * Version of the merged template grammar, stored in serialized templates
+     */
+    static getGrammarVersion(): string;
+
+    /**
+     * Serialize the template in a compact, versioned form
+     */
+    toJSON(): SerializedRuleTemplate;
 
     /**
      * Extract variables from the template using the AST
+     * @param options Set context to describe where each occurrence sits
      * @returns Array of {name, filters} objects
      */
-    extractVariables(): VariableInfo[];
+    extractVariables(options?: { context?: boolean }): VariableInfo[];
 
     /**
      * Extract function calls from the template using the AST
@@ -102,6 +471,12 @@ export class RuleTemplate {
      */
     extractFunctions(): string[];
 
+    /**
+     * Infer the variable types each placeholder can accept from its position in the AST
+     * @returns Object mapping variable names (including dotted paths) to compatible VariableTypes
+     */
+    inferVariableTypes(): Record<string, VariableType[]>;
+
     /**
      * Validate variable types against the AST
      * @param variables Object mapping variable names to {value, type} objects
@@ -109,13 +484,66 @@ export class RuleTemplate {
      */
     validate(variables: Variables, functionBlob?: HalleyFunctionBlob): ValidationResult;
 
+    /**
+     * Check only the template's function calls against a function blob, without any variables
+     * @param functionBlob Functions available on the hub
+     * @returns Object with validation results, function problems are warnings
+     */
+    validateFunctions(functionBlob: HalleyFunctionBlob): ValidationResult;
+
     /**
      * Prepare the template by replacing variables with their values
      * Applies any filters specified in the template (e.g., ${var|upper|trim})
      * @param variables Object mapping variable names to {value, type} objects
      * @returns The prepared rule string
      */
-    prepare(variables: Variables): string;
+    prepare(variables: Variables, options?: { partial?: false }): string;
+
+    /**
+     * Substitute only the supplied variables, keeping other placeholders verbatim
+     * @param variables Object mapping variable names to {value, type} objects
+     * @param options Partial preparation options
+     * @returns A new RuleTemplate that can be prepared again
+     */
+    prepare(variables: Variables, options: { partial: true }): RuleTemplate;
+
+    /**
+     * Prepare the template once per variable set, a set that fails does not stop the others
+     * @param variableSets Variable sets to prepare
+     * @returns One result per set, in order
+     */
+    prepareMany(variableSets: Variables[]): PrepareManyResult[];
+
+    /**
+     * Recover variable values by aligning a concrete rule with the template AST
+     * @param ruleText The concrete rule
+     * @returns Matched variables, or where the rule diverges from the template
+     */
+    match(ruleText: string): MatchResult;
+
+    /**
+     * Rename or migrate function calls throughout the template
+     * @param mapping Object mapping function names to a new name or a rewrite
+     * @param options Set dryRun to list the call sites without rewriting
+     * @returns The rewritten template text and each call site changed
+     */
+    rewriteFunctions(mapping: Record<string, string | FunctionRewrite>, options?: { dryRun?: boolean }): FunctionRewriteResult;
+
+    /** Rewrite calls to deprecated functions into the safe replacements the blob describes */
+    applyBlobFixes(functionBlob: HalleyFunctionBlob, options?: { dryRun?: boolean }): FunctionRewriteResult;
+
+    /**
+     * Regenerate the template from its AST in a canonical style
+     * @param options Spaces per indentation level, and the line length past which boolean chains are broken (0 never breaks)
+     * @returns Formatted template text, parsing to the same AST
+     */
+    format(options?: FormatOptions): string;
+
+    /**
+     * Hash the structure of the rule, ignoring whitespace between tokens
+     * @returns 8 character hex digest, the same in every runtime
+     */
+    fingerprint(options?: FingerprintOptions): string;
 
     /**
      * Helper method to validate if an AST node matches a variable type
@@ -141,7 +569,14 @@ export class GeneralTemplate {
 
     validate(): ValidationResult;
 
-    prepare(variables: Variables): string;
+    prepare(variables: Variables, options?: { partial?: false }): string;
+
+    prepare(variables: Variables, options: { partial: true }): GeneralTemplate;
+
+    prepareMany(variableSets: Variables[]): PrepareManyResult[];
+
+    /** Template text with placeholder spacing normalized */
+    format(): string;
 }
 
 export class HalleyFunctionBlob {
@@ -151,9 +586,91 @@ export class HalleyFunctionBlob {
 
     constructor(jsonData: HalleyFunctionBlobData);
 
-    static fromURL(url: string): Promise<HalleyFunctionBlob>;
+    /** Blob from its JSON text, throws when the text is not a JSON object */
+    static fromString(json: string): HalleyFunctionBlob;
+
+    /** Blob read from a JSON file, errors are prefixed with the file path */
+    static fromFile(filePath: string): Promise<HalleyFunctionBlob>;
+
+    /** Fetch a blob, file:// URLs are read from disk */
+    static fromURL(url: string, options?: { timeout?: number }): Promise<HalleyFunctionBlob>;
+
+    static ArgumentTypes: FunctionArgumentType[];
+
+    /** Functions removed, renamed, added or with changed arity or argument optionality between two releases */
+    static compare(oldBlob: HalleyFunctionBlob, newBlob: HalleyFunctionBlob): FunctionBlobComparison;
+
+    /** Templates without function warnings under the old blob that have some under the new one */
+    static brokenTemplates(templates: RuleTemplate[], oldBlob: HalleyFunctionBlob, newBlob: HalleyFunctionBlob): BrokenTemplate[];
+
+    validate(functionName: string, variables?: any[], argumentTypes?: Array<VariableType | FunctionArgumentType | null>): string[];
+
+    /**
+     * Check a function call against the blob
+     * @param variables The call's arguments, as values or argument text
+     * @param argumentTypes Type of each argument where known, otherwise literal values and text are typed by themselves
+     */
+    diagnose(functionName: string, variables?: any[], position?: { start?: number; end?: number }, argumentTypes?: Array<VariableType | FunctionArgumentType | null>): Diagnostic[];
+
+    /** Declared return type, null when the function or its return type is unknown */
+    returnType(functionName: string): FunctionArgumentType | null;
+
+    /** Rewrite replacing calls to a deprecated function, null when the blob describes no safe replacement */
+    safeReplacement(functionName: string): string | FunctionRewrite | null;
+}
+
+export interface FunctionBlobLoaderOptions {
+    /** Directory holding the last good copy of each URL, created when needed */
+    cacheDirectory: string;
+    /** Milliseconds per request, default 10000, 0 for none */
+    timeout?: number;
+    /** Further attempts after a failed request, default 1 */
+    retries?: number;
+}
+
+export type FunctionBlobSource = 'network' | 'not-modified' | 'cache' | 'file';
+
+export interface FunctionBlobLoadResult {
+    blob: HalleyFunctionBlob;
+    source: FunctionBlobSource;
+    /** The request failure a cached blob was served in place of */
+    error?: Error;
+    /** Why a fetched blob could not be written to the cache */
+    cacheError?: Error;
+}
+
+export class FunctionBlobLoader {
+    cacheDirectory: string;
+    timeout: number;
+    retries: number;
+    /** Where the blob of the last load to finish came from */
+    lastSource: FunctionBlobSource | null;
+    /** The request failure that load served a cached blob in place of */
+    lastError: Error | null;
+
+    constructor(options: FunctionBlobLoaderOptions);
+
+    /** Load a blob, serving the cached copy on a 304 or when the request fails */
+    load(url: string): Promise<HalleyFunctionBlob>;
+    /** Load a blob as load() does, returning where it came from, safe for concurrent loads */
+    loadWithSource(url: string): Promise<FunctionBlobLoadResult>;
+}
+
+export class TemplateDiagnostics {
+    static Codes: Readonly<Record<DiagnosticCode, DiagnosticCode>>;
+    static Severity: Readonly<{ ERROR: 'error'; WARNING: 'warning' }>;
+
+    diagnostics: Diagnostic[];
 
-    validate(functionName: string, variables?: any[]): string[];
+    static create(code: DiagnosticCode, severity: DiagnosticSeverity, message: string, details?: Partial<Pick<Diagnostic, 'variable' | 'function' | 'start' | 'end'>>): Diagnostic;
+    static toResult(diagnostics: Diagnostic[]): ValidationResult;
+    static messages(diagnostics: Diagnostic[], severity: DiagnosticSeverity): string[];
+
+    error(code: DiagnosticCode, message: string, details?: Partial<Pick<Diagnostic, 'variable' | 'function' | 'start' | 'end'>>): Diagnostic;
+    warning(code: DiagnosticCode, message: string, details?: Partial<Pick<Diagnostic, 'variable' | 'function' | 'start' | 'end'>>): Diagnostic;
+    add(diagnostic: Diagnostic): Diagnostic;
+    hasErrors(): boolean;
+    toResult(): ValidationResult;
 }
 
 export class VariableTemplate {
@@ -176,6 +693,79 @@ export class VariableTemplate {
     format(variableData: VariableValue | Variables): VariableValue;
 }
 
+export type TemplateKind = 'rule' | 'text' | 'variable';
+
+export type LibraryTemplate = RuleTemplate | GeneralTemplate | VariableTemplate;
+
+export interface TemplateLibraryEntry {
+    name: string;
+    version: string;
+    kind: TemplateKind;
+}
+
+export interface TemplateLibraryListOptions {
+    /** Only list templates of this kind */
+    kind?: TemplateKind;
+    /** Only list each template's latest version */
+    latest?: boolean;
+}
+
+export interface TemplateLibraryValidationResult extends TemplateLibraryEntry, ValidationResult {}
+
+export class TemplateLibrary {
+    static Kinds: TemplateKind[];
+
+    /**
+     * Load every NAME@VERSION.rule, .text and .variable file in a directory
+     * @param directory Directory path
+     * @param options Partials for rule template includes
+     */
+    static load(directory: string, options?: { partials?: Record<string, string> }): Promise<TemplateLibrary>;
+
+    /**
+     * Add a template, parsing text as the given kind ('rule' by default)
+     * @returns The stored template
+     */
+    add(name: string, version: string | number, template: LibraryTemplate | string, options?: { kind?: TemplateKind; partials?: Record<string, string> }): LibraryTemplate;
+
+    /**
+     * Look up a template, the latest version when no version is given
+     */
+    get(name: string, version?: string | number): LibraryTemplate | null;
+
+    has(name: string, version?: string | number): boolean;
+
+    /**
+     * Remove one version of a template, or every version when no version is given
+     */
+    remove(name: string, version?: string | number): boolean;
+
+    /**
+     * Versions stored for a template, oldest first
+     */
+    versions(name: string): string[];
+
+    list(options?: TemplateLibraryListOptions): TemplateLibraryEntry[];
+
+    /**
+     * Find the templates using a function and/or a variable
+     */
+    find(query: { function?: string; variable?: string }, options?: TemplateLibraryListOptions): TemplateLibraryEntry[];
+
+    validate(functionBlob: HalleyFunctionBlob, options?: TemplateLibraryListOptions): TemplateLibraryValidationResult[];
+
+    /**
+     * The templates validate() reports no errors or warnings for
+     */
+    available(functionBlob: HalleyFunctionBlob, options?: TemplateLibraryListOptions): TemplateLibraryEntry[];
+
+    /**
+     * Write every template to a directory, one file per version
+     * @returns Paths of the files written
+     */
+    save(directory: string): Promise<string[]>;
+}
+
 export class VariableValidate {
     static VariableTypes: string[];
     static validators: Record<string, (value: any) => VariableValidationResult>;
@@ -200,6 +790,34 @@ export interface IFailureTreeNode {
     children?: IFailureTreeNode[];
 }
 
+export class TemplateSyntaxError extends Error {
+    /** Zero-based offset of the failure in the text passed to parse() */
+    readonly offset: number;
+    readonly line: number;
+    readonly column: number;
+    /** Tokens the parser expected at the furthest failure point */
+    readonly expected: string[];
+    /** Text found at the failure point, null at end of input */
+    readonly found: string | null;
+    /** The ${...} placeholder the failure is inside, if any */
+    readonly placeholder: { start: number; end: number } | null;
+    /** Source lines with a caret under the failing column */
+    readonly excerpt: string;
+    /** Block states the failing variant was rendered with (conditions, element counts), null outside blocks */
+    readonly conditions: Record<string, boolean | number> | null;
+    readonly cause?: Error;
+
+    constructor(message: string, details?: Partial<Pick<TemplateSyntaxError, 'offset' | 'line' | 'column' | 'expected' | 'found' | 'placeholder' | 'excerpt' | 'conditions' | 'cause'>>);
+
+    static from(error: Error, source: string, baseOffset?: number, parsedText?: string, details?: { conditions?: Record<string, boolean | number> }): TemplateSyntaxError;
+
+    static at(source: string, offset: number, details?: { expected?: string[]; found?: string | null; conditions?: Record<string, boolean | number>; cause?: Error }): TemplateSyntaxError;
+
+    static locate(source: string, offset: number): { line: number; column: number };
+
+    static renderExcerpt(source: string, line: number, column: number): string;
+}
+
 export class ParsingError extends Error {
     readonly position: IParsingErrorPosition;
     readonly expected: string[];
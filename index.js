@@ -3,6 +3,11 @@ const GeneralTemplate = require('./src/GeneralTemplate');
 const HalleyFunctionBlob = require('./src/HalleyFunctionBlob');
 const VariableTemplate = require('./src/VariableTemplate');
 const VariableValidate = require('./src/VariableValidate');
+const TemplateDiagnostics = require('./src/TemplateDiagnostics');
+const TemplateManifest = require('./src/TemplateManifest');
+const TemplateSyntaxError = require('./src/TemplateSyntaxError');
+const TemplateLibrary = require('./src/TemplateLibrary');
+const FunctionBlobLoader = require('./src/FunctionBlobLoader');
 
 module.exports.RuleTemplate = RuleTemplate;
 module.exports.ParserRules = RuleTemplate.ParserRules;
@@ -12,3 +17,8 @@ module.exports.VariableValidate = VariableValidate;
 module.exports.GeneralTemplate = GeneralTemplate;
 module.exports.HalleyFunctionBlob = HalleyFunctionBlob;
 module.exports.VariableTemplate = VariableTemplate;
+module.exports.TemplateDiagnostics = TemplateDiagnostics;
+module.exports.TemplateManifest = TemplateManifest;
+module.exports.TemplateSyntaxError = TemplateSyntaxError;
+module.exports.TemplateLibrary = TemplateLibrary;
+module.exports.FunctionBlobLoader = FunctionBlobLoader;
\ No newline at end of file
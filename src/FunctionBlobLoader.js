@@ -0,0 +1,181 @@
+const HalleyFunctionBlob = require('./HalleyFunctionBlob');
+const TemplateHash = require('./TemplateHash');
+
+/*
+Loads function blobs over HTTP, keeping the last good copy of each URL on disk.
+
+Requests are conditional on the cached ETag and Last-Modified, a 304 serves the cached copy. When a
+request fails, times out or gets a server error after its retries, the cached copy is served instead,
+so offline hubs and build servers keep the blob they last saw. Without a cached copy the failure is
+thrown. file:// URLs are read directly and not cached. A cache that cannot be written does not fail
+the load, the fetched blob is still returned.
+*/
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_RETRIES = 1;
+
+// Keeps temporary cache files of concurrent writes apart within a process, the pid does across processes
+let TempFileCounter = 0;
+
+class FunctionBlobLoader {
+    /**
+     * @param {Object} options - {cacheDirectory, timeout, retries}
+     * cacheDirectory is created when needed, timeout is in milliseconds per request (default 10000, 0 for none)
+     * and retries is the number of further attempts after a failed request (default 1)
+     */
+    constructor(options = {}) {
+        if (!options || typeof options.cacheDirectory !== 'string' || !options.cacheDirectory.trim()) {
+            throw new Error('A cache directory must be provided');
+        }
+
+        const timeout = options.timeout === undefined ? DEFAULT_TIMEOUT : options.timeout;
+        const retries = options.retries === undefined ? DEFAULT_RETRIES : options.retries;
+        for (const [name, value] of [['timeout', timeout], ['retries', retries]]) {
+            if (!Number.isInteger(value) || value < 0) {
+                throw new Error(`Loader option '${name}' must be a non-negative integer`);
+            }
+        }
+
+        this.cacheDirectory = options.cacheDirectory;
+        this.timeout = timeout;
+        this.retries = retries;
+        // Where the blob of the last load to finish came from: 'network', 'not-modified', 'cache' or 'file'
+        this.lastSource = null;
+        // The request failure that load served a cached blob in place of
+        this.lastError = null;
+    }
+
+    /**
+     * Load a blob, falling back to the cached copy when the network fails
+     * lastSource and lastError describe the last load to finish, use loadWithSource() for concurrent loads.
+     * @param {string} url - Blob URL
+     * @returns {Promise<HalleyFunctionBlob>} The blob
+     * @throws {Error} When the request fails and no copy is cached
+     */
+    async load(url) {
+        const result = await this.loadWithSource(url);
+        this.lastSource = result.source;
+        this.lastError = result.error || null;
+        return result.blob;
+    }
+
+    /**
+     * Load a blob as load() does, returning where it came from alongside it
+     * @param {string} url - Blob URL
+     * @returns {Promise<Object>} {blob, source}, with error when a cached blob was served in place of a failed request
+     * and cacheError when a fetched blob could not be cached
+     * @throws {Error} When the request fails and no copy is cached
+     */
+    async loadWithSource(url) {
+        if (typeof url !== 'string' || !url.trim()) {
+            throw new Error('A function blob URL must be provided');
+        }
+
+        if (url.startsWith('file://')) {
+            return { blob: await HalleyFunctionBlob.fromURL(url), source: 'file' };
+        }
+
+        const cached = await this._readCache(url);
+        let result;
+        try {
+            result = await this._fetch(url, cached);
+        } catch (error) {
+            if (!cached) {
+                throw error;
+            }
+
+            return { blob: new HalleyFunctionBlob(cached.data), source: 'cache', error };
+        }
+
+        if (result.response.status === 304) {
+            return { blob: new HalleyFunctionBlob(cached.data), source: 'not-modified' };
+        }
+
+        const loaded = { blob: new HalleyFunctionBlob(result.data), source: 'network' };
+        try {
+            await this._writeCache(url, result);
+        } catch (error) {
+            loaded.cacheError = error;
+        }
+
+        return loaded;
+    }
+
+    async _fetch(url, cached) {
+        const headers = {};
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        }
+        if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+
+        let lastError = null;
+        for (let attempt = 0; attempt <= this.retries; attempt++) {
+            try {
+                const result = await HalleyFunctionBlob._request(url, { timeout: this.timeout, headers });
+                if (result.response.status === 304 && cached) {
+                    return result;
+                }
+
+                if (result.response.ok) {
+                    if (!result.data || typeof result.data !== 'object' || Array.isArray(result.data)) {
+                        throw new Error(`Function blob from '${url}' is not a JSON object`);
+                    }
+
+                    return result;
+                }
+
+                lastError = new Error(`Failed to fetch function blob from '${url}'`);
+                // Client errors will not change on a retry
+                if (result.response.status < 500) {
+                    break;
+                }
+            } catch (error) {
+                lastError = error;
+            }
+        }
+
+        throw lastError;
+    }
+
+    _cacheFile(url) {
+        return require('path').join(this.cacheDirectory, `${TemplateHash.hash(url)}.json`);
+    }
+
+    // The cached {url, etag, lastModified, fetchedAt, data} entry, null when missing or unreadable
+    async _readCache(url) {
+        const fs = require('fs').promises;
+        try {
+            const entry = JSON.parse(await fs.readFile(this._cacheFile(url), 'utf8'));
+            return entry && entry.url === url && entry.data && typeof entry.data === 'object' ? entry : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Written to a temporary file of its own first, so an interrupted or concurrent write leaves a whole copy
+    async _writeCache(url, { response, data }) {
+        const fs = require('fs').promises;
+        const header = name => (response.headers && typeof response.headers.get === 'function' ? response.headers.get(name) : null) || null;
+        const file = this._cacheFile(url);
+        const entry = {
+            url,
+            etag: header('etag'),
+            lastModified: header('last-modified'),
+            fetchedAt: new Date().toISOString(),
+            data
+        };
+
+        const temporaryFile = `${file}.${process.pid}-${++TempFileCounter}.tmp`;
+        await fs.mkdir(this.cacheDirectory, { recursive: true });
+        try {
+            await fs.writeFile(temporaryFile, JSON.stringify(entry));
+            await fs.rename(temporaryFile, file);
+        } catch (error) {
+            await fs.unlink(temporaryFile).catch(() => {});
+            throw error;
+        }
+    }
+}
+
+module.exports = FunctionBlobLoader;
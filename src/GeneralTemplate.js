@@ -1,4 +1,5 @@
 const TemplateFilters = require('./TemplateFilters');
+const TemplateDiagnostics = require('./TemplateDiagnostics');
 
 const FILTER_PATTERN = /([A-Za-z_][A-Za-z0-9_]*)(?:\((.*)\))?$/;
 
@@ -55,70 +56,147 @@ class GeneralTemplate {
     }
 
     validate() {
-        const errors = [];
-        const warnings = [];
-        const seenFilterErrors = new Set();
+        const diagnostics = new TemplateDiagnostics();
+        const pattern = /\$\{([^}]*)\}/g;
+
+        for (const match of this.templateText.matchAll(pattern)) {
+            const parsedExpression = this._parseTemplateExpression(match[1]);
+            if (!parsedExpression) {
+                continue;
+            }
 
-        for (const variableInfo of this.getVariables()) {
-            for (const filter of variableInfo.filters || []) {
+            for (const filter of parsedExpression.filters) {
                 const filterName = typeof filter === 'string' ? filter : filter?.name;
                 if (filterName && TemplateFilters[filterName]) {
                     continue;
                 }
 
-                const errorMessage = `Unknown filter '${filterName || filter}' for variable '${variableInfo.name}'`;
-                if (!seenFilterErrors.has(errorMessage)) {
-                    errors.push(errorMessage);
-                    seenFilterErrors.add(errorMessage);
+                const errorMessage = `Unknown filter '${filterName || filter}' for variable '${parsedExpression.name}'`;
+                if (!diagnostics.diagnostics.some(diagnostic => diagnostic.message === errorMessage)) {
+                    diagnostics.error(TemplateDiagnostics.Codes.UNKNOWN_FILTER, errorMessage, {
+                        variable: parsedExpression.name,
+                        start: match.index,
+                        end: match.index + match[0].length
+                    });
                 }
             }
         }
 
-        return {
-            valid: errors.length === 0,
-            errors,
-            warnings
-        };
+        return diagnostics.toResult();
     }
 
-    prepare(variables) {
+    // With options.partial, unsupplied placeholders are kept and a new GeneralTemplate is returned
+    prepare(variables, options = {}) {
         if (!variables || typeof variables !== 'object') {
             throw new Error('Variables must be provided as an object');
         }
 
-        return this.templateText.replace(/\$\{([^}]*)\}/g, (matchText, expression) => {
-            const parsedExpression = this._parseTemplateExpression(expression);
-            if (!parsedExpression) {
-                return matchText;
+        const { literals, slots } = this._getPlan();
+        const prepared = slots.reduce((text, slot, index) => text + this._prepareSlot(slot, variables, options) + literals[index + 1], literals[0]);
+
+        if (options.partial) {
+            return new GeneralTemplate(prepared);
+        }
+
+        return prepared;
+    }
+
+    /**
+     * Prepare the template once per variable set, a set that fails does not stop the others
+     * @param {Array} variableSets - Array of objects mapping variable names to {value, type} objects
+     * @returns {Array} One {index, valid, prepared, errors, warnings, diagnostics} result per set, in order,
+     * prepared is the text or null when the set failed, whose diagnostic names the variable and placeholder it failed at
+     */
+    prepareMany(variableSets) {
+        return TemplateDiagnostics.prepareEach(variableSets, variables => this.prepare(variables));
+    }
+
+    /**
+     * Normalize placeholder spacing, ${ NAME | filter( a ,b ) } becomes ${NAME|filter(a, b)}
+     * Text outside placeholders is left as written, so the template prepares to the same output
+     * @returns {string} Formatted template text
+     */
+    format() {
+        return this.templateText.replace(/\$\{([^}]*)\}/g, (match, expression) => {
+            if (!this._parseTemplateExpression(expression)) {
+                return match;
             }
 
-            const varName = parsedExpression.name;
-            if (!Object.prototype.hasOwnProperty.call(variables, varName)) {
-                throw new Error(`Variable '${varName}' not provided in variables object`);
+            const segments = expression.split('|').map(s => s.trim()).filter(Boolean).map(segment => {
+                const call = /^([A-Za-z_][A-Za-z0-9_]*)\((.*)\)$/.exec(segment);
+                if (!call || !call[2].trim()) {
+                    return call ? `${call[1]}()` : segment;
+                }
+
+                return `${call[1]}(${call[2].split(',').map(arg => arg.trim()).join(', ')})`;
+            });
+
+            return `\${${segments.join('|')}}`;
+        });
+    }
+
+    // The text split around its placeholders, parsed once: {literals, slots}, literals holds one more entry than slots
+    _getPlan() {
+        if (!this._plan || this._plan.text !== this.templateText) {
+            const plan = { text: this.templateText, literals: [], slots: [] };
+            let lastIndex = 0;
+            for (const match of this.templateText.matchAll(/\$\{([^}]*)\}/g)) {
+                plan.literals.push(this.templateText.substring(lastIndex, match.index));
+                plan.slots.push({ text: match[0], start: match.index, expression: this._parseTemplateExpression(match[1]) });
+                lastIndex = match.index + match[0].length;
             }
 
-            let varData = variables[varName];
-            if (typeof varData !== 'object' || !Object.prototype.hasOwnProperty.call(varData, 'value')) {
-                throw new Error(`Variable '${varName}' must be an object with 'value' property`);
+            plan.literals.push(this.templateText.substring(lastIndex));
+            this._plan = plan;
+        }
+
+        return this._plan;
+    }
+
+    _prepareSlot(slot, variables, options) {
+        try {
+            return this._replaceSlot(slot, variables, options);
+        } catch (error) {
+            throw Object.assign(error, { variable: slot.expression.name, start: slot.start, end: slot.start + slot.text.length });
+        }
+    }
+
+    _replaceSlot(slot, variables, options) {
+        const { expression: parsedExpression, text: matchText } = slot;
+        if (!parsedExpression) {
+            return matchText;
+        }
+
+        const varName = parsedExpression.name;
+        if (!Object.prototype.hasOwnProperty.call(variables, varName)) {
+            if (options.partial) {
+                return matchText;
             }
 
-            varData = Object.assign({}, varData);
+            throw new Error(`Variable '${varName}' not provided in variables object`);
+        }
+
+        let varData = variables[varName];
+        if (typeof varData !== 'object' || !Object.prototype.hasOwnProperty.call(varData, 'value')) {
+            throw new Error(`Variable '${varName}' must be an object with 'value' property`);
+        }
 
-            if (parsedExpression.filters && parsedExpression.filters.length > 0) {
-                for (const filter of parsedExpression.filters) {
-                    const filterName = typeof filter === 'string' ? filter : filter?.name;
-                    const filterArgs = typeof filter === 'string' ? [] : (Array.isArray(filter?.args) ? filter.args : []);
+        varData = Object.assign({}, varData);
 
-                    if (!filterName || !TemplateFilters[filterName]) {
-                        throw new Error(`Unknown filter '${filterName || filter}'`);
-                    }
+        if (parsedExpression.filters && parsedExpression.filters.length > 0) {
+            for (const filter of parsedExpression.filters) {
+                const filterName = typeof filter === 'string' ? filter : filter?.name;
+                const filterArgs = typeof filter === 'string' ? [] : (Array.isArray(filter?.args) ? filter.args : []);
 
-                    TemplateFilters[filterName](varData, ...filterArgs);
+                if (!filterName || !TemplateFilters[filterName]) {
+                    throw new Error(`Unknown filter '${filterName || filter}'`);
                 }
+
+                TemplateFilters[filterName](varData, ...filterArgs);
             }
+        }
 
-            return this._serializeVariable(varData);
-        });
+        return this._serializeVariable(varData);
     }
 
     _parseTemplateExpression(expression) {
@@ -0,0 +1,194 @@
+/*
+Works out what the grammar expected where a parse failed.
+
+The ebnf parser only reports that input was left over, or nothing at all. This walks the same rules
+with the parser's semantics (ordered alternatives, greedy repetition, no backtracking into a
+repetition) and records every terminal tried at the furthest offset reached. Terminals inside a
+lexical rule, one built from terminals and fragments only, are described by that rule ("a number",
+"a unit"), except for the literals of UPPER_CASE rules such as GT or BETWEEN,
+which are given as written. Whitespace is only reported when nothing else was expected.
+*/
+const UPPER_SNAKE = /^[A-Z0-9_]+$/;
+const DECORATION = /(\?|\+|\*)$/;
+
+// What each lexical rule is called in messages, rules not listed are given by name
+const TokenDescriptions = {
+    fname: 'a function name',
+    number: 'a number',
+    number_tod: 'a time of day',
+    string: 'a string',
+    unit: 'a unit',
+    IDENT: 'a name',
+    HEXDIG: 'a hex digit',
+    true: '"true"',
+    false: '"false"',
+    null: '"null"'
+};
+
+class GrammarExpectations {
+    /**
+     * @param {Array} rules - Grammar rules in the form the ebnf Parser takes
+     */
+    constructor(rules) {
+        this.rules = new Map(rules.map(rule => [rule.name, rule]));
+        this._lexical = new Map();
+    }
+
+    /**
+     * Find the furthest offset the grammar reaches in the text and the tokens expected there
+     * @param {string} text - Text that failed to parse
+     * @param {string} startRule - Rule the text was parsed as
+     * @returns {Object|null} {offset, expected}, null when the text parses in full
+     */
+    furthestFailure(text, startRule) {
+        const state = { text, memo: new Map(), offset: -1, expected: [] };
+        if (this._matchRule(startRule, 0, state, null) === text.length) {
+            return null;
+        }
+
+        const expected = state.expected.filter(token => token !== 'whitespace');
+        return { offset: state.offset, expected: expected.length > 0 ? expected : state.expected };
+    }
+
+    // End offset of the rule matched at pos, or -1
+    _matchRule(name, pos, state, lexical) {
+        const key = `${name}@${pos}`;
+        if (state.memo.has(key)) {
+            return state.memo.get(key);
+        }
+
+        const rule = this.rules.get(name);
+        const named = name === 'WS' ? name : lexical || (this._isLexical(name) && !name.startsWith('%') ? name : null);
+        let end = -1;
+        for (const alternative of rule.bnf) {
+            end = this._matchSequence(alternative, pos, state, named);
+            if (end !== -1) {
+                break;
+            }
+        }
+
+        state.memo.set(key, end);
+        return end;
+    }
+
+    // An alternative matches when every required item does and at least one item matched
+    _matchSequence(items, pos, state, lexical) {
+        let current = pos;
+        let matchedAny = false;
+
+        for (const item of items) {
+            if (item instanceof RegExp) {
+                const end = this._matchTerminal(item, current, state, lexical);
+                if (end === -1) {
+                    return -1;
+                }
+
+                current = end;
+                matchedAny = true;
+                continue;
+            }
+
+            const decoration = (DECORATION.exec(item) || [''])[0];
+            const name = item.replace(DECORATION, '');
+            let found = false;
+            for (;;) {
+                const end = name[0] === '"' || name[0] === "'"
+                    ? this._matchTerminal(GrammarExpectations._literal(name), current, state, lexical)
+                    : this._matchRule(name, current, state, lexical);
+                if (end === -1) {
+                    break;
+                }
+
+                found = true;
+                const moved = end !== current;
+                current = end;
+                if (!moved || (decoration !== '*' && decoration !== '+') || current >= state.text.length) {
+                    break;
+                }
+            }
+
+            if (!found && decoration !== '?' && decoration !== '*') {
+                return -1;
+            }
+
+            matchedAny = matchedAny || found;
+        }
+
+        return matchedAny ? current : -1;
+    }
+
+    _matchTerminal(terminal, pos, state, lexical) {
+        const rest = state.text.substring(pos);
+        let length = -1;
+        if (typeof terminal === 'string') {
+            length = rest.startsWith(terminal) ? terminal.length : -1;
+        } else {
+            const match = terminal.exec(rest);
+            length = match && match.index === 0 && match[0].length > 0 ? match[0].length : -1;
+        }
+
+        if (length !== -1) {
+            return pos + length;
+        }
+
+        if (pos > state.offset) {
+            state.offset = pos;
+            state.expected = [];
+        }
+
+        const description = GrammarExpectations._describe(terminal, lexical);
+        if (pos === state.offset && !state.expected.includes(description)) {
+            state.expected.push(description);
+        }
+
+        return -1;
+    }
+
+    // Made of terminals, directly or through fragments; fragments and UPPER_CASE rules may also use UPPER_CASE lexical rules
+    _isLexical(name, seen = new Set()) {
+        if (this._lexical.has(name)) {
+            return this._lexical.get(name);
+        }
+
+        seen.add(name);
+        const token = name.startsWith('%') || UPPER_SNAKE.test(name);
+        const lexical = this.rules.get(name).bnf.every(alternative => alternative.every(item => {
+            if (item instanceof RegExp) {
+                return true;
+            }
+
+            const itemName = item.replace(DECORATION, '');
+            if (itemName[0] === '"' || itemName[0] === "'") {
+                return true;
+            }
+
+            return (itemName.startsWith('%') || (token && UPPER_SNAKE.test(itemName))) && !seen.has(itemName) && this.rules.has(itemName) && this._isLexical(itemName, seen);
+        }));
+
+        seen.delete(name);
+        this._lexical.set(name, lexical);
+        return lexical;
+    }
+
+    static _literal(item) {
+        return item[0] === '"' ? JSON.parse(item) : item.slice(1, -1).replace(/\\'/g, "'");
+    }
+
+    static _describe(terminal, lexical) {
+        if (lexical === 'WS') {
+            return 'whitespace';
+        }
+
+        if (typeof terminal === 'string' && (!lexical || UPPER_SNAKE.test(lexical))) {
+            return JSON.stringify(terminal);
+        }
+
+        if (lexical && Object.prototype.hasOwnProperty.call(TokenDescriptions, lexical)) {
+            return TokenDescriptions[lexical];
+        }
+
+        return lexical || String(terminal);
+    }
+}
+
+module.exports = GrammarExpectations;
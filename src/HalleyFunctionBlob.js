@@ -1,3 +1,40 @@
+const TemplateDiagnostics = require('./TemplateDiagnostics');
+
+const { Codes, Severity } = TemplateDiagnostics;
+
+/*
+Arguments are listed as names, 'name?' for an optional argument and '...' for any number of
+further arguments. A typed blob lists objects instead, {name, type, optional, variadic}, and
+may declare each function's `returns` type. Each argument type lists the VariableTypes it accepts,
+'any' accepts every value.
+
+A deprecated function is marked `deprecated: true` and may give the version it was deprecated `since`,
+the version it is `removedIn` and its `replacement`: a function name, or {name, arguments} in the
+form RuleTemplate#rewriteFunctions takes.
+*/
+const ArgumentTypes = Object.freeze({
+    'any': null,
+    'string': ['string'],
+    'number': ['number'],
+    'number time': ['number', 'number time'],
+    'time value': ['time value'],
+    'boolean': ['boolean'],
+    'array': ['array', 'string array', 'number array', 'boolean array', 'object array']
+});
+
+// Types of literal argument text, for callers passing the text of each argument
+const LiteralPatterns = [
+    { type: 'string', pattern: /^(?:"(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')$/ },
+    { type: 'number', pattern: /^-?\d+(?:\.\d+)?$/ },
+    { type: 'number time', pattern: /^-?\d+(?:\.\d+)?\s+[A-Za-z]+$/ },
+    { type: 'time value', pattern: /^\d{1,2}:\d{2}$/ },
+    { type: 'boolean', pattern: /^(?:true|false)$/ },
+    { type: 'array', pattern: /^\[[\s\S]*\]$/ }
+];
+
+// Lowest name similarity at which a removed function is reported as renamed to an added one
+const RenameSimilarity = 0.6;
+
 class HalleyFunctionBlob {
     constructor(jsonData) {
         const blobData = jsonData && typeof jsonData === 'object' ? jsonData : {};
@@ -13,39 +50,252 @@ class HalleyFunctionBlob {
                 continue;
             }
 
+            const argumentList = (Array.isArray(definition.arguments) ? definition.arguments : [])
+                .map(argument => HalleyFunctionBlob._normalizeArgument(argument))
+                .filter(Boolean);
+
             const normalizedDefinition = {
                 name: definition.name,
-                arguments: Array.isArray(definition.arguments) ? definition.arguments.slice() : []
+                arguments: argumentList.map(argument => argument.name)
             };
 
+            // Types are only kept for typed blobs, plain definitions stay {name, arguments}
+            if (argumentList.some(argument => argument.typed)) {
+                normalizedDefinition.argumentTypes = argumentList.map(argument => argument.type);
+            }
+
+            if (HalleyFunctionBlob._isArgumentType(definition.returns)) {
+                normalizedDefinition.returns = definition.returns;
+            }
+
+            if (definition.deprecated) {
+                Object.assign(normalizedDefinition, HalleyFunctionBlob._normalizeDeprecation(definition));
+            }
+
             this.functions.push(normalizedDefinition);
             this.functionMap.set(normalizedDefinition.name, normalizedDefinition);
         }
     }
 
-    static async fromURL(url) {
+    /**
+     * Construct a blob from its JSON text
+     * @param {string} json - Blob JSON
+     * @returns {HalleyFunctionBlob} The blob
+     * @throws {Error} When the text is not a JSON object
+     */
+    static fromString(json) {
+        if (typeof json !== 'string') {
+            throw new Error('Function blob JSON must be provided as a string');
+        }
+
+        let blobData;
+        try {
+            blobData = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Function blob is not valid JSON: ${error.message}`);
+        }
+
+        if (!blobData || typeof blobData !== 'object' || Array.isArray(blobData)) {
+            throw new Error('Function blob must be a JSON object');
+        }
+
+        return new HalleyFunctionBlob(blobData);
+    }
+
+    /**
+     * Read a blob from a JSON file
+     * @param {string} filePath - Path of the file
+     * @returns {Promise<HalleyFunctionBlob>} The blob
+     * @throws {Error} When the file cannot be read or is not a JSON object, naming the file
+     */
+    static async fromFile(filePath) {
+        if (typeof filePath !== 'string' || !filePath.trim()) {
+            throw new Error('A function blob file path must be provided');
+        }
+
+        const fs = require('fs').promises;
+        const text = await fs.readFile(filePath, 'utf8');
+        try {
+            return HalleyFunctionBlob.fromString(text);
+        } catch (error) {
+            error.message = `${filePath}: ${error.message}`;
+            throw error;
+        }
+    }
+
+    /**
+     * Fetch a blob, file:// URLs are read from disk
+     * @param {string} url - Blob URL
+     * @param {Object} [options] - Optional {timeout} in milliseconds
+     * @returns {Promise<HalleyFunctionBlob>} The blob
+     */
+    static async fromURL(url, options = {}) {
         if (typeof url !== 'string' || !url.trim()) {
             throw new Error('A function blob URL must be provided');
         }
 
-        if (typeof globalThis.fetch !== 'function') {
-            throw new Error('Fetch API is not available');
+        if (url.startsWith('file://')) {
+            return HalleyFunctionBlob.fromFile(require('url').fileURLToPath(url));
         }
 
-        const response = await globalThis.fetch(url);
+        const { response, data } = await HalleyFunctionBlob._request(url, options);
         if (!response || !response.ok) {
             throw new Error(`Failed to fetch function blob from '${url}'`);
         }
 
-        return new HalleyFunctionBlob(await response.json());
+        return new HalleyFunctionBlob(data);
+    }
+
+    // Fetch a URL with optional {timeout, headers}, data is the parsed body of an ok response and null otherwise
+    static async _request(url, options = {}) {
+        if (typeof globalThis.fetch !== 'function') {
+            throw new Error('Fetch API is not available');
+        }
+
+        const init = options.headers ? { headers: options.headers } : {};
+        const controller = options.timeout ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), options.timeout) : null;
+        if (controller) {
+            init.signal = controller.signal;
+        }
+
+        try {
+            const response = await globalThis.fetch(url, init);
+            const data = response && response.ok ? await response.json() : null;
+            return { response, data };
+        } catch (error) {
+            if (controller && controller.signal.aborted) {
+                throw new Error(`Fetching function blob from '${url}' timed out after ${options.timeout}ms`);
+            }
+
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
     }
 
-    validate(functionName, variables = []) {
+    /**
+     * Compare two releases of a function blob
+     * A removed function is reported as renamed when a function added in the new blob has a similar name.
+     * Changes that can turn a clean template into one with warnings are marked breaking.
+     * @param {HalleyFunctionBlob} oldBlob - Blob the templates were written against
+     * @param {HalleyFunctionBlob} newBlob - Blob being rolled out
+     * @returns {Object} {equal, changes: [{change, name, message, breaking, before, after, ...}]},
+     * change is 'removed', 'renamed', 'added', 'arity' or 'optionality', before and after are the definitions
+     */
+    static compare(oldBlob, newBlob) {
+        if (!(oldBlob instanceof HalleyFunctionBlob) || !(newBlob instanceof HalleyFunctionBlob)) {
+            throw new Error('Function blobs must be HalleyFunctionBlob instances');
+        }
+
+        const changes = [];
+        const removed = oldBlob.functions.filter(definition => !newBlob.functionMap.has(definition.name));
+        const added = newBlob.functions.filter(definition => !oldBlob.functionMap.has(definition.name));
+        const renamedTo = new Set();
+
+        for (const definition of removed) {
+            const candidate = added
+                .filter(other => !renamedTo.has(other.name))
+                .map(other => ({ definition: other, similarity: HalleyFunctionBlob._similarity(definition.name, other.name) }))
+                .filter(match => match.similarity >= RenameSimilarity)
+                .sort((a, b) => b.similarity - a.similarity)[0];
+
+            if (!candidate) {
+                changes.push({ change: 'removed', name: definition.name, message: `function '${definition.name}' was removed`, breaking: true, before: definition, after: null });
+                continue;
+            }
+
+            renamedTo.add(candidate.definition.name);
+            changes.push({
+                change: 'renamed',
+                name: definition.name,
+                renamedTo: candidate.definition.name,
+                similarity: candidate.similarity,
+                message: `function '${definition.name}' was removed, it may have been renamed to '${candidate.definition.name}'`,
+                breaking: true,
+                before: definition,
+                after: candidate.definition
+            });
+        }
+
+        for (const definition of added.filter(other => !renamedTo.has(other.name))) {
+            changes.push({ change: 'added', name: definition.name, message: `function '${definition.name}' was added`, breaking: false, before: null, after: definition });
+        }
+
+        for (const definition of oldBlob.functions) {
+            const newDefinition = newBlob.functionMap.get(definition.name);
+            if (newDefinition) {
+                changes.push(...newBlob._compareArguments(definition, newDefinition));
+            }
+        }
+
+        return { equal: changes.length === 0, changes };
+    }
+
+    /**
+     * Find the templates a new blob breaks: those without function warnings under the old blob and with some under the new one
+     * Deprecation warnings are not counted in either blob, a template calling a deprecated function breaks when it is removed.
+     * @param {Array} templates - RuleTemplate instances
+     * @param {HalleyFunctionBlob} oldBlob - Blob the templates were written against
+     * @param {HalleyFunctionBlob} newBlob - Blob being rolled out
+     * @returns {Array} [{index, template, warnings, diagnostics}] in input order, diagnostics give each call site's function, start and end
+     */
+    static brokenTemplates(templates, oldBlob, newBlob) {
+        if (!Array.isArray(templates)) {
+            throw new Error('Templates must be provided as an array');
+        }
+
+        const broken = [];
+        templates.forEach((template, index) => {
+            if (!template || typeof template.validateFunctions !== 'function') {
+                throw new Error(`Template at index ${index} must be a RuleTemplate`);
+            }
+
+            if (HalleyFunctionBlob._breakingDiagnostics(template.validateFunctions(oldBlob)).length > 0) {
+                return;
+            }
+
+            const diagnostics = HalleyFunctionBlob._breakingDiagnostics(template.validateFunctions(newBlob));
+            if (diagnostics.length > 0) {
+                broken.push({ index, template, warnings: diagnostics.map(diagnostic => diagnostic.message), diagnostics });
+            }
+        });
+
+        return broken;
+    }
+
+    // Deprecated functions still work, so their warnings do not make a template broken
+    static _breakingDiagnostics(result) {
+        return result.diagnostics.filter(diagnostic => diagnostic.severity === Severity.WARNING && diagnostic.code !== Codes.DEPRECATED_FUNCTION);
+    }
+
+    validate(functionName, variables = [], argumentTypes = []) {
+        return this.diagnose(functionName, variables, {}, argumentTypes).map(diagnostic => diagnostic.message);
+    }
+
+    /**
+     * Check a function call against the blob, returning structured warnings
+     * Arguments are checked against typed definitions by the types given, or else by their value: a
+     * JavaScript value, or argument text whose literal type is recognized. Anything else is not checked.
+     * @param {string} functionName - Name of the called function
+     * @param {Array} [variables] - The call's arguments
+     * @param {Object} [position] - Optional {start, end} offsets of the call in the template
+     * @param {Array} [argumentTypes] - Optional VariableType of each argument, null where unknown
+     * @returns {Array} Diagnostic objects with severity 'warning'
+     */
+    diagnose(functionName, variables = [], position = {}, argumentTypes = []) {
         const warnings = [];
+        const details = Object.assign({ function: functionName }, position);
         const functionDefinition = this.functionMap.get(functionName);
 
         if (!functionDefinition) {
-            return [`function '${functionName}' does not exist`];
+            return [
+                TemplateDiagnostics.create(Codes.UNKNOWN_FUNCTION, Severity.WARNING, `function '${functionName}' does not exist`, details)
+            ];
+        }
+
+        if (functionDefinition.deprecated) {
+            warnings.push(TemplateDiagnostics.create(Codes.DEPRECATED_FUNCTION, Severity.WARNING, HalleyFunctionBlob._deprecationMessage(functionDefinition), details));
         }
 
         const providedVariables = Array.isArray(variables) ? variables : [];
@@ -62,20 +312,288 @@ class HalleyFunctionBlob {
                 continue;
             }
 
-            warnings.push(
-                `parameter ${idx + 1} of ${functionName} '${argumentName}' is missing, function expects ${parameterRange}`
-            );
+            warnings.push(TemplateDiagnostics.create(
+                Codes.ARITY,
+                Severity.WARNING,
+                `parameter ${idx + 1} of ${functionName} '${argumentName}' is missing, function expects ${parameterRange}`,
+                details
+            ));
         }
 
         if (this._hasTooManyArguments(functionDefinition.arguments, providedCount)) {
-            warnings.push(
-                `${functionName} received ${providedCount} parameters, function expects ${parameterRange}`
-            );
+            warnings.push(TemplateDiagnostics.create(
+                Codes.ARITY,
+                Severity.WARNING,
+                `${functionName} received ${providedCount} parameters, function expects ${parameterRange}`,
+                details
+            ));
+        }
+
+        if (functionDefinition.argumentTypes) {
+            warnings.push(...this._diagnoseArgumentTypes(functionDefinition, providedVariables, argumentTypes || [], details));
+        }
+
+        return warnings;
+    }
+
+    /**
+     * The type a function returns
+     * @param {string} functionName - Function name
+     * @returns {string|null} Declared return type, or null when the function or its return type is unknown
+     */
+    returnType(functionName) {
+        const functionDefinition = this.functionMap.get(functionName);
+        return functionDefinition && functionDefinition.returns ? functionDefinition.returns : null;
+    }
+
+    /**
+     * The rewrite that replaces calls to a deprecated function, in the form RuleTemplate#rewriteFunctions takes
+     * A replacement is safe when its function is in the blob and accepts every call to the deprecated one
+     * rewritten by it: a plain rename needs the same or a wider argument range, an argument mapping
+     * must give at least the replacement's required arguments and no more than it accepts.
+     * A replacement that is itself deprecated is followed to the end of the chain, as far as each step is
+     * safe. Chains that loop back on themselves have no replacement.
+     * @param {string} functionName - Name of the deprecated function
+     * @returns {string|Object|null} New function name or {name, arguments}, null when there is no safe replacement
+     */
+    safeReplacement(functionName) {
+        const seen = new Set([functionName]);
+        let replacement = this._safeReplacementStep(functionName);
+        while (replacement) {
+            const name = typeof replacement === 'string' ? replacement : replacement.name;
+            if (seen.has(name)) {
+                return null;
+            }
+
+            seen.add(name);
+            const next = this._safeReplacementStep(name);
+            if (!next) {
+                return replacement;
+            }
+
+            replacement = HalleyFunctionBlob._chainReplacement(replacement, next);
+        }
+
+        return replacement;
+    }
+
+    // Rewrite as the first replacement, then the second
+    static _chainReplacement(first, second) {
+        const name = typeof second === 'string' ? second : second.name;
+        const firstArguments = typeof first === 'string' ? null : first.arguments;
+        const secondArguments = typeof second === 'string' ? null : second.arguments;
+        if (!secondArguments) {
+            return firstArguments ? { name, arguments: firstArguments } : name;
+        }
+
+        if (!firstArguments) {
+            return { name, arguments: secondArguments };
         }
 
+        // An index past the first mapping is an argument the intermediate call never has
+        const entries = secondArguments
+            .map(entry => typeof entry === 'number' ? firstArguments[entry] : entry)
+            .filter(entry => entry !== undefined);
+        return { name, arguments: entries };
+    }
+
+    _safeReplacementStep(functionName) {
+        const functionDefinition = this.functionMap.get(functionName);
+        const replacement = functionDefinition && functionDefinition.deprecated ? functionDefinition.replacement : null;
+        if (!replacement) {
+            return null;
+        }
+
+        const name = typeof replacement === 'string' ? replacement : replacement.name;
+        const target = this.functionMap.get(name);
+        if (!target || name === functionName) {
+            return null;
+        }
+
+        const oldBounds = this._getArgumentBounds(functionDefinition.arguments);
+        const newBounds = this._getArgumentBounds(target.arguments);
+        if (typeof replacement === 'string' || !replacement.arguments) {
+            return oldBounds.min >= newBounds.min && oldBounds.max <= newBounds.max ? name : null;
+        }
+
+        const entries = replacement.arguments;
+        const valid = entries.every(entry => (Number.isInteger(entry) && entry >= 0) || (entry && typeof entry === 'object' && typeof entry.value === 'string'));
+        // Inserted values and required arguments are always passed, optional ones only when the call has them
+        const alwaysPassed = entries.filter(entry => typeof entry !== 'number' || entry < oldBounds.min).length;
+        if (!valid || alwaysPassed < newBounds.min || entries.length > newBounds.max) {
+            return null;
+        }
+
+        return { name, arguments: entries };
+    }
+
+    _diagnoseArgumentTypes(functionDefinition, providedVariables, argumentTypes, details) {
+        const warnings = [];
+        const fixed = [];
+        functionDefinition.arguments.forEach((argumentName, index) => {
+            if (argumentName !== '...') {
+                fixed.push(index);
+            }
+        });
+        const variadicIndex = functionDefinition.arguments.indexOf('...');
+
+        providedVariables.forEach((value, idx) => {
+            const parameterIndex = idx < fixed.length ? fixed[idx] : variadicIndex;
+            if (parameterIndex === -1) {
+                return;
+            }
+
+            const expected = functionDefinition.argumentTypes[parameterIndex];
+            const actual = argumentTypes[idx] !== undefined && argumentTypes[idx] !== null ? argumentTypes[idx] : HalleyFunctionBlob._valueType(value);
+            if (!actual || ArgumentTypes[expected] === null || ArgumentTypes[expected].includes(actual)) {
+                return;
+            }
+
+            const parameter = idx < fixed.length ? ` '${functionDefinition.arguments[parameterIndex].replace(/\?$/, '')}'` : '';
+            warnings.push(TemplateDiagnostics.create(
+                Codes.ARGUMENT_TYPE,
+                Severity.WARNING,
+                `parameter ${idx + 1} of ${functionDefinition.name}${parameter} expects ${expected}, found ${actual}`,
+                details
+            ));
+        });
+
         return warnings;
     }
 
+    // Arity and per-parameter optionality changes of a function kept in the new blob
+    _compareArguments(before, after) {
+        const changes = [];
+        const oldBounds = this._getArgumentBounds(before.arguments);
+        const newBounds = this._getArgumentBounds(after.arguments);
+
+        if (oldBounds.min !== newBounds.min || oldBounds.max !== newBounds.max) {
+            changes.push({
+                change: 'arity',
+                name: after.name,
+                message: `${after.name} expects ${this._getParameterRange(after.arguments)}, previously ${this._getParameterRange(before.arguments)}`,
+                breaking: newBounds.min > oldBounds.min || newBounds.max < oldBounds.max,
+                before,
+                after
+            });
+        }
+
+        const count = Math.min(before.arguments.length, after.arguments.length);
+        for (let idx = 0; idx < count; idx++) {
+            const oldArgument = before.arguments[idx];
+            const newArgument = after.arguments[idx];
+            if (oldArgument === '...' || newArgument === '...' || oldArgument.endsWith('?') === newArgument.endsWith('?')) {
+                continue;
+            }
+
+            const optional = newArgument.endsWith('?');
+            changes.push({
+                change: 'optionality',
+                name: after.name,
+                parameter: idx + 1,
+                message: `parameter ${idx + 1} of ${after.name} '${newArgument.replace(/\?$/, '')}' is ${optional ? 'now optional' : 'no longer optional'}`,
+                breaking: !optional,
+                before,
+                after
+            });
+        }
+
+        return changes;
+    }
+
+    // 1 for equal names down to 0, from the edit distance between the lower-cased names
+    static _similarity(a, b) {
+        const left = a.toLowerCase();
+        const right = b.toLowerCase();
+        let previous = Array.from({ length: right.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= left.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= right.length; j++) {
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (left[i - 1] === right[j - 1] ? 0 : 1));
+            }
+            previous = current;
+        }
+
+        const longest = Math.max(left.length, right.length);
+        return longest === 0 ? 1 : Math.round((1 - previous[right.length] / longest) * 100) / 100;
+    }
+
+    static _normalizeDeprecation(definition) {
+        const deprecation = { deprecated: true };
+        for (const field of ['since', 'removedIn']) {
+            if (typeof definition[field] === 'string' || typeof definition[field] === 'number') {
+                deprecation[field] = String(definition[field]);
+            }
+        }
+
+        const replacement = definition.replacement;
+        if (typeof replacement === 'string' && replacement) {
+            deprecation.replacement = replacement;
+        } else if (replacement && typeof replacement === 'object' && typeof replacement.name === 'string') {
+            deprecation.replacement = Array.isArray(replacement.arguments)
+                ? { name: replacement.name, arguments: replacement.arguments }
+                : { name: replacement.name };
+        }
+
+        return deprecation;
+    }
+
+    static _deprecationMessage(functionDefinition) {
+        const { name, since, removedIn, replacement } = functionDefinition;
+        let message = `function '${name}' is deprecated`;
+        if (since) {
+            message += ` since ${since}`;
+        }
+
+        if (removedIn) {
+            message += `, it will be removed in ${removedIn}`;
+        }
+
+        if (replacement) {
+            message += `, use '${typeof replacement === 'string' ? replacement : replacement.name}' instead`;
+        }
+
+        return message;
+    }
+
+    static _normalizeArgument(argument) {
+        if (typeof argument === 'string') {
+            return { name: argument, type: 'any', typed: false };
+        }
+
+        if (!argument || typeof argument !== 'object' || (typeof argument.name !== 'string' && !argument.variadic)) {
+            return null;
+        }
+
+        let name = argument.variadic ? '...' : argument.name;
+        if (argument.optional && !argument.variadic && !name.endsWith('?')) {
+            name += '?';
+        }
+
+        return { name, type: HalleyFunctionBlob._isArgumentType(argument.type) ? argument.type : 'any', typed: true };
+    }
+
+    static _isArgumentType(type) {
+        return typeof type === 'string' && Object.prototype.hasOwnProperty.call(ArgumentTypes, type);
+    }
+
+    static _valueType(value) {
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return typeof value;
+        }
+
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const literal = LiteralPatterns.find(entry => entry.pattern.test(value.trim()));
+        return literal ? literal.type : null;
+    }
+
     _hasTooManyArguments(argumentList, providedCount) {
         const { max } = this._getArgumentBounds(argumentList);
         return max !== Infinity && providedCount > max;
@@ -123,4 +641,6 @@ class HalleyFunctionBlob {
     }
 }
 
+HalleyFunctionBlob.ArgumentTypes = Object.keys(ArgumentTypes);
+
 module.exports = HalleyFunctionBlob;
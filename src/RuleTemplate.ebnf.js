@@ -6,15 +6,18 @@ const grammar = `
     PIPE                 ::= "|"
     IDENT                ::= [A-Za-z_][A-Za-z0-9_]*
     DOT                  ::= "."
+    ELLIPSIS             ::= "..."
 
     template_value       ::= TEMPLATE_BEGIN WS* template_expr WS* TEMPLATE_END
 
-    template_expr        ::= template_path (WS* template_pipe WS* template_filter_call)*
+    template_expr        ::= template_path (WS* template_pipe WS* template_filter_call)* (WS* template_spread)?
 
     template_pipe        ::= PIPE
 
     template_path        ::= IDENT (WS* DOT WS* IDENT)*
 
+    template_spread      ::= ELLIPSIS
+
     template_filter_call ::= template_filter_name (WS* BEGIN_ARGUMENT WS* template_filter_args? WS* END_ARGUMENT)?
 
     template_filter_name ::= IDENT
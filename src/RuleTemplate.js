@@ -2,11 +2,42 @@
 const TemplateGrammar = require('./RuleTemplate.ebnf'),
       TemplateFilters = require('./TemplateFilters'),
     VariableValidate = require('./VariableValidate'),
+      TemplateDiagnostics = require('./TemplateDiagnostics'),
+      TemplateManifest = require('./TemplateManifest'),
+      TemplateHash = require('./TemplateHash'),
+      TemplateSyntaxError = require('./TemplateSyntaxError'),
+      TemplateBlocks = require('./TemplateBlocks'),
+      TemplateIncludes = require('./TemplateIncludes'),
+      TemplateDiff = require('./TemplateDiff'),
+      GrammarExpectations = require('./GrammarExpectations'),
       RuleParser = require('@halleyassist/rule-parser'),
       RuleParserRules = RuleParser.ParserRules,
       {Parser} = require('ebnf');
 
 let ParserCache = null;
+let GrammarVersion = null;
+let Expectations = null;
+
+// Bumped whenever the toJSON() layout changes
+const SerializationFormat = 2;
+
+// Every combination of block states is parsed, so their number is capped
+const MaxBlockCombinations = 1024;
+
+const ArrayElementTypes = {
+    'string array': 'string',
+    'number array': 'number',
+    'boolean array': 'boolean',
+    'object array': 'object'
+};
+
+const Codes = TemplateDiagnostics.Codes;
+
+const variableError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
 
 const VariableTypes = [
     'string',
@@ -38,6 +69,203 @@ const AllowedTypeMapping = {
     'object array': ['object_array']
 };
 
+// Nodes a placeholder may fill when inferring its type: a number followed by a unit also sits in a
+// number_time_atom. Kept apart from AllowedTypeMapping so validateVariableNode is unchanged.
+const SlotTypeMapping = Object.assign({}, AllowedTypeMapping, {
+    'number': AllowedTypeMapping['number'].concat('number_time_atom'),
+    'number time': AllowedTypeMapping['number time'].concat('number_time_atom')
+});
+
+// Type produced by each built-in filter, used to type-check placeholders without running the chain.
+// Filters not listed here (custom filters) leave the resulting type unknown; 'default' keeps the input type.
+const FilterOutputTypes = {
+    'string': 'string',
+    'upper': 'string',
+    'lower': 'string',
+    'capitalize': 'string',
+    'title': 'string',
+    'trim': 'string',
+    'number': 'number',
+    'boolean': 'boolean',
+    'abs': 'number',
+    'round': 'number',
+    'floor': 'number',
+    'ceil': 'number',
+    'humanise_list': 'string',
+    'humanise_time': 'string',
+    'time_start': 'time value',
+    'time_end': 'time value'
+};
+
+const FilterInputTypes = {
+    'time_start': ['time period', 'time period ago'],
+    'time_end': ['time period', 'time period ago']
+};
+
+// Positions where any variable type is acceptable (function arguments are untyped)
+const UntypedSlots = ['argument', 'template_filter_arg'];
+
+// format() layout: spaces per indent and the line length past which boolean chains are broken
+const FormatDefaults = { indent: 4, maxLength: 80 };
+
+// Nodes a broken boolean chain may continue through, chains inside arguments and values stay on one line
+const ChainNodes = ['statement', 'expression', 'parenthesis_expression', 'not_expression'];
+
+// Syntax between nodes: block markers, brackets and separators, or keywords such as BETWEEN and IN
+const GapTokenPattern = /\$\{[^}]*\}|[()[\]{},:!]|[^\s()[\]{},:!]+/g;
+const OpeningTokens = ['(', '[', '{', '!'];
+const ClosingTokens = [')', ']', '}', ',', ':'];
+
+// Expression type checks: nodes that are operators rather than operands, and what each operator accepts
+const OperatorNodes = ['logical_operator', 'compare_operator', 'math_operator', 'fname'];
+const NumericTypes = ['number', 'number time'];
+const OrderedTypes = ['number', 'number time', 'time value'];
+const OrderingOperators = ['<', '<=', '>', '>='];
+
+// fingerprint() with ignoreLiterals keeps only the kind of each literal
+const LiteralKinds = {
+    'string': 'string',
+    'number': 'number',
+    'number_tod': 'time',
+    'true': 'boolean',
+    'false': 'boolean',
+    'null': 'null'
+};
+
+// The variable an ${#if} or ${#each} marker reads, and an ${#each} loop variable
+const BlockVariablePattern = /(\$\{\s*#(?:if|each)\s+)([A-Za-z_][A-Za-z0-9_]*)(?:(\s+as\s+)([A-Za-z_][A-Za-z0-9_]*))?/g;
+
+const findDescendants = (node, type, found = []) => {
+    for (const child of (node.children || [])) {
+        if (child.type === type) {
+            found.push(child);
+        } else {
+            findDescendants(child, type, found);
+        }
+    }
+
+    return found;
+};
+
+// The template_value node an argument consists of when it is a ${NAME...} spread, otherwise null
+const getSpreadPlaceholder = (argument) => {
+    let node = argument;
+    while (node.type !== 'template_value' && node.children && node.children.length === 1) {
+        node = node.children[0];
+    }
+
+    const templateExpr = node.type === 'template_value' ? node.children?.find(c => c.type === 'template_expr') : null;
+    return templateExpr && templateExpr.children?.some(c => c.type === 'template_spread') ? node : null;
+};
+
+const decodeJson = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+};
+
+const decodeTimePeriod = (node) => {
+    const tods = findDescendants(node, 'tod_atom');
+    if (tods.length !== 2) {
+        return null;
+    }
+
+    return { from: tods[0].text.trim(), to: tods[1].text.trim() };
+};
+
+const inferArrayType = (items) => {
+    for (const type of ['string', 'number', 'boolean']) {
+        if (items.length && items.every(item => typeof item === type)) {
+            return `${type} array`;
+        }
+    }
+
+    if (items.length && items.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+        return 'object array';
+    }
+
+    return null;
+};
+
+// Property metadata for a plain value, for object values supplied without a `properties` descriptor
+const inferProperties = (value) => {
+    const properties = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (Array.isArray(item)) {
+            const type = inferArrayType(item);
+            if (type) {
+                properties[key] = { type };
+            }
+        } else if (item && typeof item === 'object') {
+            properties[key] = { type: 'object', properties: inferProperties(item) };
+        } else if (['string', 'number', 'boolean'].includes(typeof item)) {
+            properties[key] = { type: typeof item };
+        }
+    }
+
+    return properties;
+};
+
+// The variable an ${#each} loop variable is bound to for one element. Object elements carry the
+// array's `properties`, or ones read off the element, so dotted paths into them resolve.
+const bindElement = (element, arrayData) => {
+    const binding = { value: element, type: ArrayElementTypes[arrayData.type] };
+    if (binding.type === 'object' && element && typeof element === 'object') {
+        binding.properties = arrayData.properties || inferProperties(element);
+    }
+
+    return binding;
+};
+
+// Read a variable's {value, type} back out of the literal a concrete rule has in its place.
+// Each decoder returns null when the literal cannot have come from a single variable.
+const LiteralDecoders = {
+    'string_atom': (node) => {
+        const value = decodeJson(node.text.trim());
+        return { value: typeof value === 'string' ? value : node.text.trim().slice(1, -1), type: 'string' };
+    },
+    'boolean_atom': (node) => ({ value: node.text.trim() === 'true', type: 'boolean' }),
+    'number_time_atom': (node) => {
+        if (findDescendants(node, 'unit').length) {
+            return { value: node.text.trim(), type: 'number time' };
+        }
+
+        return { value: Number(node.text.trim()), type: 'number' };
+    },
+    'number': (node) => ({ value: Number(node.text.trim()), type: 'number' }),
+    'tod_atom': (node) => ({ value: node.text.trim(), type: 'time value' }),
+    'time_value_atom': (node) => ({ value: node.text.trim(), type: 'time value' }),
+    'time_period_atom': (node) => {
+        const value = decodeTimePeriod(node);
+        return value ? { value, type: 'time period' } : null;
+    },
+    'time_period_ago_atom': (node) => {
+        const period = decodeTimePeriod(node);
+        const amount = findDescendants(node, 'number')[0];
+        const unit = findDescendants(node, 'unit')[0];
+        if (!period || !amount || !unit) {
+            return null;
+        }
+
+        return { value: Object.assign({ ago: [Number(amount.text.trim()), unit.text.trim()] }, period), type: 'time period ago' };
+    },
+    'object_atom': (node) => {
+        const value = decodeJson(node.text.trim());
+        return value && typeof value === 'object' && !Array.isArray(value) ? { value, type: 'object' } : null;
+    },
+    'string_array': (node) => ({ value: decodeJson(node.text.trim()), type: 'string array' }),
+    'number_array': (node) => ({ value: decodeJson(node.text.trim()), type: 'number array' }),
+    'boolean_array': (node) => ({ value: decodeJson(node.text.trim()), type: 'boolean array' }),
+    'object_array': (node) => ({ value: decodeJson(node.text.trim()), type: 'object array' }),
+    'array': (node) => {
+        const value = decodeJson(node.text.trim());
+        const type = Array.isArray(value) ? inferArrayType(value) : null;
+        return type ? { value, type } : null;
+    }
+};
+
 // Merge the base grammar with template-specific grammar rules
 const extendedGrammar = [...RuleParserRules]
 for(const rule of TemplateGrammar){
@@ -116,443 +344,2228 @@ replaceRule('simple_result', [
 // Export the parser rules for potential external use
 const ParserRules = extendedGrammar;
 
+const UnitClosureCache = new Map();
+
+/**
+ * Collect every rule that can derive the whole span of ruleName on its own,
+ * following alternatives with a single required symbol (e.g. value ::= number_atom)
+ */
+const getUnitClosure = (ruleName) => {
+    if (UnitClosureCache.has(ruleName)) {
+        return UnitClosureCache.get(ruleName);
+    }
+
+    const closure = new Set();
+    const pending = [ruleName];
+
+    while (pending.length > 0) {
+        const name = pending.pop();
+        if (closure.has(name)) {
+            continue;
+        }
+
+        closure.add(name);
+        const rule = extendedGrammar.find(r => r.name === name);
+        if (!rule) {
+            continue;
+        }
+
+        for (const alternative of rule.bnf) {
+            if (!Array.isArray(alternative) || alternative.some(symbol => typeof symbol !== 'string')) {
+                continue;
+            }
+
+            const required = alternative.filter(symbol => !/^WS[*+?]?$/.test(symbol) && !/[*?]$/.test(symbol));
+            if (required.length === 1) {
+                pending.push(required[0].replace(/\+$/, ''));
+            }
+        }
+    }
+
+    UnitClosureCache.set(ruleName, closure);
+    return closure;
+};
+
 class RuleTemplate {
-    constructor(ruleTemplateText, ast) {
+    constructor(ruleTemplateText, ast, manifest = null) {
         this.ruleTemplateText = ruleTemplateText;
         this.ast = ast;
+        this.manifest = manifest;
     }
 
     /**
      * Parse a rule template string and return a RuleTemplate instance
+     * A leading front-matter manifest is split off before parsing; AST positions stay offsets into the text passed in.
+     * ${> NAME} includes are expanded from options.partials first, positions then refer to the expanded rule
+     * and syntax errors past the includes are located in it. Fragment manifests are merged under the template's own.
      * @param {string} ruleTemplate - The template string to parse
+     * @param {Object} [options] - Optional {manifest, partials}, a companion manifest overriding front-matter
+     * declarations and an object mapping fragment names to template text
      * @returns {RuleTemplate} Instance with AST and template text
+     * @throws {TemplateSyntaxError} When the template does not parse, or an include has no partials, names a fragment
+     * that is not registered or takes part in a cycle; located in the text passed in
      */
-    static parse(ruleTemplate){
+    static parse(ruleTemplate, options = {}){
         if(!ParserCache){
             ParserCache = new Parser(ParserRules, {debug: false})
         }
 
-        const ast = RuleParser.toAst(ruleTemplate.trim(), ParserCache);
-        return new RuleTemplate(ruleTemplate, ast);
+        const { manifest } = TemplateManifest.extract(ruleTemplate);
+        let { text: ruleText, offset: ruleOffset } = RuleTemplate._ruleSource(ruleTemplate);
+        let source = ruleTemplate;
+
+        const includes = TemplateIncludes.expand(ruleText, options.partials, ruleTemplate, ruleOffset);
+        if (includes) {
+            ruleText = includes.text;
+            source = includes.text;
+            ruleOffset = 0;
+        }
+
+        const blocks = TemplateBlocks.parse(ruleText, source, ruleOffset);
+        const ast = RuleTemplate._shiftNode(blocks
+            ? RuleTemplate._parseBlockVariants(blocks, source, ruleOffset)
+            : RuleTemplate._parseRuleText(ruleText, source, ruleOffset), ruleOffset);
+
+        const declared = includes ? TemplateManifest.merge(includes.manifest, manifest) : manifest;
+        const template = new RuleTemplate(ruleTemplate, ast, TemplateManifest.merge(declared, options.manifest));
+        if (includes) {
+            template._ruleText = ruleText;
+            template._includes = includes.segments;
+        }
+
+        template._checkSpreadPlacement(source);
+        return template;
     }
 
     /**
-     * Extract variables from the template using the AST
-     * @returns {Array} Array of {name, filters: [], positions: [{start, end}]} objects
+     * The rule part of template text, without its manifest block and surrounding whitespace
+     * @private
+     * @param {string} templateText - Full template text
+     * @returns {Object} {text, offset}, offset is where the rule starts in templateText
      */
-    extractVariables(){
-        const variables = [];
-        const variableMap = new Map();
-        
-        const traverse = (node) => {
-            if (!node) return;
-            
-            // Check if this is a template_value node
-            if (node.type === 'template_value') {
-                // Extract the variable information
-                const varInfo = this._extractVariableFromNode(node);
-                if (varInfo) {
-                    // Add position to existing variable or create new entry
-                    if (variableMap.has(varInfo.name)) {
-                        const existing = variableMap.get(varInfo.name);
-                        existing.positions.push({
-                            start: varInfo.start,
-                            end: varInfo.end
-                        });
-                    } else {
-                        variableMap.set(varInfo.name, {
-                            name: varInfo.name,
-                            filters: varInfo.filters,
-                            positions: [{
-                                start: varInfo.start,
-                                end: varInfo.end
-                            }]
-                        });
-                    }
-                }
-            }
-            
-            // Traverse children
-            if (node.children) {
-                for (const child of node.children) {
-                    traverse(child);
-                }
-            }
+    static _ruleSource(templateText) {
+        const { body } = TemplateManifest.extract(templateText);
+        return {
+            text: body.trim(),
+            offset: templateText.length - body.length + (body.length - body.trimStart().length)
         };
-        
-        traverse(this.ast);
-        
-        // Convert map to array
-        for (const variable of variableMap.values()) {
-            variables.push(variable);
-        }
-        
-        return variables;
     }
 
     /**
-     * Extract function calls from the template using the AST
-     * @returns {Array} Array of unique function names used in the template
+     * The grammar accepts ${NAME...} wherever a placeholder may appear, it may only fill a whole function argument,
+     * and only one argument of a call, so a matched rule's arguments can be split between them
+     * @private
+     * @param {string} source - Text errors are located in, which AST positions refer to
+     * @throws {TemplateSyntaxError} When a spread placeholder is used anywhere else
      */
-    extractFunctions(){
-        const functions = new Set();
-        
-        const traverse = (node) => {
-            if (!node) return;
-            
-            // Check if this is a function call node
-            if (node.type === 'fcall') {
-                // Find the function name in children
-                const fnameNode = node.children?.find(c => c.type === 'fname');
-                if (fnameNode && fnameNode.text) {
-                    functions.add(fnameNode.text.trim());
-                }
+    _checkSpreadPlacement(source) {
+        const spreadLists = new Set();
+        for (const varInfo of this._extractTemplateVariables()) {
+            if (!varInfo.spread) {
+                continue;
             }
-            
-            // Traverse children
-            if (node.children) {
-                for (const child of node.children) {
-                    traverse(child);
-                }
+
+            const ancestors = varInfo.ancestors.slice().reverse();
+            const argument = ancestors.find(ancestor => ancestor.type === 'argument');
+            const argumentList = ancestors.find(ancestor => ancestor.type === 'arguments');
+            const spreadNode = findDescendants(varInfo.node, 'template_spread')[0];
+            if (!argument || getSpreadPlaceholder(argument) !== varInfo.node) {
+                throw TemplateSyntaxError.at(source, spreadNode.start, {
+                    expected: ['"}", a spread placeholder must be a whole function argument'],
+                    found: '...'
+                });
             }
-        };
-        
-        traverse(this.ast);
-        
-        // Convert set to sorted array for consistent output
-        return Array.from(functions).sort();
+
+            if (spreadLists.has(argumentList)) {
+                throw TemplateSyntaxError.at(source, spreadNode.start, {
+                    expected: ['"}", a function call may only have one spread argument'],
+                    found: '...'
+                });
+            }
+
+            spreadLists.add(argumentList);
+        }
+    }
+
+    static _parseRuleText(ruleText, source, ruleOffset, conditions) {
+        try {
+            return RuleParser.toAst(ruleText, ParserCache);
+        } catch (error) {
+            const failure = RuleTemplate._furthestFailure(ruleText, 'statement');
+            throw TemplateSyntaxError.from(error, source, ruleOffset, ruleText, { conditions, failure });
+        }
     }
 
     /**
-     * Extract variable name and filters from a template_value AST node
+     * Where parsing text as a grammar rule fails and the tokens expected there
      * @private
+     * @param {string} text - Text that failed to parse
+     * @param {string} startRule - Grammar rule the text was parsed as
+     * @returns {Object|null} {offset, expected}, offset relative to text
      */
-    _extractVariableFromNode(node) {
-        if (node.type !== 'template_value') return null;
-        
-        // Find the template_expr child
-        const templateExpr = node.children?.find(c => c.type === 'template_expr');
-        if (!templateExpr) return null;
-        
-        // Extract the path (variable name)
-        const templatePath = templateExpr.children?.find(c => c.type === 'template_path');
-        if (!templatePath || !templatePath.text) return null;
-        
-        const name = templatePath.text.trim();
-        
-        // Extract filters
-        const filters = [];
-        const filterCalls = [];
-        for (const child of templateExpr.children || []) {
-            if (child.type === 'template_filter_call') {
-                const filterCall = this._extractFilterCall(child);
-                if (filterCall) {
-                    filters.push(filterCall.name);
-                    filterCalls.push(filterCall);
-                }
-            }
+    static _furthestFailure(text, startRule) {
+        if (!Expectations) {
+            Expectations = new GrammarExpectations(ParserRules);
         }
-        
-        // Extract position information from the node
-        const start = node.start;
-        const end = node.end;
-        
-        return { name, filters, filterCalls, start, end };
+
+        return Expectations.furthestFailure(text, startRule);
     }
 
     /**
-     * Extract filter call from template_filter_call node
+     * Parse every combination of block states so each one is known to give a valid rule
+     * Markers and left out blocks are blanked rather than removed, keeping offsets in line with the template.
+     * The combination including every block once supplies the template's AST. Combinations repeating
+     * an ${#each} block cannot keep offsets and are reported at the block's opening marker.
      * @private
+     * @param {TemplateBlocks} blocks - Blocks found in the rule text
+     * @param {string} source - Full text the caller passed in
+     * @param {number} ruleOffset - Offset of the rule text within source
+     * @returns {Object} AST of the rule with every block included
      */
-    _extractFilterCall(node) {
-        const filterNameNode = node.children?.find(c => c.type === 'template_filter_name');
-        if (!filterNameNode || !filterNameNode.text) return null;
+    static _parseBlockVariants(blocks, source, ruleOffset) {
+        let ast = null;
+
+        for (const decisions of RuleTemplate._blockCombinations(blocks.states())) {
+            const repeated = blocks.markers().find(marker => decisions[marker.name] > 1);
+            if (repeated) {
+                try {
+                    RuleParser.toAst(blocks.render(name => decisions[name]), ParserCache);
+                } catch (error) {
+                    throw TemplateSyntaxError.at(source, ruleOffset + repeated.start, { found: source.substring(ruleOffset + repeated.start, ruleOffset + repeated.end), conditions: decisions, cause: error });
+                }
+                continue;
+            }
 
-        const argsNode = node.children?.find(c => c.type === 'template_filter_args');
+            const variant = blocks.blank(name => decisions[name]);
+            const leading = variant.length - variant.trimStart().length;
+            const variantAst = RuleTemplate._parseRuleText(variant.trim(), source, ruleOffset + leading, decisions);
 
-        return {
-            name: filterNameNode.text.trim(),
-            args: this._extractFilterArgs(argsNode)
-        };
+            if (!ast) {
+                // The root spans the whole rule so markers before and after it survive a rebuild
+                ast = Object.assign(RuleTemplate._shiftNode(variantAst, leading), { text: variant, start: 0, end: variant.length });
+            }
+        }
+
+        return ast;
     }
 
-    _extractFilterArgs(node) {
-        if (!node || !Array.isArray(node.children)) {
-            return [];
+    /**
+     * Every combination of the given block states, the combination of first states first
+     * @private
+     * @param {Object} states - Object mapping block variable names to arrays of states
+     * @returns {Array} Array of objects mapping block variable names to a state
+     */
+    static _blockCombinations(states) {
+        const count = Object.values(states).reduce((total, values) => total * values.length, 1);
+        if (count > MaxBlockCombinations) {
+            throw new Error(`Rule templates support at most ${MaxBlockCombinations} combinations of blocks, found ${count}`);
         }
 
-        return node.children
-            .filter(child => child.type === 'template_filter_arg')
-            .map(child => this._extractFilterArgValue(child));
+        let combinations = [{}];
+        for (const [name, values] of Object.entries(states).reverse()) {
+            combinations = values.flatMap(value => combinations.map(decisions => Object.assign({ [name]: value }, decisions)));
+        }
+
+        return combinations;
     }
 
-    _extractFilterArgValue(node) {
-        if (!node || !Array.isArray(node.children) || node.children.length === 0) {
-            return this._normalizeFilterArgText(node?.text?.trim() || '');
+    static _shiftNode(node, offset) {
+        if (offset === 0) {
+            return node;
         }
 
-        const child = node.children[0];
-        if (!child) {
-            return this._normalizeFilterArgText(node.text?.trim() || '');
+        node.start += offset;
+        node.end += offset;
+        for (const child of (node.children || [])) {
+            RuleTemplate._shiftNode(child, offset);
         }
 
-        if (child.type === 'value' && Array.isArray(child.children) && child.children.length > 0) {
-            return this._extractFilterArgValue(child);
-        }
+        return node;
+    }
 
-        if (child.type === 'string') {
-            try {
-                return JSON.parse(child.text);
-            } catch (error) {
-                return this._normalizeFilterArgText(child.text);
-            }
+    /**
+     * Rehydrate a RuleTemplate serialized with toJSON() without constructing a parser
+     * Data produced for another format or grammar version is rejected, the template must be re-parsed
+     * @param {Object|string} data - Serialized template, or its JSON string
+     * @returns {RuleTemplate} Instance with AST and template text
+     */
+    static fromJSON(data){
+        if (typeof data === 'string') {
+            data = JSON.parse(data);
         }
 
-        if (child.type === 'number') {
-            return Number(child.text);
+        if (!data || typeof data !== 'object' || typeof data.template !== 'string' || !Array.isArray(data.ast)) {
+            throw new Error('Invalid serialized template');
         }
 
-        if (child.type === 'true') {
-            return true;
+        if (data.format !== SerializationFormat) {
+            throw new Error(`Unsupported serialized template format '${data.format}'`);
         }
 
-        if (child.type === 'false') {
-            return false;
+        const grammarVersion = RuleTemplate.getGrammarVersion();
+        if (data.grammar !== grammarVersion) {
+            throw new Error(`Serialized template was built for grammar version '${data.grammar}' but the current version is '${grammarVersion}'`);
         }
 
-        if (child.type === 'null') {
-            return null;
+        // Node text is not stored, it is sliced back out of the rule the positions refer to
+        const ruleText = typeof data.rule === 'string' ? data.rule : RuleTemplate._paddedRuleText(data.template);
+        const blocks = TemplateBlocks.parse(ruleText);
+        const ast = RuleTemplate._expandNode(data.ast, blocks ? blocks.blank(() => true) : ruleText);
+        const template = new RuleTemplate(data.template, ast, data.manifest ? TemplateManifest.from(data.manifest) : null);
+        if (Array.isArray(data.includes)) {
+            template._ruleText = ruleText;
+            template._includes = data.includes;
         }
 
-        return this._normalizeFilterArgText(child.text?.trim() || node.text?.trim() || '');
+        return template;
     }
 
-    _normalizeFilterArgText(text) {
-        const normalizedText = String(text).trim();
-
-        if ((normalizedText.startsWith('"') && normalizedText.endsWith('"')) || (normalizedText.startsWith("'") && normalizedText.endsWith("'"))) {
-            return normalizedText.slice(1, -1);
+    /**
+     * Version of the merged template grammar, stored in serialized templates
+     * Building a Parser sets implicitWs: false on the WS rule it is given, the hash takes the rules in that
+     * form so it is the same whether or not this process, or the rule parser, has parsed anything yet.
+     * @returns {string} Hash of the grammar rules
+     */
+    static getGrammarVersion(){
+        if (!GrammarVersion) {
+            GrammarVersion = TemplateHash.hashValue(ParserRules.map(rule => rule.name === 'WS' ? Object.assign({}, rule, { implicitWs: false }) : rule));
         }
 
-        return normalizedText;
+        return GrammarVersion;
     }
 
     /**
-     * Validate variable types against the AST
-     * @param {Object} variables - Object mapping variable names to {type} objects
-     * @param {Object} [functionBlob] - Optional HalleyFunctionBlob used for non-fatal function warnings
-     * @returns {Object} Object with validation results: {valid: boolean, errors: [], warnings: []}
+     * Serialize the template in a compact, versioned form for fromJSON()
+     * AST nodes are stored as [type, start, end, children?] tuples. Templates with includes also store
+     * the expanded rule and its source map, so partials are not needed to rehydrate them.
+     * @returns {Object} {format, grammar, template, manifest, ast, variables, functions, rule?, includes?}
      */
-    validate(variables, functionBlob) {
-        if (!variables || typeof variables !== 'object') {
-            return {
-                valid: false,
-                errors: ['Variables must be provided as an object'],
-                warnings: []
-            };
+    toJSON(){
+        const data = {
+            format: SerializationFormat,
+            grammar: RuleTemplate.getGrammarVersion(),
+            template: this.ruleTemplateText,
+            manifest: this.manifest ? this.manifest.toJSON() : null,
+            ast: RuleTemplate._compactNode(this.ast),
+            variables: this.extractVariables(),
+            functions: this._extractFunctionCalls()
+        };
+
+        if (this._includes) {
+            data.rule = this._getRuleText();
+            data.includes = this._includes;
         }
 
-        const errors = [];
-        const warnings = [];
-        const extractedVars = this._extractTemplateVariables();
-        const seenVariables = new Set();
-        const seenFilterErrors = new Set();
-        
-        for (const varInfo of extractedVars) {
-            const varName = varInfo.name;
+        return data;
+    }
 
-            for (const filter of (varInfo.filterCalls || varInfo.filters || [])) {
-                const filterName = typeof filter === 'string' ? filter : filter?.name;
-                if (filterName && TemplateFilters[filterName]) {
-                    continue;
-                }
+    static _compactNode(node) {
+        const compact = [node.type, node.start, node.end];
+        if (node.children && node.children.length > 0) {
+            compact.push(node.children.map(child => RuleTemplate._compactNode(child)));
+        }
 
-                const errorMessage = `Unknown filter '${filterName || filter}' for variable '${varName}'`;
-                if (!seenFilterErrors.has(errorMessage)) {
-                    errors.push(errorMessage);
-                    seenFilterErrors.add(errorMessage);
+        return compact;
+    }
+
+    static _expandNode(compact, source) {
+        const [type, start, end, children = []] = compact;
+        return {
+            type,
+            text: source.substring(start, end),
+            start,
+            end,
+            children: children.map(child => RuleTemplate._expandNode(child, source))
+        };
+    }
+
+    /**
+     * Extract variables from the template using the AST
+     * Metadata declared in the manifest (type, default, label, description, constraints) is merged into each entry
+     * Occurrences inside blocks list the ${#if} conditions and ${#each} arrays they depend on, and each
+     * of those variables is reported with a {block} position per marker. Loop variables are not reported.
+     * Occurrences that came from an included fragment carry {include: {name, path, start, end}}, the
+     * innermost fragment, the chain of includes leading to it and the span within that fragment's text.
+     * Occurrences with filters carry their own {filters, filterCalls, outputType}; the entry's filters list
+     * every filter used and its chains each distinct chain.
+     * @param {Object} [options] - Optional {context: boolean}, adds each occurrence's function, argument and operator context
+     * @returns {Array} Array of {name, filters: [], positions: [{start, end}]} objects
+     */
+    extractVariables(options = {}){
+        const variables = [];
+        const variableMap = new Map();
+        const blocks = this._getBlocks();
+        
+        const traverse = (node, ancestors) => {
+            if (!node) return;
+            
+            // Check if this is a template_value node
+            if (node.type === 'template_value') {
+                // Extract the variable information
+                const varInfo = this._extractVariableFromNode(node);
+                const enclosing = varInfo && blocks ? blocks.enclosing(varInfo.start) : [];
+
+                // Loop variables are bound by their ${#each} block rather than supplied
+                if (varInfo && !enclosing.some(block => block.item === varInfo.name)) {
+                    const position = {
+                        start: varInfo.start,
+                        end: varInfo.end
+                    };
+
+                    // Dotted paths (${DEVICE.room}) are reported against their root variable
+                    const subPath = varInfo.path.join('.');
+                    if (subPath) {
+                        position.path = subPath;
+                    }
+
+                    if (varInfo.spread) {
+                        position.spread = true;
+                    }
+
+                    if (varInfo.filters.length > 0) {
+                        position.filters = varInfo.filters;
+                        position.filterCalls = varInfo.filterCalls;
+                        position.outputType = this._getOccurrenceOutputType(varInfo);
+                    }
+
+                    if (options.context) {
+                        position.context = RuleTemplate._getOccurrenceContext(ancestors, node);
+                    }
+
+                    if (enclosing.length > 0) {
+                        position.conditions = enclosing.map(block => block.name);
+                    }
+
+                    this._addIncludeSource(position);
+
+                    // Add position to existing variable or create new entry
+                    if (!variableMap.has(varInfo.name)) {
+                        variableMap.set(varInfo.name, {
+                            name: varInfo.name,
+                            filters: [],
+                            positions: []
+                        });
+                    }
+
+                    const existing = variableMap.get(varInfo.name);
+                    existing.positions.push(position);
+                    if (position.filters) {
+                        RuleTemplate._addFilterChain(existing, position);
+                    }
+
+                    if (subPath) {
+                        existing.paths = existing.paths || [];
+                        if (!existing.paths.includes(subPath)) {
+                            existing.paths.push(subPath);
+                        }
+                    }
+                }
+            }
+            
+            // Traverse children
+            if (node.children) {
+                const childAncestors = ancestors.concat([node]);
+                for (const child of node.children) {
+                    traverse(child, childAncestors);
                 }
             }
+        };
+        
+        traverse(this.ast, []);
 
-            if (seenVariables.has(varName)) {
-                continue;
+        for (const marker of (blocks ? blocks.markers() : [])) {
+            if (!variableMap.has(marker.name)) {
+                variableMap.set(marker.name, { name: marker.name, filters: [], positions: [] });
             }
 
-            seenVariables.add(varName);
-            
-            // Check if variable is provided
-            if (!variables.hasOwnProperty(varName)) {
-                errors.push(`Variable '${varName}' not provided in variables object`);
-                continue;
+            const position = { start: marker.start, end: marker.end, block: marker.block };
+            if (marker.item) {
+                position.item = marker.item;
             }
-            
-            const varData = variables[varName];
-            if (typeof varData !== 'object') {
-                errors.push(`Variable '${varName}' must be an object`);
-                continue;
+
+            const enclosing = blocks.enclosing(marker.start);
+            if (enclosing.length > 0) {
+                position.conditions = enclosing.map(block => block.name);
             }
-            
-            const { type } = varData;
-            
-            // Validate type if provided
-            if (type && !VariableTypes.includes(type)) {
-                errors.push(`Invalid variable type '${type}' for variable '${varName}'`);
-                continue;
+
+            this._addIncludeSource(position);
+
+            const existing = variableMap.get(marker.name);
+            existing.positions.push(position);
+            existing.positions.sort((a, b) => a.start - b.start);
+        }
+        
+        // Convert map to array
+        for (const variable of variableMap.values()) {
+            if (this.manifest) {
+                Object.assign(variable, this.manifest.describe(variable.name));
             }
 
-            if (type) {
-                const validation = VariableValidate.validate(varData);
-                if (!validation.valid) {
-                    errors.push(`Invalid value for variable '${varName}': ${validation.error}`);
-                }
+            variables.push(variable);
+        }
+
+        if (blocks) {
+            variables.sort((a, b) => a.positions[0].start - b.positions[0].start);
+        }
+        
+        return variables;
+    }
+
+    /**
+     * Record an occurrence's filter chain on its variable entry, once per distinct chain
+     * The entry's filters list every filter name used in any chain, in order of first use.
+     * @private
+     * @param {Object} entry - extractVariables() entry
+     * @param {Object} position - Occurrence position with {filters, filterCalls, outputType}
+     */
+    static _addFilterChain(entry, position) {
+        const chain = { filters: position.filters, filterCalls: position.filterCalls, outputType: position.outputType };
+        const key = JSON.stringify(chain);
+        entry.chains = entry.chains || [];
+        if (!entry.chains.some(existing => JSON.stringify(existing) === key)) {
+            entry.chains.push(chain);
+        }
+
+        for (const filter of position.filters) {
+            if (!entry.filters.includes(filter)) {
+                entry.filters.push(filter);
             }
         }
+    }
 
-        const canValidatePreparedRule = errors.length === 0
-            && Array.from(seenVariables).every(varName => {
-                const varData = variables[varName];
-                return varData
-                    && typeof varData === 'object'
-                    && Object.prototype.hasOwnProperty.call(varData, 'type')
-                    && Object.prototype.hasOwnProperty.call(varData, 'value');
+    /**
+     * The type an occurrence's filter chain produces, from the manifest's declared type when there is one
+     * @private
+     * @param {Object} varInfo - Variable info from _extractVariableFromNode
+     * @param {string} [declared] - Variable type, the manifest's by default
+     * @returns {string|null} Output type, or null when it is unknown or the chain rejects the declared type
+     */
+    _getOccurrenceOutputType(varInfo, declared = this.manifest ? this.manifest.describe(RuleTemplate._formatVariablePath(varInfo)).type : undefined) {
+        if (declared) {
+            return RuleTemplate._getFilterChainOutputType(varInfo.spread ? ArrayElementTypes[declared] : declared, varInfo.filterCalls) || null;
+        }
+
+        // Undeclared, only a typed filter ending the chain fixes the output ('default' keeps its input type)
+        const typed = varInfo.filterCalls.filter(call => call.name !== 'default');
+        const last = typed[typed.length - 1];
+        return last && Object.prototype.hasOwnProperty.call(FilterOutputTypes, last.name) ? FilterOutputTypes[last.name] : null;
+    }
+
+    /**
+     * Note the fragment a position came from, when the template has includes
+     * @private
+     * @param {Object} position - {start, end} in the expanded rule text
+     */
+    _addIncludeSource(position) {
+        const source = this._includes ? TemplateIncludes.locate(this._includes, position.start, position.end) : null;
+        if (source) {
+            position.include = source;
+        }
+    }
+
+    /**
+     * Describe where a placeholder sits: the calls it is nested in, the innermost call and
+     * zero-based argument index, the operator it is an operand of and the grammar node it fills
+     * @private
+     * @param {Array} ancestors - Ancestors of the template_value node, root first
+     * @param {Object} node - The template_value node
+     * @returns {Object} {function, argument, operator, side, node, path: [{function, argument}]}
+     */
+    static _getOccurrenceContext(ancestors, node) {
+        const path = [];
+        let innermostArgument = -1;
+
+        ancestors.forEach((ancestor, index) => {
+            const argumentsNode = ancestors[index - 1];
+            const fcallNode = ancestors[index - 2];
+            if (ancestor.type !== 'argument' || argumentsNode?.type !== 'arguments' || fcallNode?.type !== 'fcall') {
+                return;
+            }
+
+            path.push({
+                function: fcallNode.children.find(c => c.type === 'fname')?.text?.trim() || null,
+                argument: argumentsNode.children.filter(c => c.type === 'argument').indexOf(ancestor)
             });
+            innermostArgument = index;
+        });
+
+        const innermostCall = path[path.length - 1];
+        const context = {
+            function: innermostCall ? innermostCall.function : null,
+            argument: innermostCall ? innermostCall.argument : null,
+            operator: null,
+            side: null,
+            node: RuleTemplate._getSlotNode(ancestors, node),
+            path
+        };
 
-        if (canValidatePreparedRule) {
-            try {
-                RuleParser.toAst(this.prepare(variables));
-            } catch (error) {
-                errors.push(`Prepared rule is invalid: ${error.message}`);
+        // Operators outside the innermost call apply to the call's result, not to the placeholder
+        for (let index = ancestors.length - 1; index > innermostArgument; index--) {
+            const operand = RuleTemplate._getOperandContext(ancestors[index], ancestors[index + 1]);
+            if (operand) {
+                context.operator = operand.operator;
+                context.side = operand.side;
+                break;
             }
         }
 
-        if (functionBlob && typeof functionBlob.validate === 'function') {
-            for (const functionCall of this._extractFunctionCalls()) {
-                warnings.push(...functionBlob.validate(functionCall.name, functionCall.arguments));
+        return context;
+    }
+
+    // The slot a placeholder fills: a whole function argument, else the outermost node spanning just the placeholder
+    static _getSlotNode(ancestors, node) {
+        const chain = RuleTemplate._getSlotChain(ancestors, node);
+        const argument = chain.find(type => UntypedSlots.includes(type));
+        return argument || chain.pop() || ancestors[ancestors.length - 1]?.type || null;
+    }
+
+    static _getOperandContext(parent, child) {
+        const children = parent.children || [];
+
+        if (parent.type === 'basic_rhs') {
+            const operatorNode = children.find(c => c.type === 'compare_operator');
+            return operatorNode ? { operator: operatorNode.text.trim(), side: 'right' } : null;
+        }
+
+        const rhs = children.find(c => c.type === 'basic_rhs');
+        if (rhs && child && child !== rhs) {
+            const operatorNode = rhs.children?.find(c => c.type === 'compare_operator');
+            return operatorNode ? { operator: operatorNode.text.trim(), side: 'left' } : null;
+        }
+
+        if (parent.type.startsWith('between_')) {
+            const bounds = children.filter(c => !c.type.endsWith('_operator'));
+            return { operator: 'BETWEEN', side: bounds.indexOf(child) === 0 ? 'lower' : 'upper' };
+        }
+
+        if (parent.type === 'not_expression') {
+            return { operator: parent.text.substring(0, (child ? child.start : parent.end) - parent.start).trim(), side: 'right' };
+        }
+
+        // Infix chains such as math_expr or logical sequences keep their operators as sibling nodes
+        const childIndex = children.indexOf(child);
+        const previous = children[childIndex - 1];
+        const next = children[childIndex + 1];
+        if (previous && previous.type.endsWith('_operator')) {
+            return { operator: previous.text.trim(), side: 'right' };
+        }
+
+        if (next && next.type.endsWith('_operator')) {
+            return { operator: next.text.trim(), side: 'left' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Extract function calls from the template using the AST
+     * @returns {Array} Array of unique function names used in the template
+     */
+    extractFunctions(){
+        const functions = new Set();
+        
+        const traverse = (node) => {
+            if (!node) return;
+            
+            // Check if this is a function call node
+            if (node.type === 'fcall') {
+                // Find the function name in children
+                const fnameNode = node.children?.find(c => c.type === 'fname');
+                if (fnameNode && fnameNode.text) {
+                    functions.add(fnameNode.text.trim());
+                }
+            }
+            
+            // Traverse children
+            if (node.children) {
+                for (const child of node.children) {
+                    traverse(child);
+                }
+            }
+        };
+        
+        traverse(this.ast);
+        
+        // Convert set to sorted array for consistent output
+        return Array.from(functions).sort();
+    }
+
+    /**
+     * Infer the variable types each placeholder can accept from where it sits in the AST
+     * Filters are taken into account, so ${WINDOW|time_start} in a time-of-day position
+     * accepts 'time period' and 'time period ago'. ${#if} conditions are always boolean and ${#each}
+     * arrays accept the array types whose elements fit every use of the loop variable.
+     * @returns {Object} Object mapping variable names (including dotted paths) to arrays of compatible VariableTypes
+     */
+    inferVariableTypes(){
+        const inferred = {};
+        const elementTypes = {};
+        const blocks = this._getBlocks();
+
+        for (const varInfo of this._extractTemplateVariables()) {
+            const varName = RuleTemplate._formatVariablePath(varInfo);
+            const slotTypes = this._getSlotTypes(varInfo);
+            // A spread variable is an array whose elements go through the filter chain one at a time
+            const candidateTypes = varInfo.spread ? Object.keys(ArrayElementTypes) : VariableTypes;
+            const compatible = candidateTypes.filter(type => {
+                const outputType = RuleTemplate._getFilterChainOutputType(varInfo.spread ? ArrayElementTypes[type] : type, varInfo.filterCalls);
+                return outputType === undefined || (outputType !== null && slotTypes.includes(outputType));
+            });
+
+            const loop = blocks ? blocks.enclosing(varInfo.start).reverse().find(block => block.item === varInfo.name) : null;
+            if (loop) {
+                const types = varInfo.path.length > 0 ? ['object'] : compatible;
+                elementTypes[loop.name] = elementTypes[loop.name]
+                    ? elementTypes[loop.name].filter(type => types.includes(type))
+                    : types;
+                continue;
+            }
+
+            inferred[varName] = inferred[varName]
+                ? inferred[varName].filter(type => compatible.includes(type))
+                : compatible;
+        }
+
+        for (const marker of (blocks ? blocks.markers() : [])) {
+            const types = marker.block === 'if'
+                ? ['boolean']
+                : Object.keys(ArrayElementTypes).filter(type => !elementTypes[marker.name] || elementTypes[marker.name].includes(ArrayElementTypes[type]));
+
+            inferred[marker.name] = inferred[marker.name] ? inferred[marker.name].filter(type => types.includes(type)) : types;
+        }
+
+        return inferred;
+    }
+
+    /**
+     * Extract variable name, sub-path and filters from a template_value AST node
+     * @private
+     */
+    _extractVariableFromNode(node) {
+        if (node.type !== 'template_value') return null;
+        
+        // Find the template_expr child
+        const templateExpr = node.children?.find(c => c.type === 'template_expr');
+        if (!templateExpr) return null;
+        
+        // Extract the path (variable name)
+        const templatePath = templateExpr.children?.find(c => c.type === 'template_path');
+        if (!templatePath || !templatePath.text) return null;
+        
+        // template_path allows whitespace around the dots, e.g. ${DEVICE . room}
+        const [name, ...path] = templatePath.text.split('.').map(segment => segment.trim());
+        
+        // Extract filters
+        const filters = [];
+        const filterCalls = [];
+        for (const child of templateExpr.children || []) {
+            if (child.type === 'template_filter_call') {
+                const filterCall = this._extractFilterCall(child);
+                if (filterCall) {
+                    filters.push(filterCall.name);
+                    filterCalls.push(filterCall);
+                }
             }
         }
         
+        const spread = templateExpr.children.some(c => c.type === 'template_spread');
+
+        // Extract position information from the node
+        const start = node.start;
+        const end = node.end;
+        
+        return { name, path, filters, filterCalls, spread, start, end };
+    }
+
+    /**
+     * Extract filter call from template_filter_call node
+     * @private
+     */
+    _extractFilterCall(node) {
+        const filterNameNode = node.children?.find(c => c.type === 'template_filter_name');
+        if (!filterNameNode || !filterNameNode.text) return null;
+
+        const argsNode = node.children?.find(c => c.type === 'template_filter_args');
+
         return {
-            valid: errors.length === 0,
-            errors,
-            warnings
+            name: filterNameNode.text.trim(),
+            args: this._extractFilterArgs(argsNode)
         };
     }
 
-    _extractFunctionCalls() {
-        const functionCalls = [];
+    _extractFilterArgs(node) {
+        if (!node || !Array.isArray(node.children)) {
+            return [];
+        }
 
-        const traverse = (node) => {
-            if (!node) return;
+        return node.children
+            .filter(child => child.type === 'template_filter_arg')
+            .map(child => this._extractFilterArgValue(child));
+    }
+
+    _extractFilterArgValue(node) {
+        if (!node || !Array.isArray(node.children) || node.children.length === 0) {
+            return this._normalizeFilterArgText(node?.text?.trim() || '');
+        }
+
+        const child = node.children[0];
+        if (!child) {
+            return this._normalizeFilterArgText(node.text?.trim() || '');
+        }
+
+        if (child.type === 'value' && Array.isArray(child.children) && child.children.length > 0) {
+            return this._extractFilterArgValue(child);
+        }
+
+        if (child.type === 'string') {
+            try {
+                return JSON.parse(child.text);
+            } catch (error) {
+                return this._normalizeFilterArgText(child.text);
+            }
+        }
+
+        if (child.type === 'number') {
+            return Number(child.text);
+        }
+
+        if (child.type === 'true') {
+            return true;
+        }
+
+        if (child.type === 'false') {
+            return false;
+        }
+
+        if (child.type === 'null') {
+            return null;
+        }
+
+        return this._normalizeFilterArgText(child.text?.trim() || node.text?.trim() || '');
+    }
+
+    _normalizeFilterArgText(text) {
+        const normalizedText = String(text).trim();
+
+        if ((normalizedText.startsWith('"') && normalizedText.endsWith('"')) || (normalizedText.startsWith("'") && normalizedText.endsWith("'"))) {
+            return normalizedText.slice(1, -1);
+        }
+
+        return normalizedText;
+    }
+
+    /**
+     * Validate variable types against the AST
+     * @param {Object} variables - Object mapping variable names to {type} objects
+     * @param {Object} [functionBlob] - Optional HalleyFunctionBlob used for non-fatal function warnings
+     * @returns {Object} Object with validation results: {valid: boolean, errors: [], warnings: [], diagnostics: []}
+     */
+    validate(variables, functionBlob) {
+        const diagnostics = new TemplateDiagnostics();
+
+        if (!variables || typeof variables !== 'object') {
+            diagnostics.error(Codes.INVALID_VARIABLES, 'Variables must be provided as an object');
+            return diagnostics.toResult();
+        }
+
+        variables = this._applyManifest(variables);
+
+        // Placeholders in blocks left out do not need values, loop variables are checked against their array's elements
+        const { excluded, bound, elements } = this._validateBlockVariables(variables, diagnostics);
+        const blocks = this._getBlocks();
+        const extractedVars = this._extractTemplateVariables()
+            .filter(varInfo => !excluded.some(block => varInfo.start >= block.start && varInfo.end <= block.end))
+            .filter(varInfo => !blocks || !blocks.enclosing(varInfo.start).some(block => block.item === varInfo.name && !bound[block.item]));
+        const suppliedVariables = variables;
+        variables = Object.assign({}, variables, bound);
+        const seenVariables = new Set();
+        
+        for (const varInfo of extractedVars) {
+            const varName = RuleTemplate._formatVariablePath(varInfo);
+            const details = { variable: varName, start: varInfo.start, end: varInfo.end };
+
+            for (const filter of (varInfo.filterCalls || varInfo.filters || [])) {
+                const filterName = typeof filter === 'string' ? filter : filter?.name;
+                if (filterName && TemplateFilters[filterName]) {
+                    continue;
+                }
+
+                const errorMessage = `Unknown filter '${filterName || filter}' for variable '${varName}'`;
+                if (!diagnostics.diagnostics.some(diagnostic => diagnostic.message === errorMessage)) {
+                    diagnostics.error(Codes.UNKNOWN_FILTER, errorMessage, details);
+                }
+            }
+
+            if (seenVariables.has(varName)) {
+                continue;
+            }
+
+            seenVariables.add(varName);
+
+            // A loop variable is checked against every element, reporting the first that fails
+            const bindings = elements[varInfo.name]
+                ? elements[varInfo.name].map(element => Object.assign({}, variables, { [varInfo.name]: element }))
+                : [variables];
+            bindings.find(binding => !this._validateVariableData(binding, varInfo, details, diagnostics));
+        }
+
+        for (const varInfo of extractedVars) {
+            const slotError = this._validateSlotType(variables, varInfo);
+            if (slotError && !diagnostics.diagnostics.some(diagnostic => diagnostic.message === slotError)) {
+                diagnostics.error(Codes.TYPE_MISMATCH, slotError, {
+                    variable: RuleTemplate._formatVariablePath(varInfo),
+                    start: varInfo.start,
+                    end: varInfo.end
+                });
+            }
+        }
+
+        const canValidatePreparedRule = !diagnostics.hasErrors()
+            && extractedVars.every(varInfo => {
+                const varData = this._resolveVariableData(variables, varInfo);
+                return varData
+                    && typeof varData === 'object'
+                    && Object.prototype.hasOwnProperty.call(varData, 'type')
+                    && Object.prototype.hasOwnProperty.call(varData, 'value');
+            });
+
+        if (canValidatePreparedRule) {
+            try {
+                RuleParser.toAst(this.prepare(suppliedVariables));
+            } catch (error) {
+                diagnostics.error(Codes.INVALID_RULE, `Prepared rule is invalid: ${error.message}`);
+            }
+        }
+
+        if (functionBlob && typeof functionBlob.validate === 'function') {
+            this._diagnoseFunctions(functionBlob, variables, diagnostics);
+            this._diagnoseExpressionTypes(functionBlob, variables, diagnostics);
+        }
+        
+        return diagnostics.toResult();
+    }
+
+    /**
+     * Check the data a placeholder's variable resolves to: its type, value and manifest constraints
+     * @private
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} varInfo - Variable info from _extractTemplateVariables
+     * @param {Object} details - Diagnostic details locating the placeholder
+     * @param {TemplateDiagnostics} diagnostics - Collector for problems found
+     * @returns {boolean} Whether the data passed
+     */
+    _validateVariableData(variables, varInfo, details, diagnostics) {
+        const varName = details.variable;
+        let varData;
+        try {
+            varData = this._resolveVariableData(variables, varInfo, '');
+        } catch (error) {
+            diagnostics.error(error.code || Codes.INVALID_VARIABLE, error.message, details);
+            return false;
+        }
+
+        const { type } = varData;
+
+        // Validate type if provided
+        if (type && !VariableTypes.includes(type)) {
+            diagnostics.error(Codes.INVALID_TYPE, `Invalid variable type '${type}' for variable '${varName}'`, details);
+            return false;
+        }
+
+        if (type) {
+            const validation = VariableValidate.validate(varData);
+            if (!validation.valid) {
+                diagnostics.error(Codes.INVALID_VALUE, `Invalid value for variable '${varName}': ${validation.error}`, details);
+                return false;
+            }
+        }
+
+        const constraintError = this.manifest ? this.manifest.checkConstraints(varName, varData) : null;
+        if (constraintError) {
+            diagnostics.error(Codes.CONSTRAINT, constraintError, details);
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Check only the template's function calls against a function blob, without any variables
+     * Arity of calls with spread arguments is not checked, as it depends on the array supplied.
+     * Expression types are checked against the return types the blob declares.
+     * @param {Object} functionBlob - HalleyFunctionBlob
+     * @returns {Object} Object with validation results: {valid: boolean, errors: [], warnings: [], diagnostics: []}
+     */
+    validateFunctions(functionBlob) {
+        const diagnostics = new TemplateDiagnostics();
+
+        if (!functionBlob || typeof functionBlob.validate !== 'function') {
+            throw new Error('A function blob must be provided');
+        }
+
+        this._diagnoseFunctions(functionBlob, {}, diagnostics);
+        this._diagnoseExpressionTypes(functionBlob, {}, diagnostics);
+        return diagnostics.toResult();
+    }
+
+    _diagnoseFunctions(functionBlob, variables, diagnostics) {
+        for (const functionCall of this._extractFunctionCalls()) {
+            const position = { start: functionCall.start, end: functionCall.end };
+
+            // Arity is checked against the arguments spread variables expand to, and skipped when that is unknown
+            const args = this._expandSpreadArguments(functionCall, variables);
+            const checkArity = (code) => args !== null || code !== Codes.ARITY;
+
+            if (typeof functionBlob.diagnose === 'function') {
+                const types = this._getArgumentTypes(functionCall, variables, functionBlob);
+                const argumentTypes = args === null ? types : this._expandSpreadArguments(functionCall, variables, types);
+                for (const diagnostic of functionBlob.diagnose(functionCall.name, args || functionCall.arguments, position, argumentTypes)) {
+                    if (checkArity(diagnostic.code)) {
+                        diagnostics.add(diagnostic);
+                    }
+                }
+                continue;
+            }
+
+            if (args === null) {
+                continue;
+            }
+
+            for (const message of functionBlob.validate(functionCall.name, args)) {
+                diagnostics.warning(Codes.ARITY, message, Object.assign({ function: functionCall.name }, position));
+            }
+        }
+    }
+
+    /**
+     * Check the variables that blocks depend on
+     * @private
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {TemplateDiagnostics} diagnostics - Collector for problems found
+     * @returns {Object} {excluded, bound, elements}: spans of the blocks left out by the supplied variables,
+     * each resolved ${#each} loop variable bound to its array's first element, and to each of its elements
+     */
+    _validateBlockVariables(variables, diagnostics) {
+        const result = { excluded: [], bound: {}, elements: {} };
+        const blocks = this._getBlocks();
+        if (!blocks) {
+            return result;
+        }
+
+        const decisions = {};
+        for (const marker of blocks.markers()) {
+            if (Object.prototype.hasOwnProperty.call(decisions, marker.name) && decisions[marker.name] === undefined) {
+                continue;
+            }
+
+            try {
+                decisions[marker.name] = this._resolveBlockVariable(variables, marker);
+            } catch (error) {
+                decisions[marker.name] = undefined;
+                diagnostics.error(error.code || Codes.INVALID_VARIABLE, error.message, { variable: marker.name, start: marker.start, end: marker.end });
+                continue;
+            }
+
+            if (marker.block === 'each' && decisions[marker.name] > 0) {
+                const arrayData = variables[marker.name];
+                result.elements[marker.item] = arrayData.value.map(element => bindElement(element, arrayData));
+                result.bound[marker.item] = result.elements[marker.item][0];
+            }
+        }
+
+        result.excluded = blocks.spans(name => decisions[name] === false || decisions[name] === 0);
+        return result;
+    }
+
+    /**
+     * A call's arguments with each spread placeholder repeated once per element of its array
+     * @private
+     * @param {Object} functionCall - Call from _extractFunctionCalls
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Array} [values] - One entry per argument to expand, the argument texts by default
+     * @returns {Array|null} Expanded entries, or null when a spread variable is not a supplied array
+     */
+    _expandSpreadArguments(functionCall, variables, values = functionCall.arguments) {
+        if (!functionCall.spread) {
+            return values;
+        }
+
+        const expanded = [];
+        for (let index = 0; index < values.length; index++) {
+            const spread = functionCall.spread.find(entry => entry.argument === index);
+            if (!spread) {
+                expanded.push(values[index]);
+                continue;
+            }
+
+            const [name, ...path] = spread.variable.split('.');
+            let varData;
+            try {
+                varData = this._resolveVariableData(variables, { name, path });
+            } catch (error) {
+                return null;
+            }
+
+            if (!Array.isArray(varData.value)) {
+                return null;
+            }
+
+            expanded.push(...varData.value.map(() => values[index]));
+        }
+
+        return expanded;
+    }
+
+    /**
+     * The type of each argument of a call, as far as the template tells
+     * Placeholders have their supplied or declared type put through their filter chain (a spread
+     * placeholder its array's element type), calls the type the blob says they return and literals their own.
+     * @private
+     * @param {Object} functionCall - Call from _extractFunctionCalls
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} functionBlob - HalleyFunctionBlob
+     * @returns {Array} VariableTypes, null where the type is unknown
+     */
+    _getArgumentTypes(functionCall, variables, functionBlob) {
+        const callNode = findDescendants(this.ast, 'fcall').find(node => node.start === functionCall.start && node.end === functionCall.end);
+        const argumentsNode = callNode?.children?.find(c => c.type === 'arguments');
+
+        return (argumentsNode?.children || [])
+            .filter(c => c.type === 'argument')
+            .map(argument => this._getValueType(argument, variables, functionBlob));
+    }
+
+    _getValueType(node, variables, functionBlob) {
+        const chain = RuleTemplate._collapseChain(node);
+        const last = chain[chain.length - 1];
+
+        if (last.type === 'template_value') {
+            const varInfo = this._extractVariableFromNode(last);
+            return this._getOccurrenceOutputType(varInfo, this._getVariableType(variables, varInfo));
+        }
+
+        const literal = RuleTemplate._decodeLiteral(chain);
+        if (literal) {
+            return literal.type;
+        }
+
+        const call = chain.find(c => c.type === 'fcall');
+        const functionName = call?.children?.find(c => c.type === 'fname')?.text?.trim();
+        return functionName && typeof functionBlob.returnType === 'function' ? functionBlob.returnType(functionName) : null;
+    }
+
+    /**
+     * Infer the type of each expression from literals, placeholders and the return types in a function
+     * blob, warning where an operator is given operands it cannot use or the rule is not boolean
+     * Expressions of unknown type are not checked.
+     * @private
+     * @param {Object} functionBlob - HalleyFunctionBlob
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {TemplateDiagnostics} diagnostics - Collector for problems found
+     */
+    _diagnoseExpressionTypes(functionBlob, variables, diagnostics) {
+        const warn = (message, node) => diagnostics.warning(Codes.EXPRESSION_TYPE, message, { start: node.start, end: node.end });
+        const type = this._inferExpressionType(this.ast, { functionBlob, variables, warn });
+
+        if (type && type !== 'boolean') {
+            warn(`rule must evaluate to boolean, found ${type}`, this.ast);
+        }
+    }
+
+    /**
+     * The type an expression evaluates to
+     * @private
+     * @param {Object} node - AST node
+     * @param {Object} context - {functionBlob, variables, warn}
+     * @returns {string|null} VariableType, or null when unknown
+     */
+    _inferExpressionType(node, context) {
+        const chain = RuleTemplate._collapseChain(node);
+        const last = chain[chain.length - 1];
+        if (last.type === 'template_value') {
+            const varInfo = this._extractVariableFromNode(last);
+            return this._getOccurrenceOutputType(varInfo, this._getVariableType(context.variables, varInfo));
+        }
+
+        const literal = RuleTemplate._decodeLiteral(chain);
+        if (literal) {
+            return literal.type;
+        }
+
+        if (last !== node) {
+            return this._inferExpressionType(last, context);
+        }
+
+        const children = node.children || [];
+        const operands = children.filter(child => !OperatorNodes.includes(child.type));
+        const types = operands.map(child => this._inferExpressionType(child, context));
+
+        if (node.type === 'parenthesis_expression') {
+            return types[0];
+        }
+
+        if (node.type === 'fcall') {
+            const functionName = children.find(c => c.type === 'fname')?.text?.trim();
+            return functionName && typeof context.functionBlob.returnType === 'function' ? context.functionBlob.returnType(functionName) : null;
+        }
+
+        if (node.type === 'statement' || node.type === 'not_expression') {
+            const operator = node.type === 'statement' ? children.find(c => c.type === 'logical_operator')?.text?.trim() : '!';
+            operands.forEach((operand, index) => {
+                if (operator && types[index] && types[index] !== 'boolean') {
+                    context.warn(`operand of ${operator} must be boolean, found ${types[index]}`, operand);
+                }
+            });
+
+            return operator ? 'boolean' : types[0];
+        }
+
+        if (node.type === 'standard_expression') {
+            const rhs = children[1];
+            if (rhs && rhs.type === 'basic_rhs') {
+                const operator = rhs.children.find(c => c.type === 'compare_operator').text.trim();
+                const right = rhs.children.find(c => c.type !== 'compare_operator');
+                RuleTemplate._checkComparison(operator, types[0], this._inferExpressionType(right, context), node, context);
+            } else if (rhs && rhs.type === 'between_number_expr' && types[0] && !NumericTypes.includes(types[0])) {
+                context.warn(`BETWEEN expects a number, found ${types[0]}`, children[0]);
+            }
+
+            return rhs ? 'boolean' : types[0];
+        }
+
+        if (node.type === 'math_expr') {
+            operands.forEach((operand, index) => {
+                if (types[index] && !NumericTypes.includes(types[index])) {
+                    const operator = children.filter(c => c.type === 'math_operator')[Math.max(index - 1, 0)].text.trim();
+                    context.warn(`cannot use ${types[index]} in arithmetic with ${operator}`, operand);
+                }
+            });
+
+            return 'number';
+        }
+
+        return null;
+    }
+
+    static _checkComparison(operator, left, right, node, context) {
+        if (!left || !right) {
+            return;
+        }
+
+        const comparable = left === right || (NumericTypes.includes(left) && NumericTypes.includes(right));
+        const ordered = !OrderingOperators.includes(operator) || (OrderedTypes.includes(left) && OrderedTypes.includes(right));
+        if (!comparable || !ordered) {
+            context.warn(`cannot compare ${left} with ${right} using ${operator}`, node);
+        }
+    }
+
+    // A placeholder's type from the supplied variables, or else from the manifest
+    _getVariableType(variables, varInfo) {
+        try {
+            const varData = this._resolveVariableData(variables, varInfo);
+            if (varData && typeof varData === 'object' && varData.type) {
+                return varData.type;
+            }
+        } catch (error) {
+            // Not supplied, fall back to the declared type
+        }
+
+        return this.manifest?.get(RuleTemplate._formatVariablePath(varInfo))?.type || null;
+    }
+
+    _extractFunctionCalls() {
+        const functionCalls = [];
+
+        const traverse = (node) => {
+            if (!node) return;
+
+            if (node.type === 'fcall') {
+                const functionName = node.children?.find(c => c.type === 'fname')?.text?.trim();
+                const argumentsNode = node.children?.find(c => c.type === 'arguments');
+                if (functionName) {
+                    const argumentNodes = argumentsNode?.children?.filter(c => c.type === 'argument') || [];
+                    const functionCall = {
+                        name: functionName,
+                        start: node.start,
+                        end: node.end,
+                        arguments: argumentNodes.map(c => c.text)
+                    };
+
+                    const spread = [];
+                    argumentNodes.forEach((argument, index) => {
+                        const placeholder = getSpreadPlaceholder(argument);
+                        if (placeholder) {
+                            spread.push({ argument: index, variable: RuleTemplate._formatVariablePath(this._extractVariableFromNode(placeholder)) });
+                        }
+                    });
+
+                    if (spread.length > 0) {
+                        functionCall.spread = spread;
+                    }
+
+                    functionCalls.push(functionCall);
+                }
+            }
+
+            if (node.children) {
+                for (const child of node.children) {
+                    traverse(child);
+                }
+            }
+        };
+
+        traverse(this.ast);
+        return functionCalls;
+    }
+
+    _extractTemplateVariables() {
+        const variables = [];
+
+        const traverse = (node, ancestors) => {
+            if (!node) return;
+
+            if (node.type === 'template_value') {
+                const variableInfo = this._extractVariableFromNode(node);
+                if (variableInfo) {
+                    variableInfo.node = node;
+                    variableInfo.ancestors = ancestors;
+                    variables.push(variableInfo);
+                }
+            }
+
+            if (node.children) {
+                const childAncestors = ancestors.concat([node]);
+                for (const child of node.children) {
+                    traverse(child, childAncestors);
+                }
+            }
+        };
+
+        traverse(this.ast, []);
+        return variables;
+    }
+
+    /**
+     * Work out which variable types (after filters) may fill the position a placeholder occupies
+     * Walks up through the ancestors spanning exactly the placeholder, then allows every type
+     * whose grammar atom is derivable from that position.
+     * @private
+     * @param {Object} varInfo - Variable info from _extractTemplateVariables
+     * @returns {Array} Compatible VariableTypes
+     */
+    _getSlotTypes(varInfo) {
+        const ancestors = varInfo.ancestors || [];
+        const parent = ancestors[ancestors.length - 1];
+        const chain = RuleTemplate._getSlotChain(ancestors, varInfo.node);
+
+        if (chain.some(type => UntypedSlots.includes(type))) {
+            return VariableTypes.slice();
+        }
+
+        // ${AMOUNT} HOURS - the placeholder only provides the number
+        if (chain.length === 0 && parent?.type === 'number_time_atom' && parent.children?.some(c => c.type === 'unit')) {
+            return ['number'];
+        }
+
+        const rules = new Set();
+        for (const type of (chain.length > 0 ? chain : [parent?.type])) {
+            for (const ruleName of getUnitClosure(type)) {
+                rules.add(ruleName);
+            }
+        }
+
+        const slotTypes = VariableTypes.filter(type => SlotTypeMapping[type].some(ruleName => rules.has(ruleName)));
+        return slotTypes.length > 0 ? slotTypes : VariableTypes.slice();
+    }
+
+    /**
+     * Types of the ancestors spanning exactly a placeholder, innermost first. The innermost is whichever
+     * grammar alternative took the placeholder, the outermost is the slot it fills, such as a function
+     * argument or an operand
+     * @private
+     * @param {Array} ancestors - Ancestors of the template_value node, root first
+     * @param {Object} node - The template_value node
+     * @returns {Array} Node types
+     */
+    static _getSlotChain(ancestors, node) {
+        const placeholderText = (node?.text || '').trim();
+        const chain = [];
+
+        for (let idx = ancestors.length - 1; idx >= 0; idx--) {
+            if ((ancestors[idx].text || '').trim() !== placeholderText) {
+                break;
+            }
+
+            chain.push(ancestors[idx].type);
+        }
+
+        return chain;
+    }
+
+    /**
+     * Check that a supplied variable type can legally fill the placeholder's position
+     * @private
+     * @returns {string|null} Error message, or null when compatible or undecidable
+     */
+    _validateSlotType(variables, varInfo) {
+        let varData;
+        try {
+            varData = this._resolveVariableData(variables, varInfo);
+        } catch (error) {
+            return null;
+        }
+
+        if (!varData.type || !VariableTypes.includes(varData.type)) {
+            return null;
+        }
+
+        if (varInfo.spread && !Object.prototype.hasOwnProperty.call(ArrayElementTypes, varData.type)) {
+            return `Variable '${RuleTemplate._formatVariablePath(varInfo)}' of type '${varData.type}' cannot be spread, expected an array type`;
+        }
+
+        const outputType = RuleTemplate._getFilterChainOutputType(varInfo.spread ? ArrayElementTypes[varData.type] : varData.type, varInfo.filterCalls);
+        if (!outputType) {
+            return null;
+        }
+
+        const slotTypes = this._getSlotTypes(varInfo);
+        if (slotTypes.includes(outputType)) {
+            return null;
+        }
+
+        const varName = RuleTemplate._formatVariablePath(varInfo);
+        const typeDescription = outputType === varData.type
+            ? `type '${varData.type}'`
+            : `type '${varData.type}' (${outputType} after filters)`;
+        const slotName = varInfo.ancestors?.[varInfo.ancestors.length - 1]?.type || 'template';
+
+        return `Variable '${varName}' of ${typeDescription} cannot be used in a ${slotName} position, expected ${slotTypes.join(', ')}`;
+    }
+
+    /**
+     * Determine the type a filter chain produces for a given input type
+     * @private
+     * @returns {string|null|undefined} Output type, null if the chain rejects the input type,
+     * or undefined when a filter's output type is unknown
+     */
+    static _getFilterChainOutputType(inputType, filterCalls = []) {
+        let type = inputType;
+
+        for (const filter of filterCalls) {
+            const filterName = typeof filter === 'string' ? filter : filter?.name;
+            if (filterName === 'default') {
+                continue;
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(FilterOutputTypes, filterName)) {
+                return undefined;
+            }
+
+            const acceptedTypes = FilterInputTypes[filterName];
+            if (acceptedTypes && !acceptedTypes.includes(type)) {
+                return null;
+            }
+
+            type = FilterOutputTypes[filterName];
+        }
+
+        return type;
+    }
+
+    /**
+     * Prepare the template by replacing variables with their values
+     * Rebuilds from AST by iterating through children
+     * With `partial` set, placeholders whose variable is not supplied are kept verbatim
+     * (filter chain included) and a new RuleTemplate is returned so it can be prepared later
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} [options] - Optional {partial: boolean}
+     * @returns {string|RuleTemplate} The prepared rule string, or a RuleTemplate when partial
+     */
+    prepare(variables, options = {}){
+        if (!variables || typeof variables !== 'object') {
+            throw new Error('Variables must be provided as an object');
+        }
+
+        // Defaults are left out of partial preparation so later stages can still supply those variables
+        variables = this._applyManifest(variables, { defaults: !options.partial });
+
+        const selected = this._selectBlocks(variables, options);
+        let prepared;
+        try {
+            // With options.partial the rule string is rebuilt from the AST, keeping unsupplied placeholders
+            prepared = options.partial
+                ? selected.template._rebuildFromAST(selected.template.ast, selected.variables, options)
+                : selected.template._renderPlan(selected.variables);
+        } catch (error) {
+            if (selected.template !== this) {
+                this._relocateError(error, selected.aliases);
+            }
+
+            throw error;
+        }
+
+        return options.partial ? RuleTemplate.parse(prepared, { manifest: this.manifest }) : prepared;
+    }
+
+    /**
+     * Prepare the template once per variable set, a set that fails does not stop the others
+     * Each set goes through prepare(), the parsed template and its block variants are shared between sets.
+     * @param {Array} variableSets - Array of objects mapping variable names to {value, type} objects
+     * @returns {Array} One {index, valid, prepared, errors, warnings, diagnostics} result per set, in order,
+     * prepared is the rule text or null when the set failed, whose diagnostic names the variable and placeholder it failed at
+     */
+    prepareMany(variableSets) {
+        return TemplateDiagnostics.prepareEach(variableSets, variables => this.prepare(variables));
+    }
+
+    /**
+     * Point an error raised while rendering a block variant at the placeholder in this template
+     * Variants are rendered without their block markers, so their positions do not match the template's.
+     * @private
+     * @param {Error} error - Error with the variable, start and end it was raised at
+     * @param {Object} aliases - Loop variable names of each ${#each} copy, mapped to the loop variable
+     */
+    _relocateError(error, aliases = {}) {
+        if (error.variable === undefined || error.start === undefined) {
+            return;
+        }
+
+        const name = error.variable.replace(/^[^.[]+/, root => aliases[root] || root);
+        const occurrence = this._extractTemplateVariables().find(varInfo => RuleTemplate._formatVariablePath(varInfo) === name);
+        Object.assign(error, { variable: name, start: occurrence?.start, end: occurrence?.end });
+    }
+
+    /**
+     * The rule text split into literal text and the slots placeholders fill, built on first use
+     * @private
+     * @returns {Object} {literals, slots}, literals holds one more entry than slots
+     */
+    _getPlan() {
+        if (!this._plan) {
+            this._plan = { literals: [''], slots: [] };
+            this._planNode(this.ast, this._plan);
+        }
+
+        return this._plan;
+    }
+
+    // Mirrors _rebuild, recording placeholders as slots instead of replacing them
+    _planNode(node, plan) {
+        const isSpreadArguments = node.type === 'arguments' && node.children.some(child => getSpreadPlaceholder(child));
+        if (node.type === 'template_value' || isSpreadArguments) {
+            plan.slots.push({ node, templateInfo: isSpreadArguments ? null : this._extractVariableFromNode(node) });
+            plan.literals.push('');
+            return;
+        }
+
+        const append = (text) => {
+            plan.literals[plan.literals.length - 1] += text;
+        };
+
+        if (!node.children || node.children.length === 0) {
+            append(node.text || '');
+            return;
+        }
+
+        const ruleText = this._getRuleText();
+        let lastEnd = node.start || 0;
+        for (const child of node.children) {
+            if (child.start !== undefined && child.start > lastEnd) {
+                append(ruleText.substring(lastEnd, child.start));
+            }
+
+            this._planNode(child, plan);
+            if (child.end !== undefined) {
+                lastEnd = child.end;
+            }
+        }
+
+        if (node.end !== undefined && lastEnd < node.end) {
+            append(ruleText.substring(lastEnd, node.end));
+        }
+    }
+
+    _renderPlan(variables) {
+        const { literals, slots } = this._getPlan();
+        let result = literals[0];
+        slots.forEach((slot, index) => {
+            result += slot.templateInfo
+                ? this._computeTemplateReplacement(slot.node, variables, slot.templateInfo)
+                : this._rebuildFromAST(slot.node, variables);
+            result += literals[index + 1];
+        });
+
+        return result;
+    }
+
+    /**
+     * Resolve the template's blocks for the supplied variables
+     * ${#each} blocks are repeated per element, each copy's loop variable bound to a generated variable.
+     * Rendered variants are parsed once and cached, they only depend on conditions and element counts.
+     * @private
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} [options] - Options passed to prepare(), with `partial` undecided blocks are kept
+     * @returns {Object} {template, variables}, the template without decided blocks (this template when
+     * nothing is decided) and the variables with loop bindings added
+     */
+    _selectBlocks(variables, options = {}) {
+        const blocks = this._getBlocks();
+        if (!blocks) {
+            return { template: this, variables };
+        }
+
+        const decisions = {};
+        const bound = {};
+        const aliases = {};
+        for (const marker of blocks.markers()) {
+            if (options.partial && !Object.prototype.hasOwnProperty.call(variables, marker.name)) {
+                continue;
+            }
+
+            try {
+                decisions[marker.name] = this._resolveBlockVariable(variables, marker);
+            } catch (error) {
+                throw Object.assign(error, { variable: marker.name, start: marker.start, end: marker.end });
+            }
+
+            if (marker.block === 'each') {
+                const arrayData = variables[marker.name];
+                arrayData.value.forEach((element, index) => {
+                    bound[TemplateBlocks.itemName(marker.item, index)] = bindElement(element, arrayData);
+                    aliases[TemplateBlocks.itemName(marker.item, index)] = marker.item;
+                });
+            }
+        }
+
+        if (Object.keys(decisions).length === 0) {
+            return { template: this, variables };
+        }
+
+        const key = JSON.stringify(decisions);
+        if (!this._blockVariants) {
+            this._blockVariants = new Map();
+        }
+
+        if (!this._blockVariants.has(key)) {
+            this._blockVariants.set(key, RuleTemplate.parse(blocks.render(name => decisions[name]), { manifest: this.manifest }));
+        }
+
+        return { template: this._blockVariants.get(key), variables: Object.assign({}, variables, bound), aliases };
+    }
+
+    /**
+     * Read how a block variable decides its block
+     * @private
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} marker - Opening marker from TemplateBlocks#markers
+     * @returns {boolean|number} Whether an ${#if} block is included, or the element count of an ${#each} array
+     */
+    _resolveBlockVariable(variables, marker) {
+        const { name } = marker;
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+            throw variableError(Codes.MISSING_VARIABLE, `Variable '${name}' not provided in variables object`);
+        }
+
+        const varData = RuleTemplate._requireVariableObject(variables[name], name);
+        if (marker.block === 'if') {
+            if (varData.type !== 'boolean') {
+                throw variableError(Codes.TYPE_MISMATCH, `Block condition '${name}' must be a variable of type 'boolean'`);
+            }
+
+            if (typeof varData.value !== 'boolean') {
+                throw variableError(Codes.INVALID_VALUE, `Invalid value for variable '${name}': ${VariableValidate.validate(varData).error || 'expected a boolean'}`);
+            }
+
+            return varData.value;
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(ArrayElementTypes, varData.type)) {
+            throw variableError(Codes.TYPE_MISMATCH, `Block array '${name}' must be a variable of type ${Object.keys(ArrayElementTypes).map(type => `'${type}'`).join(', ')}`);
+        }
+
+        const validation = VariableValidate.validate(varData);
+        if (!validation.valid) {
+            throw variableError(Codes.INVALID_VALUE, `Invalid value for variable '${name}': ${validation.error}`);
+        }
+
+        if (varData.value.length === 0 && marker.empty === 'error') {
+            throw variableError(Codes.INVALID_VALUE, `Variable '${name}' must not be empty, its \${#each} block has no empty value`);
+        }
+
+        return varData.value.length;
+    }
+
+    /**
+     * Fill in manifest-declared types and defaults for the supplied variables
+     * @private
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} [options] - Options passed to TemplateManifest#resolveVariables
+     * @returns {Object} Variables object
+     */
+    _applyManifest(variables, options) {
+        return this.manifest ? this.manifest.resolveVariables(variables, options) : variables;
+    }
+
+    /**
+     * Rebuild rule string from AST node, replacing template_value nodes with variable values
+     * @private
+     * @param {Object} node - AST node
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} [options] - Options passed to prepare()
+     * @returns {string} Rebuilt string
+     */
+    _rebuildFromAST(node, variables, options = {}) {
+        const replace = (current) => {
+            if (current.type === 'arguments' && current.children.some(child => getSpreadPlaceholder(child))) {
+                return this._rebuildSpreadArguments(current, replace);
+            }
+
+            // If this is a template_value node, replace it with the computed value
+            if (current.type !== 'template_value') {
+                return undefined;
+            }
+
+            try {
+                return this._computeTemplateReplacement(current, variables);
+            } catch (error) {
+                // Unsupplied variables stay as placeholders for a later prepare()
+                if (options.partial && error.code === Codes.MISSING_VARIABLE) {
+                    return current.text;
+                }
+
+                throw error;
+            }
+        };
+
+        return this._rebuild(node, replace);
+    }
+
+    /**
+     * Rebuild an argument list containing spread placeholders
+     * An empty array spreads to no arguments at all, so its separator is dropped with it
+     * @private
+     * @param {Object} argumentsNode - arguments AST node
+     * @param {Function} replace - Replacement callback passed to _rebuild
+     * @returns {string} Rebuilt argument list
+     */
+    _rebuildSpreadArguments(argumentsNode, replace) {
+        const texts = new Map();
+        for (const argument of argumentsNode.children) {
+            texts.set(argument, this._rebuild(argument, replace));
+        }
+
+        if (Array.from(texts.values()).every(text => text.trim() !== '')) {
+            return this._rebuild(argumentsNode, current => current === argumentsNode ? undefined : texts.get(current));
+        }
+
+        return Array.from(texts.values()).map(text => text.trim()).filter(text => text !== '').join(', ');
+    }
+
+    /**
+     * Gap-preserving rebuild of an AST node
+     * Text between children (operators, punctuation, whitespace) is copied from the original
+     * @private
+     * @param {Object} node - AST node
+     * @param {Function} replace - Called for each node, returns replacement text or undefined to keep rebuilding
+     * @returns {string} Rebuilt string
+     */
+    _rebuild(node, replace) {
+        if (!node) return '';
+
+        const replacement = replace(node);
+        if (replacement !== undefined) {
+            return replacement;
+        }
+        
+        // If node has no children, it's a leaf - return its text
+        if (!node.children || node.children.length === 0) {
+            return node.text || '';
+        }
+        
+        // Node has children - rebuild by iterating through children and preserving gaps
+        // Gaps come from the rule text rather than node text, so block markers between tokens are kept
+        let result = '';
+        const ruleText = this._getRuleText();
+        let lastEnd = node.start || 0;
+        
+        for (const child of node.children) {
+            // Add any text between the last child's end and this child's start (gaps/syntax)
+            if (child.start !== undefined && child.start > lastEnd) {
+                result += ruleText.substring(lastEnd, child.start);
+            }
+            
+            // Add the child's rebuilt text
+            result += this._rebuild(child, replace);
+            
+            // Update lastEnd to this child's end position
+            if (child.end !== undefined) {
+                lastEnd = child.end;
+            }
+        }
+        
+        // Add any remaining text after the last child
+        if (node.end !== undefined && lastEnd < node.end) {
+            result += ruleText.substring(lastEnd, node.end);
+        }
+        
+        return result;
+    }
+
+    /**
+     * Compare two revisions of a template by their ASTs, ignoring whitespace between tokens
+     * Changes are {kind, change, name?, before, after}, where before and after are {start, end, text}
+     * spans in each revision's rule text (null for an added or removed part) and kind is one of:
+     * - 'variable': added, removed, or changed manifest declaration (adds {declaration: {before, after}})
+     * - 'filter': a variable's filter chain changed (adds {filters: {before, after}})
+     * - 'function': a call added, removed, renamed (adds {previousName}) or with changed arguments
+     * - 'structure': the smallest edited part of the rule, with the grammar `node` it is
+     * @param {RuleTemplate|string} before - Earlier revision, or its template text
+     * @param {RuleTemplate|string} after - Later revision, or its template text
+     * @returns {Object} {equal: boolean, changes: []}
+     */
+    static diff(before, after) {
+        const describe = (template) => {
+            const parsed = typeof template === 'string' ? RuleTemplate.parse(template) : template;
+            if (!(parsed instanceof RuleTemplate)) {
+                throw new Error('Templates to compare must be RuleTemplate instances or template text');
+            }
+
+            return parsed._describeRevision(parsed.manifest);
+        };
+
+        return TemplateDiff.compare(describe(before), describe(after));
+    }
+
+    /**
+     * The template as TemplateDiff.compare() takes it
+     * @private
+     * @param {TemplateManifest|null} manifest - Manifest variable declarations are compared against
+     * @returns {Object} {ruleText, ast, variables, manifest}
+     */
+    _describeRevision(manifest) {
+        return { ruleText: this._getRuleText(), ast: this.ast, variables: this._extractTemplateVariables(), manifest };
+    }
+
+    /**
+     * Hash the structure of the rule, for finding templates that only differ in layout
+     * Whitespace between tokens never counts. With ignoreVariableNames, variables are numbered in order
+     * of first use, so consistently renamed templates match; with ignoreLiterals, strings, numbers,
+     * times and booleans only count by their kind. The manifest is not part of the fingerprint.
+     * @param {Object} [options] - Optional {ignoreVariableNames: boolean, ignoreLiterals: boolean}
+     * @returns {string} 8 character hex digest, the same in every runtime
+     */
+    fingerprint(options = {}) {
+        const names = new Map();
+        const rename = (name) => {
+            if (!options.ignoreVariableNames) {
+                return name;
+            }
+
+            if (!names.has(name)) {
+                names.set(name, `$${names.size}`);
+            }
+
+            return names.get(name);
+        };
+
+        return TemplateHash.hashValue(this._fingerprintNode(this.ast, options, rename));
+    }
+
+    /**
+     * Group templates whose fingerprints match
+     * @param {Array} templates - RuleTemplate instances or template text
+     * @param {Object} [options] - Options for fingerprint()
+     * @returns {Array} Array of {fingerprint, templates, indexes} groups in order of first appearance,
+     * holding the templates as given and their indexes in the list
+     */
+    static groupByFingerprint(templates, options = {}) {
+        if (!Array.isArray(templates)) {
+            throw new Error('Templates must be provided as an array');
+        }
+
+        const groups = new Map();
+        templates.forEach((template, index) => {
+            const parsed = typeof template === 'string' ? RuleTemplate.parse(template) : template;
+            if (!(parsed instanceof RuleTemplate)) {
+                throw new Error('Templates to group must be RuleTemplate instances or template text');
+            }
+
+            const fingerprint = parsed.fingerprint(options);
+            if (!groups.has(fingerprint)) {
+                groups.set(fingerprint, { fingerprint, templates: [], indexes: [] });
+            }
+
+            groups.get(fingerprint).templates.push(template);
+            groups.get(fingerprint).indexes.push(index);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    // Nested [type, ...] arrays of a node's children and the whitespace-free gaps between them
+    _fingerprintNode(node, options, rename) {
+        if (!node.children || node.children.length === 0) {
+            const text = (node.text || '').trim();
+            if (options.ignoreLiterals && Object.prototype.hasOwnProperty.call(LiteralKinds, node.type)) {
+                return [LiteralKinds[node.type]];
+            }
+
+            if (node.type === 'template_path') {
+                const [root, ...path] = text.replace(/\s+/g, '').split('.');
+                return [node.type, [rename(root), ...path].join('.')];
+            }
+
+            return [node.type, node.type === 'string' ? text : text.replace(/\s+/g, ' ')];
+        }
+
+        const ruleText = this._getRuleText();
+        const gap = (start, end) => ruleText.substring(start, end)
+            .replace(BlockVariablePattern, (marker, opening, name, as, item) => opening + rename(name) + (as ? as + rename(item) : ''))
+            .replace(/\s+/g, '');
+
+        const parts = [node.type];
+        let lastEnd = node.start;
+        for (const child of node.children) {
+            parts.push(gap(lastEnd, child.start), this._fingerprintNode(child, options, rename));
+            lastEnd = child.end;
+        }
+
+        parts.push(gap(lastEnd, node.end));
+        return parts;
+    }
+
+    /**
+     * Regenerate the template from its AST in a canonical style
+     * Tokens are separated by single spaces, with none inside brackets, before a comma or between a
+     * function name and its arguments, and placeholders are written without spacing: ${NAME|filter(a, b)}.
+     * A boolean chain that does not fit in maxLength is broken before each && and ||, one operand per
+     * line and indented one level, a chain inside parentheses one level further in. Block markers are
+     * kept, ${> NAME} includes are inlined and a manifest block is left as written.
+     * @param {Object} [options] - Optional {indent, maxLength}, spaces per indentation level (4 by default)
+     * and the line length past which chains are broken (80 by default, 0 never breaks them)
+     * @returns {string} Formatted template text, parsing to the same AST as the template
+     * @throws {Error} When an option is invalid
+     */
+    format(options = {}) {
+        const layout = RuleTemplate._formatLayout(options);
+        const text = this._replaceRuleText(this._formatNode(this.ast, layout, 0, true));
+
+        // Only whitespace may change, anything else is a formatter bug
+        const reparsed = RuleTemplate.parse(text);
+        if (!TemplateDiff.compare(this._describeRevision(null), reparsed._describeRevision(null)).equal) {
+            throw new Error('Formatting changed the structure of the rule');
+        }
+
+        return text;
+    }
+
+    static _formatLayout(options) {
+        if (!options || typeof options !== 'object') {
+            throw new Error('Format options must be provided as an object');
+        }
+
+        const layout = Object.assign({}, FormatDefaults, options);
+        for (const name of Object.keys(FormatDefaults)) {
+            if (!Number.isInteger(layout[name]) || layout[name] < 0) {
+                throw new Error(`Format option '${name}' must be a non-negative integer`);
+            }
+        }
+
+        return { indent: ' '.repeat(layout.indent), maxLength: layout.maxLength };
+    }
+
+    /**
+     * Format a node and everything under it
+     * @private
+     * @param {Object} node - AST node
+     * @param {Object} layout - {indent, maxLength} from _formatLayout
+     * @param {number} depth - Indentation level of the line the node starts on
+     * @param {boolean} breakable - Whether a boolean chain in the node may be broken across lines
+     * @returns {string} Formatted text
+     */
+    _formatNode(node, layout, depth, breakable) {
+        if (node.type === 'template_value') {
+            return this._formatPlaceholder(node, layout);
+        }
+
+        if (!node.children || node.children.length === 0) {
+            const text = (node.text || '').trim();
+            return node.type === 'string' ? text : text.replace(/\s+/g, ' ');
+        }
+
+        const isChain = node.type === 'statement' && node.children.some(child => child.type === 'logical_operator');
+        if (breakable && isChain && layout.maxLength > 0) {
+            const flat = this._formatNode(node, layout, depth, false);
+            if (depth * layout.indent.length + flat.length <= layout.maxLength) {
+                return flat;
+            }
+
+            const pieces = this._formatPieces(node, layout, depth + 1, true);
+            return RuleTemplate._joinPieces(pieces, `\n${layout.indent.repeat(depth + 1)}`);
+        }
+
+        return RuleTemplate._joinPieces(this._formatPieces(node, layout, depth, breakable && ChainNodes.includes(node.type)));
+    }
+
+    // A node's formatted children with the tokens of the gaps between them, as {type, text} pieces
+    _formatPieces(node, layout, depth, breakable) {
+        const ruleText = this._getRuleText();
+        const pieces = [];
+        let lastEnd = node.start;
+
+        for (const child of node.children) {
+            pieces.push(...RuleTemplate._gapTokens(ruleText.substring(lastEnd, child.start)));
+            pieces.push({ type: child.type, text: this._formatNode(child, layout, depth, breakable) });
+            lastEnd = child.end;
+        }
+
+        pieces.push(...RuleTemplate._gapTokens(ruleText.substring(lastEnd, node.end)));
+        return pieces;
+    }
+
+    static _gapTokens(gap) {
+        return Array.from(gap.matchAll(GapTokenPattern), ([token]) => ({
+            type: 'gap',
+            text: token.startsWith('${') ? `\${${token.slice(2, -1).trim().replace(/\s+/g, ' ')}}` : token
+        }));
+    }
+
+    /**
+     * Join formatted pieces with single spaces, or none around brackets and separators
+     * @private
+     * @param {Array} pieces - {type, text} pieces from _formatPieces
+     * @param {string} [lineBreak] - Text to put before each logical operator instead of a space
+     * @returns {string} Joined text
+     */
+    static _joinPieces(pieces, lineBreak = null) {
+        return pieces.reduce((text, piece, index) => {
+            if (index === 0) {
+                return piece.text;
+            }
+
+            if (lineBreak && piece.type === 'logical_operator') {
+                return text + lineBreak + piece.text;
+            }
+
+            const previous = pieces[index - 1];
+            const attached = (previous.type === 'gap' && OpeningTokens.includes(previous.text))
+                || (piece.type === 'gap' && ClosingTokens.includes(piece.text))
+                || (piece.type === 'gap' && piece.text === '(' && previous.type === 'fname');
+
+            return text + (attached ? '' : ' ') + piece.text;
+        }, '');
+    }
+
+    _formatPlaceholder(node, layout) {
+        const expression = node.children.find(child => child.type === 'template_expr');
+        const parts = expression.children.map(part => {
+            if (part.type === 'template_filter_call') {
+                return this._formatFilterCall(part, layout);
+            }
+
+            // Path, pipe and spread tokens only lose their spacing
+            return part.text.replace(/\s+/g, '');
+        });
+
+        return `\${${parts.join('')}}`;
+    }
+
+    _formatFilterCall(node, layout) {
+        const nameNode = node.children.find(child => child.type === 'template_filter_name');
+        const argsNode = node.children.find(child => child.type === 'template_filter_args');
+        if (!argsNode && !this._getRuleText().substring(nameNode.end, node.end).includes('(')) {
+            return nameNode.text.trim();
+        }
+
+        const args = (argsNode ? argsNode.children : [])
+            .filter(child => child.type === 'template_filter_arg')
+            .map(arg => this._formatNode(arg, layout, 0, false));
+
+        return `${nameNode.text.trim()}(${args.join(', ')})`;
+    }
+
+    /**
+     * Rename or migrate function calls throughout the template
+     * Each mapping entry is either the new function name or {name, arguments}, where arguments
+     * lists, in order, the index of an existing argument to keep or {value} text to insert.
+     * Arguments left out of the list are dropped. The rest of the template is rebuilt gap-preserving,
+     * with any ${> NAME} includes inlined.
+     * @param {Object} mapping - Object mapping function names to a new name or {name, arguments}
+     * @param {Object} [options] - Optional {dryRun: boolean}, list changes without rewriting
+     * @returns {Object} {text, changes: [{function, name, start, end, before, after}]}, text is unchanged on a dry run
+     * @throws {Error} When the mapping is invalid, or the rewritten template no longer parses
+     */
+    rewriteFunctions(mapping, options = {}) {
+        if (!mapping || typeof mapping !== 'object') {
+            throw new Error('Function mapping must be provided as an object');
+        }
+
+        const rewrites = {};
+        for (const [functionName, spec] of Object.entries(mapping)) {
+            rewrites[functionName] = RuleTemplate._normalizeFunctionRewrite(functionName, spec);
+        }
+
+        const changes = [];
+        const replace = (node) => {
+            if (node.type !== 'fcall') {
+                return undefined;
+            }
+
+            const fnameNode = node.children?.find(c => c.type === 'fname');
+            const functionName = fnameNode?.text?.trim();
+            if (!functionName || !Object.prototype.hasOwnProperty.call(rewrites, functionName)) {
+                return undefined;
+            }
+
+            const rewrite = rewrites[functionName];
+            const newName = rewrite.name || functionName;
+            let after;
+
+            if (rewrite.arguments) {
+                const argumentsNode = node.children.find(c => c.type === 'arguments');
+                const argumentNodes = (argumentsNode?.children || []).filter(c => c.type === 'argument');
+                // Only kept arguments are rebuilt, so calls inside dropped ones are not reported
+                const newArgs = rewrite.arguments
+                    .map(entry => {
+                        if (typeof entry !== 'number') {
+                            return entry.value;
+                        }
+
+                        return argumentNodes[entry] ? this._rebuild(argumentNodes[entry], replace).trim() : undefined;
+                    })
+                    .filter(arg => arg !== undefined);
+
+                after = `${newName}(${newArgs.join(', ')})`;
+            } else {
+                // Plain renames keep the call's own spacing
+                after = this._rebuild(node, current => {
+                    if (current === node) {
+                        return undefined;
+                    }
+
+                    return current === fnameNode ? newName : replace(current);
+                });
+            }
+
+            changes.push({ function: functionName, name: newName, start: node.start, end: node.end, before: this._getRuleText().substring(node.start, node.end), after });
+            return after;
+        };
+
+        const rebuilt = this._rebuild(this.ast, replace);
+        changes.sort((a, b) => a.start - b.start);
+
+        // Inserted argument text is not checked on its own, the rewritten template has to parse as a whole
+        const text = this._replaceRuleText(rebuilt);
+        try {
+            RuleTemplate.parse(text);
+        } catch (error) {
+            throw new Error(`Rewriting functions produced a template that does not parse: ${error.message}`);
+        }
+
+        return {
+            text: options.dryRun ? this.ruleTemplateText : text,
+            changes
+        };
+    }
 
-            if (node.type === 'fcall') {
-                const functionName = node.children?.find(c => c.type === 'fname')?.text?.trim();
-                const argumentsNode = node.children?.find(c => c.type === 'arguments');
-                if (functionName) {
-                    functionCalls.push({
-                        name: functionName,
-                        arguments: argumentsNode?.children
-                            ?.filter(c => c.type === 'argument')
-                            .map(c => c.text) || []
-                    });
-                }
-            }
+    /**
+     * Rewrite calls to deprecated functions into the replacements the function blob describes
+     * Only replacements the blob reports as safe are applied, other deprecated calls are left for
+     * validate() to warn about.
+     * @param {Object} functionBlob - HalleyFunctionBlob
+     * @param {Object} [options] - Optional {dryRun: boolean}, list changes without rewriting
+     * @returns {Object} {text, changes} as from rewriteFunctions
+     */
+    applyBlobFixes(functionBlob, options = {}) {
+        if (!functionBlob || typeof functionBlob.safeReplacement !== 'function') {
+            throw new Error('A function blob must be provided');
+        }
 
-            if (node.children) {
-                for (const child of node.children) {
-                    traverse(child);
-                }
+        const mapping = {};
+        for (const definition of functionBlob.functions.filter(definition => definition.deprecated)) {
+            const replacement = functionBlob.safeReplacement(definition.name);
+            if (replacement) {
+                mapping[definition.name] = replacement;
             }
-        };
+        }
 
-        traverse(this.ast);
-        return functionCalls;
+        return this.rewriteFunctions(mapping, options);
     }
 
-    _extractTemplateVariables() {
-        const variables = [];
+    static _normalizeFunctionRewrite(functionName, spec) {
+        if (typeof spec === 'string') {
+            return { name: spec };
+        }
 
-        const traverse = (node) => {
-            if (!node) return;
+        if (!spec || typeof spec !== 'object') {
+            throw new Error(`Invalid rewrite for function '${functionName}'`);
+        }
 
-            if (node.type === 'template_value') {
-                const variableInfo = this._extractVariableFromNode(node);
-                if (variableInfo) {
-                    variables.push(variableInfo);
-                }
+        if (spec.name !== undefined && typeof spec.name !== 'string') {
+            throw new Error(`Invalid rewrite for function '${functionName}': name must be a string`);
+        }
+
+        if (spec.arguments !== undefined) {
+            if (!Array.isArray(spec.arguments)) {
+                throw new Error(`Invalid rewrite for function '${functionName}': arguments must be an array`);
             }
 
-            if (node.children) {
-                for (const child of node.children) {
-                    traverse(child);
+            for (const entry of spec.arguments) {
+                const isIndex = Number.isInteger(entry) && entry >= 0;
+                const isInsert = entry && typeof entry === 'object' && typeof entry.value === 'string';
+                if (!isIndex && !isInsert) {
+                    throw new Error(`Invalid rewrite for function '${functionName}': arguments must be argument indexes or {value} objects`);
                 }
             }
-        };
+        }
 
-        traverse(this.ast);
-        return variables;
+        return { name: spec.name, arguments: spec.arguments };
     }
 
     /**
-     * Prepare the template by replacing variables with their values
-     * Rebuilds from AST by iterating through children
-     * @param {Object} variables - Object mapping variable names to {value, type} objects
-     * @returns {string} The prepared rule string
+     * The rule part of the template text, with includes expanded, which AST positions refer to
+     * Without includes the manifest block and leading whitespace are blanked, so offsets match the template text.
+     * @private
+     * @returns {string} Rule text
      */
-    prepare(variables){
-        if (!variables || typeof variables !== 'object') {
-            throw new Error('Variables must be provided as an object');
+    _getRuleText() {
+        if (this._ruleText === undefined) {
+            this._ruleText = RuleTemplate._paddedRuleText(this.ruleTemplateText);
         }
 
-        // Rebuild the rule string from AST
-        return this._rebuildFromAST(this.ast, variables);
+        return this._ruleText;
+    }
+
+    static _paddedRuleText(templateText) {
+        const { text, offset } = RuleTemplate._ruleSource(templateText);
+        return ' '.repeat(offset) + text;
     }
 
     /**
-     * Rebuild rule string from AST node, replacing template_value nodes with variable values
+     * Block markers in the rule text, found on first use
      * @private
-     * @param {Object} node - AST node
-     * @param {Object} variables - Object mapping variable names to {value, type} objects
-     * @returns {string} Rebuilt string
+     * @returns {TemplateBlocks|null} Blocks, or null when the template has none
      */
-    _rebuildFromAST(node, variables) {
-        if (!node) return '';
-        
-        // If this is a template_value node, replace it with the computed value
-        if (node.type === 'template_value') {
-            return this._computeTemplateReplacement(node, variables);
-        }
-        
-        // If node has no children, it's a leaf - return its text
-        if (!node.children || node.children.length === 0) {
-            return node.text || '';
-        }
-        
-        // Node has children - rebuild by iterating through children and preserving gaps
-        let result = '';
-        const originalText = node.text || '';
-        let lastEnd = node.start || 0;
-        
-        for (const child of node.children) {
-            // Add any text between the last child's end and this child's start (gaps/syntax)
-            if (child.start !== undefined && child.start > lastEnd) {
-                result += originalText.substring(lastEnd - (node.start || 0), child.start - (node.start || 0));
-            }
-            
-            // Add the child's rebuilt text
-            result += this._rebuildFromAST(child, variables);
-            
-            // Update lastEnd to this child's end position
-            if (child.end !== undefined) {
-                lastEnd = child.end;
-            }
-        }
-        
-        // Add any remaining text after the last child
-        if (node.end !== undefined && lastEnd < node.end) {
-            result += originalText.substring(lastEnd - (node.start || 0), node.end - (node.start || 0));
+    _getBlocks() {
+        if (this._blocks === undefined) {
+            this._blocks = TemplateBlocks.parse(this._getRuleText());
         }
-        
-        return result;
+
+        return this._blocks;
+    }
+
+    /**
+     * Swap the rule part of the template text, keeping any manifest block and surrounding whitespace
+     * @private
+     * @param {string} ruleText - New rule text
+     * @returns {string} Full template text
+     */
+    _replaceRuleText(ruleText) {
+        const { body } = TemplateManifest.extract(this.ruleTemplateText);
+        const ruleStart = this.ruleTemplateText.length - body.length + (body.length - body.trimStart().length);
+        const ruleEnd = this.ruleTemplateText.length - (body.length - body.trimEnd().length);
+
+        return this.ruleTemplateText.substring(0, ruleStart) + ruleText + this.ruleTemplateText.substring(ruleEnd);
     }
 
     /**
@@ -560,27 +2573,38 @@ class RuleTemplate {
      * @private
      * @param {Object} node - template_value AST node
      * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} [templateInfo] - Variable info from _extractVariableFromNode, extracted when omitted
      * @returns {string} Replacement string
      */
-    _computeTemplateReplacement(node, variables) {
-        const templateInfo = this._extractVariableFromNode(node);
+    _computeTemplateReplacement(node, variables, templateInfo = this._extractVariableFromNode(node)) {
         if (!templateInfo) {
             throw new Error(`Failed to extract variable information from template node`);
         }
-        
-        const varName = templateInfo.name;
-        
-        // Validate variable is provided
-        if (!variables.hasOwnProperty(varName)) {
-            throw new Error(`Variable '${varName}' not provided in variables object`);
+
+        try {
+            return this._replacePlaceholder(node, variables, templateInfo);
+        } catch (error) {
+            if (error.variable === undefined) {
+                Object.assign(error, { variable: RuleTemplate._formatVariablePath(templateInfo), start: node.start, end: node.end });
+            }
+
+            throw error;
         }
-        
-        let varData = variables[varName];
-        if (typeof varData !== 'object' || !varData.hasOwnProperty('value')) {
+    }
+
+    _replacePlaceholder(node, variables, templateInfo) {
+        const varName = RuleTemplate._formatVariablePath(templateInfo);
+        let varData = this._resolveVariableData(variables, templateInfo);
+        if (!varData.hasOwnProperty('value')) {
             throw new Error(`Variable '${varName}' must be an object with 'value' property`);
         }
 
         varData = Object.assign({}, varData);
+
+        const constraintError = this.manifest ? this.manifest.checkConstraints(varName, varData) : null;
+        if (constraintError) {
+            throw variableError(Codes.CONSTRAINT, constraintError);
+        }
         
         // Require type property for all variables
         if (!varData.hasOwnProperty('type')) {
@@ -591,7 +2615,35 @@ class RuleTemplate {
         if (!VariableTypes.includes(varData.type)) {
             throw new Error(`Invalid variable type '${varData.type}' for variable '${varName}'`);
         }
-        
+
+        if (templateInfo.spread) {
+            if (!Object.prototype.hasOwnProperty.call(ArrayElementTypes, varData.type)) {
+                throw variableError(Codes.TYPE_MISMATCH, `Variable '${varName}' of type '${varData.type}' cannot be spread, expected an array type`);
+            }
+
+            const validation = VariableValidate.validate(varData);
+            if (!validation.valid) {
+                throw new Error(`Invalid value for variable '${varName}': ${validation.error}`);
+            }
+
+            // Each element becomes an argument of its own, filtered and serialized separately
+            return varData.value
+                .map(element => this._renderVariable({ value: element, type: ArrayElementTypes[varData.type] }, templateInfo, varName))
+                .join(', ');
+        }
+
+        return this._renderVariable(varData, templateInfo, varName);
+    }
+
+    /**
+     * Apply a placeholder's filter chain to variable data and serialize the result
+     * @private
+     * @param {Object} varData - Copy of the {value, type} data, modified by the filters
+     * @param {Object} templateInfo - Variable info from _extractVariableFromNode
+     * @param {string} varName - Variable name for error messages
+     * @returns {string} Replacement string
+     */
+    _renderVariable(varData, templateInfo, varName) {
         // Apply filters if present
         if (templateInfo.filters && templateInfo.filters.length > 0) {
             for (const filter of (templateInfo.filterCalls || templateInfo.filters)) {
@@ -614,6 +2666,76 @@ class RuleTemplate {
         return this._serializeVarData(varData, varName);
     }
 
+    /**
+     * Resolve the {value, type} data a template path refers to
+     * Dotted paths walk into the root variable's value, taking the leaf type from
+     * the nested `properties` metadata, e.g. {type: 'object', value: {room: 'kitchen'},
+     * properties: {room: {type: 'string'}}}. A flattened 'DEVICE.room' key still wins.
+     * @private
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} templateInfo - Variable info from _extractVariableFromNode
+     * @param {string} [requirement] - What a non-object variable is told it lacks, validate() words it without
+     * @returns {Object} The resolved variable data
+     */
+    _resolveVariableData(variables, templateInfo, requirement = " with 'value' property") {
+        const { name, path = [] } = templateInfo;
+        const varName = RuleTemplate._formatVariablePath(templateInfo);
+
+        if (path.length > 0 && Object.prototype.hasOwnProperty.call(variables, varName)) {
+            return RuleTemplate._requireVariableObject(variables[varName], varName, requirement);
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(variables, name)) {
+            throw variableError(Codes.MISSING_VARIABLE, `Variable '${name}' not provided in variables object`);
+        }
+
+        const rootData = RuleTemplate._requireVariableObject(variables[name], name, requirement);
+        if (path.length === 0) {
+            return rootData;
+        }
+
+        const hasValue = Object.prototype.hasOwnProperty.call(rootData, 'value');
+        let value = rootData.value;
+        let metadata = rootData;
+
+        for (const segment of path) {
+            if (hasValue) {
+                if (!value || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+                    throw variableError(Codes.MISSING_VARIABLE, `Variable '${varName}' not provided in variables object`);
+                }
+
+                value = value[segment];
+            }
+
+            metadata = metadata && metadata.properties && typeof metadata.properties === 'object'
+                ? metadata.properties[segment]
+                : undefined;
+        }
+
+        const leafData = {};
+        if (hasValue) {
+            leafData.value = value;
+        }
+
+        if (metadata && typeof metadata === 'object' && Object.prototype.hasOwnProperty.call(metadata, 'type')) {
+            leafData.type = metadata.type;
+        }
+
+        return leafData;
+    }
+
+    static _requireVariableObject(varData, varName, requirement) {
+        if (!varData || typeof varData !== 'object') {
+            throw variableError(Codes.INVALID_VARIABLE, `Variable '${varName}' must be an object${requirement}`);
+        }
+
+        return varData;
+    }
+
+    static _formatVariablePath(templateInfo) {
+        return [templateInfo.name, ...(templateInfo.path || [])].join('.');
+    }
+
     _serializeVarData(varData, varName) {
         const { value, type } = varData;
 
@@ -648,6 +2770,281 @@ class RuleTemplate {
         return String(value);
     }
 
+    /**
+     * Recover variable values from a concrete rule produced by this template
+     * The rule is parsed with the plain rule grammar and aligned with the template AST after
+     * collapsing single-child chains, so each template_value lines up with the literal that replaced it.
+     * Templates with ${#if} blocks are matched one combination of conditions at a time and the
+     * conditions are reported as boolean variables; without a match the divergence is the
+     * all-blocks-included variant's. Templates with ${#each} blocks are not matched.
+     * @param {string} ruleText - The concrete rule
+     * @returns {Object} {matched, variables: {NAME: {value, type}}, divergence, warnings}
+     */
+    match(ruleText) {
+        const blocks = this._getBlocks();
+        if (blocks && blocks.markers().some(marker => marker.block === 'each')) {
+            return { matched: false, variables: {}, divergence: { message: 'Templates with ${#each} blocks cannot be matched' }, warnings: [] };
+        }
+
+        if (blocks) {
+            return this._matchBlocks(blocks, ruleText);
+        }
+
+        const result = { matched: false, variables: {}, divergence: null, warnings: [] };
+
+        let ruleAst;
+        try {
+            ruleAst = RuleParser.toAst(ruleText.trim());
+        } catch (error) {
+            result.divergence = { message: `Rule could not be parsed: ${error.message}` };
+            return result;
+        }
+
+        const state = { variables: result.variables, occurrences: new Map(), filtered: new Set() };
+        result.divergence = this._matchNode(this.ast, ruleAst, state);
+        result.matched = !result.divergence;
+
+        for (const varName of state.filtered) {
+            result.warnings.push(`Variable '${varName}' is only used through filters, the matched value is the filter output`);
+        }
+
+        return result;
+    }
+
+    _matchBlocks(blocks, ruleText) {
+        let firstResult = null;
+
+        for (const decisions of RuleTemplate._blockCombinations(blocks.states())) {
+            const conditionVariables = {};
+            for (const [name, value] of Object.entries(decisions)) {
+                conditionVariables[name] = { value, type: 'boolean' };
+            }
+
+            const result = this._selectBlocks(conditionVariables).template.match(ruleText);
+            if (result.matched) {
+                Object.assign(result.variables, conditionVariables);
+                return result;
+            }
+
+            firstResult = firstResult || result;
+        }
+
+        return firstResult;
+    }
+
+    /**
+     * Align a template node with a rule node, recording matched variables
+     * @private
+     * @returns {Object|null} Divergence, or null when the nodes match
+     */
+    _matchNode(templateNode, ruleNode, state) {
+        const ruleChain = RuleTemplate._collapseChain(ruleNode);
+        const templateChain = RuleTemplate._collapseChain(templateNode);
+        const template = templateChain[templateChain.length - 1];
+        const rule = ruleChain[ruleChain.length - 1];
+
+        // A spread stands for any number of arguments, so its argument list cannot be aligned one to one
+        const templateArguments = templateChain.find(node => node.type === 'arguments');
+        if (templateArguments && templateArguments.children.some(child => getSpreadPlaceholder(child))) {
+            const ruleArguments = ruleChain.find(node => node.type === 'arguments');
+            return ruleArguments
+                ? this._matchSpreadArguments(templateArguments, ruleArguments, state)
+                : RuleTemplate._divergence(template, rule, `Expected arguments but found '${rule.text.trim()}'`);
+        }
+
+        if (template.type === 'template_value') {
+            return this._matchSlot(template, ruleChain, state);
+        }
+
+        const templateChildren = template.children || [];
+        const ruleChildren = RuleTemplate._emptySpreadArguments(template, rule) || rule.children || [];
+        const mismatch = RuleTemplate._divergence(template, rule, `Expected '${template.text.trim()}' but found '${rule.text.trim()}'`);
+
+        if (templateChildren.length !== ruleChildren.length) {
+            return mismatch;
+        }
+
+        if (!templateChildren.length) {
+            return template.text.trim() === rule.text.trim() ? null : mismatch;
+        }
+
+        // Operators and punctuation are stripped from the AST and only survive in the text between children
+        const templateGaps = RuleTemplate._gapTexts(template);
+        const ruleGaps = RuleTemplate._gapTexts(rule, ruleChildren);
+        if (templateGaps.some((gap, index) => gap !== ruleGaps[index])) {
+            return mismatch;
+        }
+
+        for (let index = 0; index < templateChildren.length; index++) {
+            const divergence = this._matchNode(templateChildren[index], ruleChildren[index], state);
+            if (divergence) {
+                return divergence;
+            }
+        }
+
+        return null;
+    }
+
+    // A call whose arguments are one spread also matches a call without arguments, stood in for by an empty list
+    static _emptySpreadArguments(template, rule) {
+        const templateArguments = template.type === 'fcall' && template.children.find(child => child.type === 'arguments');
+        if (!templateArguments || templateArguments.children.length !== 1 || !getSpreadPlaceholder(templateArguments.children[0])
+            || rule.type !== 'fcall' || rule.children.some(child => child.type === 'arguments')) {
+            return null;
+        }
+
+        const close = rule.text.lastIndexOf(')') + rule.start;
+        return rule.children.concat({ type: 'arguments', text: '', start: close, end: close, children: [] });
+    }
+
+    _matchSpreadArguments(templateArguments, ruleArguments, state) {
+        const templateChildren = templateArguments.children;
+        const ruleChildren = ruleArguments.children;
+        const spreadIndex = templateChildren.findIndex(child => getSpreadPlaceholder(child));
+        const after = templateChildren.length - spreadIndex - 1;
+
+        if (ruleChildren.length < templateChildren.length - 1) {
+            return RuleTemplate._divergence(templateArguments, ruleArguments, `Expected at least ${templateChildren.length - 1} arguments but found ${ruleChildren.length}`);
+        }
+
+        for (let index = 0; index < spreadIndex; index++) {
+            const divergence = this._matchNode(templateChildren[index], ruleChildren[index], state);
+            if (divergence) {
+                return divergence;
+            }
+        }
+
+        for (let index = 1; index <= after; index++) {
+            const divergence = this._matchNode(templateChildren[templateChildren.length - index], ruleChildren[ruleChildren.length - index], state);
+            if (divergence) {
+                return divergence;
+            }
+        }
+
+        const placeholder = getSpreadPlaceholder(templateChildren[spreadIndex]);
+        const varName = RuleTemplate._formatVariablePath(this._extractVariableFromNode(placeholder));
+        const elements = [];
+        for (const ruleChild of ruleChildren.slice(spreadIndex, ruleChildren.length - after)) {
+            const decoded = RuleTemplate._decodeLiteral(RuleTemplate._collapseChain(ruleChild));
+            if (!decoded || decoded.value === undefined) {
+                return RuleTemplate._divergence(placeholder, ruleChild, `Variable '${varName}' cannot be read from '${ruleChild.text.trim()}'`);
+            }
+
+            elements.push(decoded.value);
+        }
+
+        // An empty spread has no literal to take a type from, the declared type is used when there is one,
+        // otherwise the first type the template allows
+        const type = inferArrayType(elements) || this.manifest?.get(varName)?.type || (this.inferVariableTypes()[varName] || [])[0];
+        if (!type) {
+            return RuleTemplate._divergence(placeholder, ruleArguments, `Variable '${varName}' cannot be read from '${ruleArguments.text.trim()}'`);
+        }
+
+        return this._recordMatch(placeholder, ruleArguments, { value: elements, type }, state);
+    }
+
+    _matchSlot(node, ruleChain, state) {
+        const templateInfo = this._extractVariableFromNode(node);
+        const varName = RuleTemplate._formatVariablePath(templateInfo);
+        const rule = ruleChain[0];
+
+        const decoded = RuleTemplate._decodeLiteral(ruleChain);
+        if (!decoded || decoded.value === undefined) {
+            return RuleTemplate._divergence(node, rule, `Variable '${varName}' cannot be read from '${rule.text.trim()}'`);
+        }
+
+        return this._recordMatch(node, rule, decoded, state);
+    }
+
+    static _decodeLiteral(ruleChain) {
+        for (const candidate of ruleChain) {
+            if (LiteralDecoders[candidate.type]) {
+                return LiteralDecoders[candidate.type](candidate);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Record the value a placeholder matched, checking it against earlier occurrences
+     * @private
+     * @returns {Object|null} Divergence, or null when the value is consistent
+     */
+    _recordMatch(node, rule, decoded, state) {
+        const templateInfo = this._extractVariableFromNode(node);
+        const varName = RuleTemplate._formatVariablePath(templateInfo);
+
+        // A declared type wins over the literal's own type when the value is valid for it, e.g. 'number time'
+        const declaredType = this.manifest?.get(varName)?.type;
+        if (declaredType && declaredType !== decoded.type && VariableValidate.isValid(declaredType, decoded.value)) {
+            decoded.type = declaredType;
+        }
+
+        // Occurrences can only be compared with others sharing the same filter chain
+        const occurrenceKey = [varName, ...templateInfo.filters].join('|');
+        if (state.occurrences.has(occurrenceKey)) {
+            const existing = state.occurrences.get(occurrenceKey);
+            if (JSON.stringify(existing.value) !== JSON.stringify(decoded.value)) {
+                return RuleTemplate._divergence(node, rule, `Variable '${varName}' matched both ${JSON.stringify(existing.value)} and ${JSON.stringify(decoded.value)}`);
+            }
+
+            return null;
+        }
+
+        state.occurrences.set(occurrenceKey, decoded);
+
+        // Unfiltered occurrences carry the variable's own value and take precedence
+        const filtered = templateInfo.filters.length > 0;
+        if (!Object.prototype.hasOwnProperty.call(state.variables, varName)) {
+            state.variables[varName] = decoded;
+            if (filtered) {
+                state.filtered.add(varName);
+            }
+        } else if (!filtered && state.filtered.has(varName)) {
+            state.variables[varName] = decoded;
+            state.filtered.delete(varName);
+        }
+
+        return null;
+    }
+
+    static _collapseChain(node) {
+        const chain = [node];
+        let current = node;
+
+        while (current.type !== 'template_value'
+            && current.children
+            && current.children.length === 1
+            && current.children[0].text.trim() === current.text.trim()) {
+            current = current.children[0];
+            chain.push(current);
+        }
+
+        return chain;
+    }
+
+    static _gapTexts(node, children = node.children) {
+        const gaps = [];
+        let lastEnd = node.start;
+
+        for (const child of children) {
+            gaps.push(node.text.substring(lastEnd - node.start, child.start - node.start).replace(/\s+/g, ''));
+            lastEnd = child.end;
+        }
+
+        gaps.push(node.text.substring(lastEnd - node.start).replace(/\s+/g, ''));
+        return gaps;
+    }
+
+    static _divergence(templateNode, ruleNode, message) {
+        return {
+            message,
+            template: { start: templateNode.start, end: templateNode.end, text: templateNode.text },
+            rule: { start: ruleNode.start, end: ruleNode.end, text: ruleNode.text }
+        };
+    }
+
     /**
      * Helper method to validate if an AST node matches a variable type
      * @param {Object} astNode - The AST node to validate
@@ -672,5 +3069,8 @@ RuleTemplate.ParserRules = ParserRules;
 RuleTemplate.VariableTypes = VariableTypes;
 RuleTemplate.TemplateFilters = TemplateFilters;
 RuleTemplate.VariableValidate = VariableValidate;
+RuleTemplate.TemplateDiagnostics = TemplateDiagnostics;
+RuleTemplate.TemplateManifest = TemplateManifest;
+RuleTemplate.TemplateSyntaxError = TemplateSyntaxError;
 
 module.exports = RuleTemplate;
@@ -0,0 +1,380 @@
+const TemplateSyntaxError = require('./TemplateSyntaxError');
+
+/*
+Block markers wrap sections of a rule template that are only included for some variable values:
+
+Value() > ${THRESHOLD} ${#if AWAY_CHECK} && Presence() == 0 ${/if}
+${#each DEVICES as DEVICE join || empty false}EventIs(${DEVICE|upper})${/each}
+
+Markers are found with a plain scan, before the rule grammar sees the text. blank() keeps every
+offset in place so a variant can be parsed and its positions still refer to the template text,
+render() produces the text a prepared rule is built from.
+*/
+const MARKER_PATTERN = /\$\{\s*([#/])([^}]*)\}/g;
+const IF_PATTERN = /^if\s+([A-Za-z_][A-Za-z0-9_]*)$/;
+const EACH_PATTERN = /^each\s+([A-Za-z_][A-Za-z0-9_]*)\s+as\s+([A-Za-z_][A-Za-z0-9_]*)((?:\s+(?:join\s+(?:&&|\|\|)|empty\s+(?:true|false|error)))*)$/;
+
+const PLACEHOLDER_NAME_PATTERN = /(\$\{\s*)([A-Za-z_][A-Za-z0-9_]*)/g;
+
+const EachDefaults = { join: '||', empty: 'error' };
+
+class TemplateBlocks {
+    constructor(text, nodes) {
+        this.text = text;
+        this.nodes = nodes;
+    }
+
+    /**
+     * Scan rule text for block markers
+     * @param {string} text - Rule text
+     * @param {string} [source] - Full text the caller passed in, for error locations
+     * @param {number} [baseOffset] - Offset of the rule text within source
+     * @returns {TemplateBlocks|null} Blocks, or null when the text has no markers
+     * @throws {TemplateSyntaxError} When a marker is unknown or the markers are unbalanced
+     */
+    static parse(text, source = text, baseOffset = 0) {
+        const root = { children: [] };
+        const stack = [root];
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(MARKER_PATTERN)) {
+            const marker = { start: match.index, end: match.index + match[0].length };
+            const parent = stack[stack.length - 1];
+            const keyword = match[2].trim();
+
+            if (marker.start > lastIndex) {
+                parent.children.push({ type: 'text', start: lastIndex, end: marker.start });
+            }
+            lastIndex = marker.end;
+
+            if (match[1] === '#') {
+                const block = TemplateBlocks._openBlock(keyword, marker);
+                if (!block) {
+                    throw TemplateSyntaxError.at(source, baseOffset + marker.start, {
+                        expected: ['${#if NAME}', '${#each NAME as ITEM}'],
+                        found: match[0]
+                    });
+                }
+
+                parent.children.push(block);
+                stack.push(block);
+                continue;
+            }
+
+            if (stack.length === 1 || keyword !== parent.type) {
+                const expected = stack.length === 1 ? [] : [`\${/${parent.type}}`];
+                throw TemplateSyntaxError.at(source, baseOffset + marker.start, { expected, found: match[0] });
+            }
+
+            parent.close = marker;
+            parent.end = marker.end;
+            stack.pop();
+        }
+
+        if (stack.length > 1) {
+            const unclosed = stack[stack.length - 1];
+            const opened = TemplateSyntaxError.locate(source, baseOffset + unclosed.start);
+            throw TemplateSyntaxError.at(source, baseOffset + text.length, {
+                expected: [`\${/${unclosed.type}} closing the block opened at line ${opened.line}, column ${opened.column}`],
+                found: null
+            });
+        }
+
+        if (lastIndex === 0) {
+            return null;
+        }
+
+        if (lastIndex < text.length) {
+            root.children.push({ type: 'text', start: lastIndex, end: text.length });
+        }
+
+        const blocks = new TemplateBlocks(text, root.children);
+        blocks._checkItemNames(source, baseOffset);
+        return blocks;
+    }
+
+    // A variable named like a rendered loop binding (see itemName()) would be replaced by the element
+    _checkItemNames(source, baseOffset) {
+        const items = new Set(this.markers().filter(marker => marker.block === 'each').map(marker => marker.item));
+        if (items.size === 0) {
+            return;
+        }
+
+        for (const match of this.text.matchAll(PLACEHOLDER_NAME_PATTERN)) {
+            const binding = /^(.*)__\d+$/.exec(match[2]);
+            if (binding && items.has(binding[1])) {
+                throw TemplateSyntaxError.at(source, baseOffset + match.index + match[1].length, {
+                    expected: [`a variable name other than ${match[2]}, which is reserved for the ${binding[1]} loop variable`],
+                    found: match[2]
+                });
+            }
+        }
+    }
+
+    static _openBlock(keyword, marker) {
+        const block = { start: marker.start, end: null, open: marker, close: null, children: [] };
+
+        const condition = IF_PATTERN.exec(keyword);
+        if (condition) {
+            return Object.assign(block, { type: 'if', name: condition[1] });
+        }
+
+        const loop = EACH_PATTERN.exec(keyword);
+        if (loop) {
+            const join = /\bjoin\s+(&&|\|\|)/.exec(loop[3]);
+            const empty = /\bempty\s+(true|false|error)/.exec(loop[3]);
+            return Object.assign(block, {
+                type: 'each',
+                name: loop[1],
+                item: loop[2],
+                join: join ? join[1] : EachDefaults.join,
+                empty: empty ? empty[1] : EachDefaults.empty
+            });
+        }
+
+        return null;
+    }
+
+    /**
+     * Name of the variable the index-th element of an ${#each} block is bound to when rendered,
+     * parse() rejects templates using such a name for a variable of their own
+     * @param {string} item - Loop variable name
+     * @param {number} index - Zero-based element index
+     * @returns {string} Variable name
+     */
+    static itemName(item, index) {
+        return `${item}__${index}`;
+    }
+
+    /**
+     * Names of the variables blocks depend on, in order of first use
+     * @returns {Array} Variable names
+     */
+    get conditions() {
+        return Array.from(new Set(this.markers().map(marker => marker.name)));
+    }
+
+    /**
+     * Opening markers, in text order
+     * @returns {Array} Array of {block, name, start, end} objects, ${#each} markers add {item, join, empty}
+     */
+    markers() {
+        const markers = [];
+        this._walk(block => {
+            const marker = { block: block.type, name: block.name, start: block.open.start, end: block.open.end };
+            if (block.type === 'each') {
+                Object.assign(marker, { item: block.item, join: block.join, empty: block.empty });
+            }
+            markers.push(marker);
+        });
+        return markers;
+    }
+
+    /**
+     * The states each block variable is checked in at parse time: true and false for ${#if}
+     * conditions, one and two elements for ${#each} arrays and no elements when every block
+     * over the array renders a literal for it
+     * @returns {Object} Object mapping variable names to arrays of states, the state every block is included in first
+     */
+    states() {
+        const states = {};
+        for (const marker of this.markers()) {
+            if (marker.block === 'if') {
+                states[marker.name] = [true, false];
+                continue;
+            }
+
+            const previous = states[marker.name];
+            const allowsEmpty = marker.empty !== 'error' && (!previous || previous.includes(0));
+            states[marker.name] = allowsEmpty ? [1, 2, 0] : [1, 2];
+        }
+
+        return states;
+    }
+
+    /**
+     * Blocks an offset is nested in, outermost first
+     * @param {number} offset - Offset in the rule text
+     * @returns {Array} Array of {type, name, item?} objects
+     */
+    enclosing(offset) {
+        const blocks = [];
+        this._walk(block => {
+            if (offset >= block.open.end && offset < block.close.start) {
+                blocks.push(block.type === 'each'
+                    ? { type: block.type, name: block.name, item: block.item }
+                    : { type: block.type, name: block.name });
+            }
+        });
+        return blocks;
+    }
+
+    /**
+     * Spans of the outermost blocks matching a predicate, markers included
+     * @param {Function} predicate - Called with a block variable name
+     * @returns {Array} Array of {name, start, end} objects
+     */
+    spans(predicate) {
+        const spans = [];
+        this._walk(block => {
+            if (predicate(block.name)) {
+                spans.push({ name: block.name, start: block.start, end: block.end });
+                return false;
+            }
+
+            return true;
+        });
+        return spans;
+    }
+
+    /**
+     * Blank out markers, and the blocks that are not included, keeping every offset and line break in place
+     * An ${#each} block decided as empty is replaced by its `empty` literal instead
+     * @param {Function} decide - Called with a block variable name, returns whether its blocks are included
+     * (a boolean for ${#if}, an element count for ${#each})
+     * @returns {string} Text of the same length as the rule text
+     */
+    blank(decide) {
+        const chars = this.text.split('');
+        const clear = (start, end) => {
+            for (let i = start; i < end; i++) {
+                if (chars[i] !== '\n' && chars[i] !== '\r') {
+                    chars[i] = ' ';
+                }
+            }
+        };
+
+        this._walk(block => {
+            if (decide(block.name)) {
+                clear(block.open.start, block.open.end);
+                clear(block.close.start, block.close.end);
+                return true;
+            }
+
+            clear(block.start, block.end);
+            if (block.type === 'each') {
+                chars.splice(block.start, block.empty.length, ...block.empty.split(''));
+            }
+            return false;
+        });
+
+        return chars.join('');
+    }
+
+    /**
+     * Render the rule text with markers removed and blocks that are not included left out
+     * An ${#each} block is repeated once per element, joined with its operator and bracketed when
+     * repeated more than once. Its loop variable is renamed per copy, see itemName().
+     * A block whose variable is undecided (decide returns undefined) is kept verbatim, markers included.
+     * @param {Function} decide - Called with a block variable name, returns a boolean for ${#if},
+     * an element count for ${#each}, or undefined
+     * @returns {string} Rendered rule text
+     */
+    render(decide) {
+        return this._renderNodes(this.nodes, decide).trim();
+    }
+
+    _renderNodes(nodes, decide) {
+        let output = '';
+        const append = (piece) => {
+            // Joining pieces around a removed marker should not leave a run of whitespace behind,
+            // nor whitespace inside brackets the marker sat next to
+            if (/^\s*[)\],]/.test(piece)) {
+                output = output.trimEnd();
+                piece = piece.trimStart();
+            }
+            output += /[\s([]$/.test(output) || output === '' ? piece.trimStart() : piece;
+        };
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                append(this.text.substring(node.start, node.end));
+                continue;
+            }
+
+            const decision = decide(node.name);
+            if (decision === undefined) {
+                append(this.text.substring(node.open.start, node.open.end));
+                append(this._renderNodes(node.children, decide));
+                append(this.text.substring(node.close.start, node.close.end));
+            } else if (node.type === 'if') {
+                if (decision) {
+                    append(this._renderNodes(node.children, decide));
+                }
+            } else {
+                append(this._renderEach(node, decision, decide));
+            }
+        }
+
+        return output;
+    }
+
+    _renderEach(node, count, decide) {
+        if (count === 0) {
+            return node.empty;
+        }
+
+        let body = this._renderNodes(node.children, decide).trim();
+        // A body chaining its own logical operators keeps them apart from the join operator
+        if (count > 1 && TemplateBlocks._hasTopLevelLogical(body)) {
+            body = `(${body})`;
+        }
+
+        const itemPattern = new RegExp(`\\$\\{(\\s*)${node.item}(?=[\\s.|}])`, 'g');
+        const copies = [];
+        for (let index = 0; index < count; index++) {
+            copies.push(body.replace(itemPattern, (match, space) => `\${${space}${TemplateBlocks.itemName(node.item, index)}`));
+        }
+
+        return copies.length === 1 ? copies[0] : `(${copies.join(` ${node.join} `)})`;
+    }
+
+    // Whether text has a logical operator outside brackets, strings and placeholders
+    static _hasTopLevelLogical(text) {
+        let depth = 0;
+        for (let index = 0; index < text.length; index++) {
+            const char = text[index];
+            if (char === '"') {
+                index = TemplateBlocks._skipString(text, index);
+            } else if (text.startsWith('${', index)) {
+                const close = text.indexOf('}', index);
+                index = close === -1 ? text.length : close;
+            } else if (char === '(' || char === '[') {
+                depth++;
+            } else if (char === ')' || char === ']') {
+                depth--;
+            } else if (depth === 0 && (/^(&&|\|\|)/.test(text.substring(index)) || (/^and\b/.test(text.substring(index)) && !/\w/.test(text[index - 1] || '')))) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    // Offset of the quote closing the string opened at start
+    static _skipString(text, start) {
+        for (let index = start + 1; index < text.length; index++) {
+            if (text[index] === '\\') {
+                index++;
+            } else if (text[index] === '"') {
+                return index;
+            }
+        }
+
+        return text.length;
+    }
+
+    /**
+     * Visit blocks depth first, a visitor returning false skips the block's children
+     * @private
+     */
+    _walk(visit, nodes = this.nodes) {
+        for (const node of nodes) {
+            if (node.type !== 'text' && visit(node) !== false) {
+                this._walk(visit, node.children);
+            }
+        }
+    }
+}
+
+module.exports = TemplateBlocks;
@@ -0,0 +1,139 @@
+/*
+Diagnostics are the structured form of validation errors and warnings.
+Each one carries a stable code, a severity and the offsets of the offending AST node so
+editors can underline it; the plain message arrays are kept for existing callers.
+*/
+const Codes = Object.freeze({
+    INVALID_VARIABLES: 'INVALID_VARIABLES',
+    UNKNOWN_FILTER: 'UNKNOWN_FILTER',
+    MISSING_VARIABLE: 'MISSING_VARIABLE',
+    INVALID_VARIABLE: 'INVALID_VARIABLE',
+    INVALID_TYPE: 'INVALID_TYPE',
+    INVALID_VALUE: 'INVALID_VALUE',
+    CONSTRAINT: 'CONSTRAINT',
+    TYPE_MISMATCH: 'TYPE_MISMATCH',
+    INVALID_RULE: 'INVALID_RULE',
+    UNKNOWN_FUNCTION: 'UNKNOWN_FUNCTION',
+    ARITY: 'ARITY',
+    ARGUMENT_TYPE: 'ARGUMENT_TYPE',
+    EXPRESSION_TYPE: 'EXPRESSION_TYPE',
+    DEPRECATED_FUNCTION: 'DEPRECATED_FUNCTION'
+});
+
+const Severity = Object.freeze({
+    ERROR: 'error',
+    WARNING: 'warning'
+});
+
+class TemplateDiagnostics {
+    constructor() {
+        this.diagnostics = [];
+        this._seen = new Set();
+    }
+
+    /**
+     * Create a diagnostic object
+     * @param {string} code - One of TemplateDiagnostics.Codes
+     * @param {string} severity - 'error' or 'warning'
+     * @param {string} message - Human readable message
+     * @param {Object} [details] - Optional {variable, function, start, end}
+     * @returns {Object} Diagnostic
+     */
+    static create(code, severity, message, details = {}) {
+        const diagnostic = { code, severity, message };
+
+        for (const key of ['variable', 'function', 'start', 'end']) {
+            if (details[key] !== undefined && details[key] !== null) {
+                diagnostic[key] = details[key];
+            }
+        }
+
+        return diagnostic;
+    }
+
+    error(code, message, details) {
+        return this.add(TemplateDiagnostics.create(code, Severity.ERROR, message, details));
+    }
+
+    warning(code, message, details) {
+        return this.add(TemplateDiagnostics.create(code, Severity.WARNING, message, details));
+    }
+
+    add(diagnostic) {
+        const key = `${diagnostic.severity}|${diagnostic.message}|${diagnostic.start}`;
+        if (!this._seen.has(key)) {
+            this._seen.add(key);
+            this.diagnostics.push(diagnostic);
+        }
+
+        return diagnostic;
+    }
+
+    hasErrors() {
+        return this.diagnostics.some(diagnostic => diagnostic.severity === Severity.ERROR);
+    }
+
+    /**
+     * Build a validation result
+     * `errors` and `warnings` hold the plain messages for callers predating diagnostics
+     * @returns {Object} {valid, errors, warnings, diagnostics}
+     */
+    toResult() {
+        return TemplateDiagnostics.toResult(this.diagnostics);
+    }
+
+    static toResult(diagnostics) {
+        return {
+            valid: !diagnostics.some(diagnostic => diagnostic.severity === Severity.ERROR),
+            errors: TemplateDiagnostics.messages(diagnostics, Severity.ERROR),
+            warnings: TemplateDiagnostics.messages(diagnostics, Severity.WARNING),
+            diagnostics: diagnostics.slice()
+        };
+    }
+
+    /**
+     * Prepare once per variable set for prepareMany(), a set that fails does not stop the others
+     * Templates leave the variable, start and end of the placeholder a prepare failed at on the error,
+     * they become the failed set's diagnostic.
+     * @param {Array} variableSets - Array of objects mapping variable names to {value, type} objects
+     * @param {Function} prepare - Called with a variable set, returns the prepared text
+     * @returns {Array} One {index, valid, prepared, errors, warnings, diagnostics} result per set, in order
+     * @throws {Error} When variableSets is not an array
+     */
+    static prepareEach(variableSets, prepare) {
+        if (!Array.isArray(variableSets)) {
+            throw new Error('Variable sets must be provided as an array');
+        }
+
+        return variableSets.map((variables, index) => {
+            let prepared;
+            try {
+                prepared = prepare(variables);
+            } catch (error) {
+                const code = error.code || (variables && typeof variables === 'object' ? Codes.INVALID_VARIABLE : Codes.INVALID_VARIABLES);
+                return Object.assign({ index, prepared: null }, TemplateDiagnostics.toResult([
+                    TemplateDiagnostics.create(code, Severity.ERROR, error.message, { variable: error.variable, start: error.start, end: error.end })
+                ]));
+            }
+
+            return Object.assign({ index, prepared }, TemplateDiagnostics.toResult([]));
+        });
+    }
+
+    /**
+     * Compatibility accessor returning the plain message strings for a severity
+     * @param {Array} diagnostics - Diagnostic objects
+     * @param {string} severity - 'error' or 'warning'
+     * @returns {string[]} Messages
+     */
+    static messages(diagnostics, severity) {
+        return diagnostics
+            .filter(diagnostic => diagnostic.severity === severity)
+            .map(diagnostic => diagnostic.message);
+    }
+}
+
+TemplateDiagnostics.Codes = Codes;
+TemplateDiagnostics.Severity = Severity;
+
+module.exports = TemplateDiagnostics;
@@ -0,0 +1,329 @@
+/*
+Semantic diff of two rule template revisions.
+
+Both ASTs are aligned top down. Nodes whose text is the same once whitespace between tokens is
+dropped are equal; children of equal type are aligned by longest common subsequence, so an
+inserted argument does not shift every argument after it. Where alignment stops, the two nodes
+are a structural edit. Variables and filter chains are compared by name across the whole
+template, function calls through the edits found inside them.
+*/
+class TemplateDiff {
+    /**
+     * Compare two revisions
+     * @param {Object} before - {ruleText, ast, variables, manifest} of the earlier revision, variables from _extractTemplateVariables
+     * @param {Object} after - The same for the later revision
+     * @returns {Object} {equal, changes: [{kind, change, name?, before, after, ...}]}
+     */
+    static compare(before, after) {
+        const diff = new TemplateDiff(before, after);
+        const edits = [];
+        diff._diffNode(before.ast, after.ast, edits);
+
+        const changes = [].concat(
+            diff._variableChanges(),
+            diff._functionChanges(edits),
+            diff._structureChanges(edits)
+        );
+
+        changes.sort((a, b) => TemplateDiff._order(a) - TemplateDiff._order(b));
+        return { equal: changes.length === 0, changes };
+    }
+
+    constructor(before, after) {
+        this.before = before;
+        this.after = after;
+        this._canonical = new Map();
+        this._parents = new Map();
+        // Nodes aligned with each other, in both directions
+        this._aligned = new Map();
+        TemplateDiff._indexParents(before.ast, this._parents);
+        TemplateDiff._indexParents(after.ast, this._parents);
+    }
+
+    static _indexParents(node, parents) {
+        for (const child of (node.children || [])) {
+            parents.set(child, node);
+            TemplateDiff._indexParents(child, parents);
+        }
+    }
+
+    // Node text with whitespace between tokens dropped, literals and names are kept as written
+    _canonicalText(node, side) {
+        if (this._canonical.has(node)) {
+            return this._canonical.get(node);
+        }
+
+        let text;
+        if (!node.children || node.children.length === 0) {
+            text = (node.text || '').trim();
+        } else {
+            const parts = [];
+            let lastEnd = node.start;
+            for (const child of node.children) {
+                parts.push(side.ruleText.substring(lastEnd, child.start).replace(/\s+/g, ''));
+                parts.push(this._canonicalText(child, side));
+                lastEnd = child.end;
+            }
+            parts.push(side.ruleText.substring(lastEnd, node.end).replace(/\s+/g, ''));
+            text = JSON.stringify(parts);
+        }
+
+        text = `${node.type}:${text}`;
+        this._canonical.set(node, text);
+        return text;
+    }
+
+    _diffNode(a, b, edits) {
+        if (this._canonicalText(a, this.before) === this._canonicalText(b, this.after)) {
+            return;
+        }
+
+        const hasChildren = a.children && a.children.length > 0 && b.children && b.children.length > 0;
+        if (a.type === b.type && hasChildren) {
+            this._aligned.set(a, b);
+            this._aligned.set(b, a);
+            const found = edits.length;
+            this._diffChildren(a.children, b.children, edits);
+            // Children alike but the text between them differs, e.g. a bracket or keyword
+            if (edits.length > found) {
+                return;
+            }
+        }
+
+        edits.push({ change: 'changed', before: a, after: b });
+    }
+
+    _diffChildren(left, right, edits) {
+        const same = (a, b) => this._canonicalText(a, this.before) === this._canonicalText(b, this.after);
+        const matches = TemplateDiff._commonSubsequence(left, right, same);
+
+        let i = 0;
+        let j = 0;
+        for (const [matchLeft, matchRight] of matches.concat([[left.length, right.length]])) {
+            const removed = left.slice(i, matchLeft);
+            const added = right.slice(j, matchRight);
+
+            // Unmatched runs are paired up in order while their types agree
+            while (removed.length > 0 && added.length > 0 && removed[0].type === added[0].type) {
+                this._diffNode(removed.shift(), added.shift(), edits);
+            }
+
+            if (removed.length > 0 && added.length > 0 && removed.length === added.length) {
+                removed.forEach((node, index) => edits.push({ change: 'changed', before: node, after: added[index] }));
+            } else {
+                removed.forEach(node => edits.push({ change: 'removed', before: node, after: null }));
+                added.forEach(node => edits.push({ change: 'added', before: null, after: node }));
+            }
+
+            i = matchLeft + 1;
+            j = matchRight + 1;
+        }
+    }
+
+    static _commonSubsequence(left, right, same) {
+        const lengths = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+        for (let i = left.length - 1; i >= 0; i--) {
+            for (let j = right.length - 1; j >= 0; j--) {
+                lengths[i][j] = same(left[i], right[j])
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const matches = [];
+        let i = 0;
+        let j = 0;
+        while (i < left.length && j < right.length) {
+            if (same(left[i], right[j])) {
+                matches.push([i, j]);
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        return matches;
+    }
+
+    _variableChanges() {
+        const changes = [];
+        const beforeVariables = TemplateDiff._groupVariables(this.before.variables);
+        const afterVariables = TemplateDiff._groupVariables(this.after.variables);
+
+        for (const [name, occurrences] of beforeVariables) {
+            if (!afterVariables.has(name)) {
+                changes.push({ kind: 'variable', change: 'removed', name, before: this._span(occurrences[0], this.before), after: null });
+            }
+        }
+
+        for (const [name, occurrences] of afterVariables) {
+            const previous = beforeVariables.get(name);
+            if (!previous) {
+                changes.push({ kind: 'variable', change: 'added', name, before: null, after: this._span(occurrences[0], this.after) });
+                continue;
+            }
+
+            const declared = {
+                before: this.before.manifest ? this.before.manifest.describe(name) : {},
+                after: this.after.manifest ? this.after.manifest.describe(name) : {}
+            };
+            if (JSON.stringify(declared.before) !== JSON.stringify(declared.after)) {
+                changes.push({
+                    kind: 'variable',
+                    change: 'changed',
+                    name,
+                    before: this._span(previous[0], this.before),
+                    after: this._span(occurrences[0], this.after),
+                    declaration: declared
+                });
+            }
+
+            const filterChange = this._filterChange(name, previous, occurrences);
+            if (filterChange) {
+                changes.push(filterChange);
+            }
+        }
+
+        return changes;
+    }
+
+    // Filter chains are compared as the set of distinct chains a variable is used with
+    _filterChange(name, previous, occurrences) {
+        const chain = occurrence => JSON.stringify(occurrence.filterCalls);
+        const beforeChains = new Set(previous.map(chain));
+        const afterChains = new Set(occurrences.map(chain));
+        const removed = previous.find(occurrence => !afterChains.has(chain(occurrence)));
+        const added = occurrences.find(occurrence => !beforeChains.has(chain(occurrence)));
+        if (!removed && !added) {
+            return null;
+        }
+
+        const beforeOccurrence = removed || previous[0];
+        const afterOccurrence = added || occurrences[0];
+        return {
+            kind: 'filter',
+            change: 'changed',
+            name,
+            before: this._span(beforeOccurrence, this.before),
+            after: this._span(afterOccurrence, this.after),
+            filters: { before: beforeOccurrence.filters, after: afterOccurrence.filters }
+        };
+    }
+
+    static _groupVariables(variables) {
+        const grouped = new Map();
+        for (const variable of variables) {
+            if (!grouped.has(variable.name)) {
+                grouped.set(variable.name, []);
+            }
+
+            grouped.get(variable.name).push(variable);
+        }
+
+        return grouped;
+    }
+
+    _functionChanges(edits) {
+        const changes = [];
+        const changedCalls = new Set();
+        const nameOf = call => call.children.find(child => child.type === 'fname').text.trim();
+        const removed = call => ({ kind: 'function', change: 'removed', name: nameOf(call), before: this._span(call, this.before), after: null });
+        const added = call => ({ kind: 'function', change: 'added', name: nameOf(call), before: null, after: this._span(call, this.after) });
+
+        for (const edit of edits) {
+            // Calls inside a replaced part are matched up by name
+            const beforeCalls = edit.before ? TemplateDiff._calls(edit.before) : [];
+            const afterCalls = edit.after ? TemplateDiff._calls(edit.after) : [];
+            changes.push(...beforeCalls.filter(call => !afterCalls.some(other => nameOf(other) === nameOf(call))).map(removed));
+            changes.push(...afterCalls.filter(call => !beforeCalls.some(other => nameOf(other) === nameOf(call))).map(added));
+
+            if (this._isPlaceholderEdit(edit)) {
+                continue;
+            }
+
+            // The call the edit is in, on both sides
+            const beforeCall = edit.before ? this._enclosingCall(edit.before) : this._aligned.get(this._enclosingCall(edit.after));
+            const afterCall = edit.after ? this._enclosingCall(edit.after) : this._aligned.get(this._enclosingCall(edit.before));
+            if (!beforeCall || !afterCall || changedCalls.has(beforeCall)) {
+                continue;
+            }
+
+            changedCalls.add(beforeCall);
+            const renamed = nameOf(beforeCall) !== nameOf(afterCall);
+            changes.push(Object.assign({
+                kind: 'function',
+                change: renamed ? 'renamed' : 'changed',
+                name: nameOf(afterCall),
+                before: this._span(beforeCall, this.before),
+                after: this._span(afterCall, this.after)
+            }, renamed ? { previousName: nameOf(beforeCall) } : {}));
+        }
+
+        return changes;
+    }
+
+    // Innermost call a node sits in, the call itself when the node is its name
+    _enclosingCall(node) {
+        let current = this._parents.get(node);
+        while (current && current.type !== 'fcall') {
+            current = this._parents.get(current);
+        }
+
+        return current || null;
+    }
+
+    static _calls(node) {
+        const calls = node.type === 'fcall' ? [node] : [];
+        for (const child of (node.children || [])) {
+            calls.push(...TemplateDiff._calls(child));
+        }
+
+        return calls;
+    }
+
+    // Renamed calls and edits inside placeholders are reported as function, variable and filter changes
+    _structureChanges(edits) {
+        return edits
+            .filter(edit => !(edit.before && edit.after && edit.before.type === 'fname'))
+            .filter(edit => !this._isPlaceholderEdit(edit))
+            .map(edit => ({
+                kind: 'structure',
+                change: edit.change,
+                node: (edit.after || edit.before).type,
+                before: edit.before ? this._span(edit.before, this.before) : null,
+                after: edit.after ? this._span(edit.after, this.after) : null
+            }));
+    }
+
+    // An added or removed node is inside a placeholder when one encloses it, such as a filter added to a chain
+    _isPlaceholderEdit(edit) {
+        if (edit.before && edit.after) {
+            return this._insidePlaceholder(edit.before) && this._insidePlaceholder(edit.after);
+        }
+
+        return this._insidePlaceholder(this._parents.get(edit.before || edit.after));
+    }
+
+    _insidePlaceholder(node) {
+        for (let current = node; current; current = this._parents.get(current)) {
+            if (current.type === 'template_value') {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    _span(node, side) {
+        return { start: node.start, end: node.end, text: side.ruleText.substring(node.start, node.end) };
+    }
+
+    static _order(change) {
+        return change.before ? change.before.start : change.after.start;
+    }
+}
+
+module.exports = TemplateDiff;
@@ -0,0 +1,35 @@
+/*
+Small, dependency-free hashing used to version and compare template data.
+FNV-1a is not cryptographic; it only needs to be stable across runtimes and cheap on hubs.
+*/
+const FNV_OFFSET_BASIS = 0x811c9dc5;
+const FNV_PRIME = 0x01000193;
+
+class TemplateHash {
+    /**
+     * Hash a string with 32-bit FNV-1a
+     * @param {string} text - Text to hash
+     * @returns {string} 8 character hex digest
+     */
+    static hash(text) {
+        let hash = FNV_OFFSET_BASIS;
+
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, FNV_PRIME);
+        }
+
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Hash a JSON-compatible value, serializing regular expressions by source
+     * @param {*} value - Value to hash
+     * @returns {string} 8 character hex digest
+     */
+    static hashValue(value) {
+        return TemplateHash.hash(JSON.stringify(value, (key, item) => item instanceof RegExp ? item.toString() : item));
+    }
+}
+
+module.exports = TemplateHash;
@@ -0,0 +1,236 @@
+const TemplateManifest = require('./TemplateManifest');
+const TemplateSyntaxError = require('./TemplateSyntaxError');
+
+/*
+Includes pull a named fragment from the partials registry passed to RuleTemplate.parse:
+
+${> quiet_hours}
+${> quiet_hours prefix QUIET_}
+${> quiet_hours with START=QUIET_START, END=QUIET_END}
+
+Fragments are expanded into the rule text before anything else sees it. `prefix` and `with`
+rename the fragment's variables, placeholders and block variables alike (loop variables are
+left alone); names listed in `with` are not prefixed. A source map records which fragment, and
+where in it, each character of the expanded text came from.
+*/
+const INCLUDE_PATTERN = /\$\{\s*>([^}]*)\}/g;
+const SPEC_PATTERN = /^\s*([A-Za-z_][A-Za-z0-9_.-]*)(?:\s+prefix\s+([A-Za-z_][A-Za-z0-9_]*))?(?:\s+with\s+(.*?))?\s*$/;
+const RENAME_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)\s*=\s*([A-Za-z_][A-Za-z0-9_]*)$/;
+const VARIABLE_PATTERN = /\$\{(\s*(?:#if\s+|#each\s+)?)([A-Za-z_][A-Za-z0-9_]*)/g;
+const LOOP_ITEM_PATTERN = /\$\{\s*#each\s+[A-Za-z_][A-Za-z0-9_]*\s+as\s+([A-Za-z_][A-Za-z0-9_]*)/g;
+
+class TemplateIncludes {
+    /**
+     * Expand the includes in rule text
+     * @param {string} text - Rule text
+     * @param {Object} partials - Object mapping fragment names to template text
+     * @param {string} [source] - Full text the caller passed in, for error locations
+     * @param {number} [baseOffset] - Offset of the rule text within source
+     * @returns {Object|null} {text, segments, manifest}, or null when the text has no includes
+     * @throws {TemplateSyntaxError} When an include marker is malformed, no partials are given, names a fragment that
+     * is not registered as a string, or fragments include each other in a cycle; located in the text holding the marker
+     */
+    static expand(text, partials, source = text, baseOffset = 0) {
+        if (!TemplateIncludes.hasIncludes(text)) {
+            return null;
+        }
+
+        if (!partials || typeof partials !== 'object') {
+            const match = /\$\{\s*>[^}]*\}?/.exec(text);
+            throw TemplateSyntaxError.at(source, baseOffset + match.index, {
+                expected: ['a partial from the partials object passed to parse(), none was given'],
+                found: match[0]
+            });
+        }
+
+        const declarations = [];
+        const expansion = TemplateIncludes._expandText(text, partials, [], declarations, source, baseOffset);
+        const manifest = declarations.reduce((merged, declared) => TemplateManifest.merge(merged, declared), null);
+
+        return {
+            text: expansion.text,
+            segments: TemplateIncludes._compress(expansion.origins),
+            manifest
+        };
+    }
+
+    static hasIncludes(text) {
+        return /\$\{\s*>/.test(text);
+    }
+
+    /**
+     * Find the fragment a span of the expanded text came from
+     * @param {Array} segments - Source map from expand()
+     * @param {number} start - Start offset in the expanded text
+     * @param {number} end - End offset in the expanded text
+     * @returns {Object|null} {name, path, start, end} with offsets in the innermost fragment, or null for the template's own text
+     */
+    static locate(segments, start, end) {
+        const first = segments.find(segment => start >= segment.start && start < segment.end);
+        if (!first) {
+            return null;
+        }
+
+        const last = segments.find(segment => end - 1 >= segment.start && end - 1 < segment.end) || first;
+        return {
+            name: first.path[first.path.length - 1],
+            path: first.path.slice(),
+            start: first.offset + start - first.start,
+            end: last.offset + end - last.start
+        };
+    }
+
+    // Origins are kept per character: an offset into `text`, or [path, offset] for text from a fragment
+    static _expandText(text, partials, stack, declarations, source, baseOffset) {
+        let output = '';
+        const origins = [];
+        let lastIndex = 0;
+
+        const copy = (start, end) => {
+            output += text.substring(start, end);
+            for (let offset = start; offset < end; offset++) {
+                origins.push(offset);
+            }
+        };
+
+        for (const match of text.matchAll(INCLUDE_PATTERN)) {
+            copy(lastIndex, match.index);
+            lastIndex = match.index + match[0].length;
+
+            const spec = TemplateIncludes._parseSpec(match[1]);
+            if (!spec) {
+                throw TemplateSyntaxError.at(source, baseOffset + match.index, {
+                    expected: ['${> NAME}', '${> NAME prefix PREFIX}', '${> NAME with A=B}'],
+                    found: match[0]
+                });
+            }
+
+            const fail = expected => TemplateSyntaxError.at(source, baseOffset + match.index, { expected: [expected], found: match[0] });
+            if (stack.includes(spec.name)) {
+                throw fail(`a partial outside the include cycle ${stack.concat(spec.name).join(' > ')}`);
+            }
+
+            if (!Object.prototype.hasOwnProperty.call(partials, spec.name)) {
+                throw fail(`a registered partial, '${spec.name}' is unknown`);
+            }
+
+            const fragment = partials[spec.name];
+            if (typeof fragment !== 'string') {
+                throw fail(`a partial registered as a string, '${spec.name}' is ${fragment === null ? 'null' : typeof fragment}`);
+            }
+
+            // Fragment offsets are reported against the text as registered, front matter included
+            const { manifest, body } = TemplateManifest.extract(fragment);
+            const fragmentText = body.trim();
+            const fragmentOffset = fragment.length - body.length + (body.length - body.trimStart().length);
+
+            const inner = TemplateIncludes._expandText(fragmentText, partials, stack.concat(spec.name), declarations, fragment, fragmentOffset);
+            const renamed = TemplateIncludes._rename(inner, spec);
+
+            if (manifest) {
+                declarations.push(TemplateIncludes._renameManifest(manifest, spec));
+            }
+
+            output += renamed.text;
+            for (const origin of renamed.origins) {
+                origins.push(typeof origin === 'number'
+                    ? [[spec.name], fragmentOffset + origin]
+                    : [[spec.name].concat(origin[0]), origin[1]]);
+            }
+        }
+
+        copy(lastIndex, text.length);
+        return { text: output, origins };
+    }
+
+    static _parseSpec(specText) {
+        const match = SPEC_PATTERN.exec(specText);
+        if (!match) {
+            return null;
+        }
+
+        const spec = { name: match[1], prefix: match[2] || '', rename: {} };
+        if (match[3] !== undefined) {
+            for (const pair of match[3].split(',')) {
+                const rename = RENAME_PATTERN.exec(pair.trim());
+                if (!rename) {
+                    return null;
+                }
+
+                spec.rename[rename[1]] = rename[2];
+            }
+        }
+
+        return spec;
+    }
+
+    static _renameVariable(name, spec) {
+        if (Object.prototype.hasOwnProperty.call(spec.rename, name)) {
+            return spec.rename[name];
+        }
+
+        return spec.prefix + name;
+    }
+
+    static _rename(expansion, spec) {
+        if (!spec.prefix && Object.keys(spec.rename).length === 0) {
+            return expansion;
+        }
+
+        const { text } = expansion;
+        const loopItems = new Set(Array.from(text.matchAll(LOOP_ITEM_PATTERN), match => match[1]));
+        let output = '';
+        const origins = [];
+        let lastIndex = 0;
+
+        for (const match of text.matchAll(VARIABLE_PATTERN)) {
+            const nameStart = match.index + match[0].length - match[2].length;
+            const renamed = loopItems.has(match[2]) ? match[2] : TemplateIncludes._renameVariable(match[2], spec);
+
+            output += text.substring(lastIndex, nameStart) + renamed;
+            origins.push(...expansion.origins.slice(lastIndex, nameStart));
+            // A renamed variable maps back to the start of the original name
+            for (let i = 0; i < renamed.length; i++) {
+                origins.push(expansion.origins[nameStart]);
+            }
+            lastIndex = nameStart + match[2].length;
+        }
+
+        output += text.substring(lastIndex);
+        origins.push(...expansion.origins.slice(lastIndex));
+        return { text: output, origins };
+    }
+
+    static _renameManifest(manifest, spec) {
+        const variables = {};
+        for (const [name, declaration] of Object.entries(manifest.variables)) {
+            const [root, ...path] = name.split('.');
+            variables[[TemplateIncludes._renameVariable(root, spec), ...path].join('.')] = declaration;
+        }
+
+        return new TemplateManifest(variables);
+    }
+
+    // Collapse per-character origins into {start, end, path, offset} runs
+    static _compress(origins) {
+        const segments = [];
+        origins.forEach((origin, index) => {
+            if (typeof origin === 'number') {
+                return;
+            }
+
+            const [path, offset] = origin;
+            const previous = segments[segments.length - 1];
+            if (previous && previous.end === index && previous.path.join('>') === path.join('>') && previous.offset + (index - previous.start) === offset) {
+                previous.end = index + 1;
+                return;
+            }
+
+            segments.push({ start: index, end: index + 1, path, offset });
+        });
+
+        return segments;
+    }
+}
+
+module.exports = TemplateIncludes;
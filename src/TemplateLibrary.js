@@ -0,0 +1,313 @@
+const RuleTemplate = require('./RuleTemplate');
+const GeneralTemplate = require('./GeneralTemplate');
+const VariableTemplate = require('./VariableTemplate');
+
+/*
+A library keeps templates under a name and a version. Rule, text and variable templates are
+stored as 'rule', 'text' and 'variable' entries. On disk each entry is one file named
+NAME@VERSION.rule, NAME@VERSION.text or NAME@VERSION.variable holding the template text.
+*/
+const Kinds = Object.freeze({
+    rule: { type: RuleTemplate, extension: '.rule' },
+    text: { type: GeneralTemplate, extension: '.text' },
+    variable: { type: VariableTemplate, extension: '.variable' }
+});
+
+const NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+const VERSION_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.+-]*$/;
+const FILE_PATTERN = /^([A-Za-z0-9_][A-Za-z0-9_.-]*)@([A-Za-z0-9_][A-Za-z0-9_.+-]*)\.(rule|text|variable)$/;
+
+// Dotted versions compare segment by segment, numerically where both segments are numbers
+const compareVersions = (a, b) => {
+    const left = a.split('.');
+    const right = b.split('.');
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        if (left[i] === undefined || right[i] === undefined) {
+            return left[i] === undefined ? -1 : 1;
+        }
+
+        const bothNumeric = /^\d+$/.test(left[i]) && /^\d+$/.test(right[i]);
+        const order = bothNumeric ? Number(left[i]) - Number(right[i]) : left[i].localeCompare(right[i]);
+        if (order !== 0) {
+            return order < 0 ? -1 : 1;
+        }
+    }
+
+    return 0;
+};
+
+class TemplateLibrary {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Add a template under a name and version
+     * @param {string} name - Template name
+     * @param {string|number} version - Template version
+     * @param {RuleTemplate|GeneralTemplate|VariableTemplate|string} template - Template, or its text
+     * @param {Object} [options] - Optional {kind, partials}, the kind text is parsed as ('rule' by default)
+     * and partials for rule template includes
+     * @returns {RuleTemplate|GeneralTemplate|VariableTemplate} The stored template
+     * @throws {Error} When the name or version is invalid or already stored
+     */
+    add(name, version, template, options = {}) {
+        if (typeof name !== 'string' || !NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid template name '${name}'`);
+        }
+
+        const versionText = TemplateLibrary._normalizeVersion(version);
+        if (this.has(name, versionText)) {
+            throw new Error(`Template '${name}' version '${versionText}' already exists`);
+        }
+
+        const entry = typeof template === 'string'
+            ? { kind: options.kind || 'rule', template: TemplateLibrary._parse(template, options.kind || 'rule', options) }
+            : { kind: TemplateLibrary._kindOf(template), template };
+
+        if (!this.entries.has(name)) {
+            this.entries.set(name, new Map());
+        }
+
+        this.entries.get(name).set(versionText, entry);
+        return entry.template;
+    }
+
+    /**
+     * Look up a template
+     * @param {string} name - Template name
+     * @param {string|number} [version] - Template version, the latest version when omitted
+     * @returns {RuleTemplate|GeneralTemplate|VariableTemplate|null} Template, or null when not stored
+     */
+    get(name, version) {
+        const versions = this.entries.get(name);
+        if (!versions) {
+            return null;
+        }
+
+        const versionText = version === undefined ? this.versions(name).pop() : TemplateLibrary._normalizeVersion(version);
+        const entry = versions.get(versionText);
+        return entry ? entry.template : null;
+    }
+
+    has(name, version) {
+        return this.get(name, version) !== null;
+    }
+
+    /**
+     * Remove a template
+     * @param {string} name - Template name
+     * @param {string|number} [version] - Template version, every version when omitted
+     * @returns {boolean} Whether anything was removed
+     */
+    remove(name, version) {
+        const versions = this.entries.get(name);
+        if (!versions) {
+            return false;
+        }
+
+        if (version === undefined) {
+            return this.entries.delete(name);
+        }
+
+        const removed = versions.delete(TemplateLibrary._normalizeVersion(version));
+        if (versions.size === 0) {
+            this.entries.delete(name);
+        }
+
+        return removed;
+    }
+
+    /**
+     * Versions stored for a template, oldest first
+     * @param {string} name - Template name
+     * @returns {Array} Version strings
+     */
+    versions(name) {
+        const versions = this.entries.get(name);
+        return versions ? Array.from(versions.keys()).sort(compareVersions) : [];
+    }
+
+    /**
+     * Every stored template, by name then version
+     * @param {Object} [options] - Optional {kind, latest: boolean}, only list one kind, or only each template's latest version
+     * @returns {Array} Array of {name, version, kind} objects
+     */
+    list(options = {}) {
+        const listed = [];
+        for (const name of Array.from(this.entries.keys()).sort()) {
+            const versions = this.versions(name);
+            for (const version of (options.latest ? versions.slice(-1) : versions)) {
+                const { kind } = this.entries.get(name).get(version);
+                if (!options.kind || options.kind === kind) {
+                    listed.push({ name, version, kind });
+                }
+            }
+        }
+
+        return listed;
+    }
+
+    /**
+     * Find the templates using a function or a variable
+     * @param {Object} query - {function, variable}, entries must match every criterion given
+     * @param {Object} [options] - Options for list()
+     * @returns {Array} Array of {name, version, kind} objects
+     */
+    find(query, options = {}) {
+        if (!query || typeof query !== 'object') {
+            throw new Error('Query must be provided as an object');
+        }
+
+        return this.list(options).filter(entry => {
+            const template = this.get(entry.name, entry.version);
+            if (query.function !== undefined && !TemplateLibrary._functionsOf(template).includes(query.function)) {
+                return false;
+            }
+
+            return query.variable === undefined || TemplateLibrary._variablesOf(template).includes(query.variable);
+        });
+    }
+
+    /**
+     * Validate every stored template against a function blob
+     * Rule templates have their function calls checked, see RuleTemplate.validateFunctions(), text
+     * templates their filters. Variable templates call no functions and are always valid.
+     * @param {Object} functionBlob - HalleyFunctionBlob
+     * @param {Object} [options] - Options for list()
+     * @returns {Array} Array of {name, version, kind, valid, errors, warnings, diagnostics} objects
+     */
+    validate(functionBlob, options = {}) {
+        if (!functionBlob || typeof functionBlob.validate !== 'function') {
+            throw new Error('A function blob must be provided');
+        }
+
+        return this.list(options).map(entry => {
+            const template = this.get(entry.name, entry.version);
+            let result = { valid: true, errors: [], warnings: [], diagnostics: [] };
+
+            if (entry.kind === 'rule') {
+                result = template.validateFunctions(functionBlob);
+            } else if (entry.kind === 'text') {
+                result = template.validate();
+            }
+
+            return Object.assign({}, entry, result);
+        });
+    }
+
+    /**
+     * The templates that can be used with a function blob: those validate() reports no errors or warnings for
+     * Unknown functions and argument count problems are warnings, so this is stricter than `valid`
+     * @param {Object} functionBlob - HalleyFunctionBlob
+     * @param {Object} [options] - Options for list()
+     * @returns {Array} Array of {name, version, kind} objects
+     */
+    available(functionBlob, options = {}) {
+        return this.validate(functionBlob, options)
+            .filter(result => result.diagnostics.length === 0)
+            .map(({ name, version, kind }) => ({ name, version, kind }));
+    }
+
+    /**
+     * Load every NAME@VERSION.rule, .text and .variable file in a directory, other files are ignored
+     * @param {string} directory - Directory path
+     * @param {Object} [options] - Optional {partials}, for rule template includes
+     * @returns {Promise<TemplateLibrary>} Library holding the loaded templates
+     * @throws {Error} When a template does not parse, naming its file
+     */
+    static async load(directory, options = {}) {
+        const fs = require('fs').promises;
+        const path = require('path');
+        const library = new TemplateLibrary();
+
+        for (const file of (await fs.readdir(directory)).sort()) {
+            const match = FILE_PATTERN.exec(file);
+            if (!match) {
+                continue;
+            }
+
+            const text = await fs.readFile(path.join(directory, file), 'utf8');
+            try {
+                library.add(match[1], match[2], text, { kind: match[3], partials: options.partials });
+            } catch (error) {
+                error.message = `${file}: ${error.message}`;
+                throw error;
+            }
+        }
+
+        return library;
+    }
+
+    /**
+     * Write every stored template to a directory, one file per version, creating the directory when needed
+     * Existing files for the same name and version are overwritten, other files are left alone
+     * @param {string} directory - Directory path
+     * @returns {Promise<Array>} Paths of the files written
+     */
+    async save(directory) {
+        const fs = require('fs').promises;
+        const path = require('path');
+        const written = [];
+
+        await fs.mkdir(directory, { recursive: true });
+        for (const entry of this.list()) {
+            const file = path.join(directory, `${entry.name}@${entry.version}${Kinds[entry.kind].extension}`);
+            await fs.writeFile(file, TemplateLibrary._textOf(this.get(entry.name, entry.version)));
+            written.push(file);
+        }
+
+        return written;
+    }
+
+    static _normalizeVersion(version) {
+        const versionText = typeof version === 'number' ? String(version) : version;
+        if (typeof versionText !== 'string' || !VERSION_PATTERN.test(versionText)) {
+            throw new Error(`Invalid template version '${version}'`);
+        }
+
+        return versionText;
+    }
+
+    static _parse(text, kind, options) {
+        if (kind === 'rule') {
+            return RuleTemplate.parse(text, { partials: options.partials });
+        }
+
+        if (!Object.prototype.hasOwnProperty.call(Kinds, kind)) {
+            throw new Error(`Unknown template kind '${kind}'`);
+        }
+
+        return Kinds[kind].type.parse(text);
+    }
+
+    static _kindOf(template) {
+        const kind = Object.keys(Kinds).find(name => template instanceof Kinds[name].type);
+        if (!kind) {
+            throw new Error('Template must be a RuleTemplate, GeneralTemplate, VariableTemplate or template text');
+        }
+
+        return kind;
+    }
+
+    static _textOf(template) {
+        return template instanceof RuleTemplate ? template.ruleTemplateText : template.templateText;
+    }
+
+    static _functionsOf(template) {
+        return template instanceof RuleTemplate ? template.extractFunctions() : [];
+    }
+
+    static _variablesOf(template) {
+        if (template instanceof VariableTemplate) {
+            return [template.extractVariable().name];
+        }
+
+        return template.extractVariables().map(variable => variable.name);
+    }
+}
+
+TemplateLibrary.Kinds = Object.keys(Kinds);
+
+module.exports = TemplateLibrary;
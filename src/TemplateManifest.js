@@ -0,0 +1,261 @@
+const VariableValidate = require('./VariableValidate');
+
+/*
+A manifest declares the variables a template expects, either as a JSON front-matter block
+at the top of the template text or as a companion object passed to RuleTemplate.parse:
+
+---
+{
+    "variables": {
+        "THRESHOLD": {"type": "number", "default": 10, "label": "Threshold", "constraints": {"min": 0}}
+    }
+}
+---
+Value() > ${THRESHOLD}
+*/
+const FRONT_MATTER_PATTERN = /^\s*---[ \t]*\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/;
+
+const DeclarationKeys = ['type', 'default', 'label', 'description', 'constraints'];
+const ConstraintKeys = ['min', 'max', 'enum', 'pattern'];
+
+class TemplateManifest {
+    constructor(variables = {}) {
+        this.variables = variables;
+    }
+
+    /**
+     * Split a leading front-matter manifest from the template text
+     * @param {string} templateText - Template text, optionally starting with a manifest block
+     * @returns {Object} {manifest: TemplateManifest|null, body: string}
+     */
+    static extract(templateText) {
+        const match = templateText.match(FRONT_MATTER_PATTERN);
+        if (!match) {
+            return { manifest: null, body: templateText };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(match[1]);
+        } catch (error) {
+            throw new Error(`Invalid template manifest: ${error.message}`);
+        }
+
+        return {
+            manifest: TemplateManifest.from(data),
+            body: templateText.substring(match[0].length)
+        };
+    }
+
+    /**
+     * Create a manifest from a {variables: {...}} object, checking each declaration
+     * @param {Object|TemplateManifest} data - Manifest data
+     * @returns {TemplateManifest} Manifest instance
+     */
+    static from(data) {
+        if (data instanceof TemplateManifest) {
+            return data;
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid template manifest: expected an object with a variables property');
+        }
+
+        const declarations = data.variables === undefined ? {} : data.variables;
+        if (!declarations || typeof declarations !== 'object' || Array.isArray(declarations)) {
+            throw new Error('Invalid template manifest: variables must be an object');
+        }
+
+        const variables = {};
+        for (const [name, declaration] of Object.entries(declarations)) {
+            variables[name] = TemplateManifest._normalizeDeclaration(name, declaration);
+        }
+
+        return new TemplateManifest(variables);
+    }
+
+    /**
+     * Merge two manifests, declarations in the second taking precedence per variable
+     * @param {Object|TemplateManifest|null} base - Base manifest
+     * @param {Object|TemplateManifest|null} override - Overriding manifest
+     * @returns {TemplateManifest|null} Merged manifest, or null when neither is given
+     */
+    static merge(base, override) {
+        if (!base && !override) {
+            return null;
+        }
+
+        if (!base || !override) {
+            return TemplateManifest.from(base || override);
+        }
+
+        return new TemplateManifest(Object.assign({}, TemplateManifest.from(base).variables, TemplateManifest.from(override).variables));
+    }
+
+    static _normalizeDeclaration(name, declaration) {
+        if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) {
+            throw new Error(`Invalid template manifest: declaration for '${name}' must be an object`);
+        }
+
+        const unknownKey = Object.keys(declaration).find(key => !DeclarationKeys.includes(key));
+        if (unknownKey) {
+            throw new Error(`Invalid template manifest: unknown property '${unknownKey}' for '${name}'`);
+        }
+
+        if (declaration.type !== undefined && !VariableValidate.VariableTypes.includes(declaration.type)) {
+            throw new Error(`Invalid template manifest: invalid variable type '${declaration.type}' for '${name}'`);
+        }
+
+        if (declaration.constraints !== undefined) {
+            TemplateManifest._checkConstraintDeclaration(name, declaration.constraints);
+        }
+
+        if (Object.prototype.hasOwnProperty.call(declaration, 'default')) {
+            if (!declaration.type) {
+                throw new Error(`Invalid template manifest: default for '${name}' requires a type`);
+            }
+
+            const validation = VariableValidate.validateValue(declaration.type, declaration.default);
+            if (!validation.valid) {
+                throw new Error(`Invalid template manifest: invalid default for '${name}': ${validation.error}`);
+            }
+        }
+
+        return Object.assign({}, declaration);
+    }
+
+    static _checkConstraintDeclaration(name, constraints) {
+        if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+            throw new Error(`Invalid template manifest: constraints for '${name}' must be an object`);
+        }
+
+        const unknownKey = Object.keys(constraints).find(key => !ConstraintKeys.includes(key));
+        if (unknownKey) {
+            throw new Error(`Invalid template manifest: unknown constraint '${unknownKey}' for '${name}'`);
+        }
+
+        for (const key of ['min', 'max']) {
+            if (constraints[key] !== undefined && typeof constraints[key] !== 'number') {
+                throw new Error(`Invalid template manifest: constraint '${key}' for '${name}' must be a number`);
+            }
+        }
+
+        if (constraints.enum !== undefined && !Array.isArray(constraints.enum)) {
+            throw new Error(`Invalid template manifest: constraint 'enum' for '${name}' must be an array`);
+        }
+
+        if (constraints.pattern !== undefined) {
+            try {
+                new RegExp(constraints.pattern);
+            } catch (error) {
+                throw new Error(`Invalid template manifest: constraint 'pattern' for '${name}' is not a valid regular expression`);
+            }
+        }
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.variables, name);
+    }
+
+    get(name) {
+        return this.has(name) ? this.variables[name] : null;
+    }
+
+    /**
+     * Fill in declared types and defaults for the supplied variables
+     * Supplied variables keep their own type when they have one
+     * @param {Object} variables - Object mapping variable names to {value, type} objects
+     * @param {Object} [options] - Optional {defaults: boolean}, defaults are applied unless false
+     * @returns {Object} New variables object
+     */
+    resolveVariables(variables, options = {}) {
+        const resolved = Object.assign({}, variables);
+
+        for (const [name, declaration] of Object.entries(this.variables)) {
+            if (Object.prototype.hasOwnProperty.call(resolved, name)) {
+                const supplied = resolved[name];
+                if (declaration.type && supplied && typeof supplied === 'object' && !Object.prototype.hasOwnProperty.call(supplied, 'type')) {
+                    resolved[name] = Object.assign({ type: declaration.type }, supplied);
+                }
+                continue;
+            }
+
+            // A dotted declaration is only defaulted when its root variable is absent too
+            const rootName = name.split('.')[0];
+            if (rootName !== name && Object.prototype.hasOwnProperty.call(resolved, rootName)) {
+                continue;
+            }
+
+            if (options.defaults !== false && Object.prototype.hasOwnProperty.call(declaration, 'default')) {
+                resolved[name] = { value: declaration.default, type: declaration.type };
+            }
+        }
+
+        return resolved;
+    }
+
+    /**
+     * Check a variable's value against its declared constraints
+     * @param {string} name - Variable name
+     * @param {Object} varData - {value, type} object
+     * @returns {string|null} Error message, or null when the value satisfies the constraints
+     */
+    checkConstraints(name, varData) {
+        const constraints = this.get(name)?.constraints;
+        if (!constraints || !varData || !Object.prototype.hasOwnProperty.call(varData, 'value')) {
+            return null;
+        }
+
+        const { value } = varData;
+
+        if (typeof value === 'number') {
+            if (constraints.min !== undefined && value < constraints.min) {
+                return `Variable '${name}' must be at least ${constraints.min}`;
+            }
+
+            if (constraints.max !== undefined && value > constraints.max) {
+                return `Variable '${name}' must be at most ${constraints.max}`;
+            }
+        }
+
+        if (constraints.enum !== undefined) {
+            const serialized = JSON.stringify(value);
+            if (!constraints.enum.some(allowed => JSON.stringify(allowed) === serialized)) {
+                return `Variable '${name}' must be one of ${constraints.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`;
+            }
+        }
+
+        if (constraints.pattern !== undefined && typeof value === 'string' && !new RegExp(constraints.pattern).test(value)) {
+            return `Variable '${name}' must match pattern ${constraints.pattern}`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Declared metadata for a variable, for merging into extractVariables() entries
+     * @param {string} name - Variable name
+     * @returns {Object} Declared {type, default, label, description, constraints}, only the keys present
+     */
+    describe(name) {
+        const declaration = this.get(name);
+        const description = {};
+        if (!declaration) {
+            return description;
+        }
+
+        for (const key of DeclarationKeys) {
+            if (Object.prototype.hasOwnProperty.call(declaration, key)) {
+                description[key] = declaration[key];
+            }
+        }
+
+        return description;
+    }
+
+    toJSON() {
+        return { variables: this.variables };
+    }
+}
+
+module.exports = TemplateManifest;
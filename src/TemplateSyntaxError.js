@@ -0,0 +1,160 @@
+/*
+Thrown when a template fails to parse. Wraps whatever the parser reported (a ParsingError
+with position and expected tokens, or a plain "Unexpected input" error) and locates it in
+the text the caller passed in, so line and column match what was typed. When the parser did not
+say what it expected, the caller can pass the furthest failure worked out by GrammarExpectations.
+*/
+class TemplateSyntaxError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'TemplateSyntaxError';
+        this.offset = details.offset;
+        this.line = details.line;
+        this.column = details.column;
+        this.expected = details.expected || [];
+        this.found = details.found === undefined ? null : details.found;
+        this.placeholder = details.placeholder || null;
+        this.excerpt = details.excerpt || '';
+        this.conditions = details.conditions || null;
+        this.cause = details.cause;
+    }
+
+    /**
+     * Build a TemplateSyntaxError from a parser failure
+     * @param {Error} error - Error thrown by the parser
+     * @param {string} source - Full text the caller passed in
+     * @param {number} [baseOffset] - Offset of the parsed text within source
+     * @param {string} [parsedText] - Text handed to the parser, defaults to source from baseOffset
+     * @param {Object} [details] - Optional {conditions, failure}: the block states the parsed text was rendered with,
+     * and the {offset, expected} furthest failure in the parsed text, used where the parser error has no position or expected tokens
+     * @returns {TemplateSyntaxError} Syntax error
+     */
+    static from(error, source, baseOffset = 0, parsedText = source.substring(baseOffset), details = {}) {
+        const failure = details.failure || null;
+        const offset = baseOffset + (typeof error?.position?.offset !== 'number' && failure
+            ? failure.offset
+            : TemplateSyntaxError._failureOffset(error, parsedText));
+        const reported = Array.isArray(error?.expected) && error.expected.length > 0 ? error.expected : (failure?.expected || []);
+        const expected = Array.from(new Set(reported.map(item => String(item))));
+        const found = typeof error?.found === 'string' ? error.found : TemplateSyntaxError._tokenAt(source, offset);
+
+        return TemplateSyntaxError.at(source, offset, { expected, found, conditions: details.conditions, cause: error });
+    }
+
+    /**
+     * Build a TemplateSyntaxError for a known offset in the source
+     * @param {string} source - Full text the caller passed in
+     * @param {number} offset - Zero-based offset of the failure
+     * @param {Object} [details] - Optional {expected, found, conditions, cause}
+     * @returns {TemplateSyntaxError} Syntax error
+     */
+    static at(source, offset, details = {}) {
+        const { line, column } = TemplateSyntaxError.locate(source, offset);
+        const expected = details.expected || [];
+        const found = details.found === undefined ? TemplateSyntaxError._tokenAt(source, offset) : details.found;
+        const placeholder = TemplateSyntaxError._findPlaceholder(source, offset);
+        const excerpt = TemplateSyntaxError.renderExcerpt(source, line, column);
+
+        let message = `Syntax error at line ${line}, column ${column}`;
+        if (expected.length > 0) {
+            message += `: expected ${expected.join(', ')}`;
+        }
+        message += found ? `, found ${JSON.stringify(found)}` : ', found end of input';
+        if (placeholder) {
+            message += ' inside ${...} placeholder';
+        }
+        if (details.conditions) {
+            message += ` when ${Object.entries(details.conditions).map(([name, value]) => TemplateSyntaxError._describeCondition(name, value)).join(' and ')}`;
+        }
+
+        return new TemplateSyntaxError(`${message}\n${excerpt}`, {
+            offset,
+            line,
+            column,
+            expected,
+            found,
+            placeholder,
+            excerpt,
+            conditions: details.conditions,
+            cause: details.cause
+        });
+    }
+
+    /**
+     * Convert an offset into a one-based line and column
+     * @param {string} source - Source text
+     * @param {number} offset - Zero-based offset
+     * @returns {Object} {line, column}
+     */
+    static locate(source, offset) {
+        const before = source.substring(0, offset).split('\n');
+        return {
+            line: before.length,
+            column: before[before.length - 1].length + 1
+        };
+    }
+
+    /**
+     * Render the failing line, with the line before it for context, and a caret under the column
+     * @param {string} source - Source text
+     * @param {number} line - One-based line
+     * @param {number} column - One-based column
+     * @returns {string} Excerpt
+     */
+    static renderExcerpt(source, line, column) {
+        const lines = source.split('\n');
+        const gutterWidth = String(line).length;
+        const rendered = [];
+
+        for (let number = Math.max(1, line - 1); number <= line; number++) {
+            rendered.push(`${String(number).padStart(gutterWidth)} | ${lines[number - 1].replace(/\r$/, '')}`);
+        }
+
+        rendered.push(`${' '.repeat(gutterWidth)} | ${' '.repeat(column - 1)}^`);
+        return rendered.join('\n');
+    }
+
+    static _describeCondition(name, value) {
+        if (typeof value === 'number') {
+            return `${name} has ${value} element${value === 1 ? '' : 's'}`;
+        }
+
+        return `${name} is ${value}`;
+    }
+
+    static _failureOffset(error, parsedText) {
+        if (typeof error?.position?.offset === 'number') {
+            return error.position.offset;
+        }
+
+        // The unparsed rest can start with whitespace, the failure is at the token after it
+        const unexpected = /Unexpected input: ([\s\S]*)$/.exec(error?.message || '');
+        if (unexpected && parsedText.endsWith(unexpected[1])) {
+            return parsedText.length - unexpected[1].trimStart().length;
+        }
+
+        return 0;
+    }
+
+    static _tokenAt(source, offset) {
+        // A token runs up to whitespace or the next block marker
+        const match = /^\S+?(?=\s|\$\{\s*[#/]|$)/.exec(source.substring(offset));
+        return match ? match[0] : null;
+    }
+
+    static _findPlaceholder(source, offset) {
+        const start = source.lastIndexOf('${', offset);
+        if (start === -1 || /^\$\{\s*[#/>]/.test(source.substring(start))) {
+            return null;
+        }
+
+        const close = source.indexOf('}', start);
+        if (close !== -1 && close < offset) {
+            return null;
+        }
+
+        return { start, end: close === -1 ? source.length : close + 1 };
+    }
+}
+
+module.exports = TemplateSyntaxError;
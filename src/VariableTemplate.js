@@ -1,6 +1,7 @@
 const { Parser } = require('ebnf');
 const RuleTemplate = require('./RuleTemplate');
 const TemplateFilters = require('./TemplateFilters');
+const TemplateSyntaxError = require('./TemplateSyntaxError');
 
 let ParserCache = null;
 
@@ -25,7 +26,27 @@ class VariableTemplate {
             ParserCache = new Parser(RuleTemplate.ParserRules, { debug: false });
         }
 
-        const ast = ParserCache.getAST(expressionText, 'template_expr');
+        const expressionOffset = VariableTemplate._expressionOffset(templateText);
+        let ast;
+        try {
+            ast = ParserCache.getAST(expressionText, 'template_expr');
+        } catch (error) {
+            const failure = RuleTemplate._furthestFailure(expressionText, 'template_expr');
+            throw TemplateSyntaxError.from(error, templateText, expressionOffset, expressionText, { failure });
+        }
+
+        if (!ast || ast.rest) {
+            const failure = RuleTemplate._furthestFailure(expressionText, 'template_expr');
+            const offset = failure ? failure.offset : (ast ? expressionText.length - ast.rest.trimStart().length : 0);
+            throw TemplateSyntaxError.at(templateText, expressionOffset + offset, { expected: failure ? failure.expected : [] });
+        }
+
+        // Spreading only means something in a rule's argument list
+        const spread = ast.children?.find(c => c.type === 'template_spread');
+        if (spread) {
+            throw TemplateSyntaxError.at(templateText, expressionOffset + spread.start, { found: '...' });
+        }
+
         const variableInfo = VariableTemplate._extractVariableFromAst(ast);
         if (!variableInfo) {
             throw new Error('Invalid variable template expression');
@@ -85,6 +106,18 @@ class VariableTemplate {
         return trimmed;
     }
 
+    // Offset of the normalized expression within the original template text
+    static _expressionOffset(templateText) {
+        const leading = templateText.length - templateText.trimStart().length;
+        const trimmed = templateText.trim();
+        if (trimmed.startsWith('${') && trimmed.endsWith('}')) {
+            const inner = trimmed.slice(2, -1);
+            return leading + 2 + (inner.length - inner.trimStart().length);
+        }
+
+        return leading;
+    }
+
     static _extractVariableFromAst(ast) {
         if (!ast || ast.type !== 'template_expr') {
             return null;
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { FunctionBlobLoader, HalleyFunctionBlob } = require('../index');
+
+describe('FunctionBlobLoader', function() {
+    const url = 'https://example.com/functions.json';
+    const functionBlobData = {
+        version: 'v1.0.0',
+        functions: [{ name: 'EventIs', arguments: ['event'] }]
+    };
+    const headers = values => ({ get: name => values[name] || null });
+
+    let directory;
+    let originalFetch;
+    let requests;
+
+    beforeEach(function() {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'function-blob-loader-'));
+        originalFetch = globalThis.fetch;
+        requests = [];
+    });
+
+    afterEach(function() {
+        globalThis.fetch = originalFetch;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    const respondWith = (...responses) => {
+        globalThis.fetch = async (requestUrl, init) => {
+            requests.push(Object.assign({ url: requestUrl }, init));
+            const response = responses.length > 1 ? responses.shift() : responses[0];
+            if (response instanceof Error) {
+                throw response;
+            }
+
+            return response;
+        };
+    };
+
+    it('caches a fetched blob and revalidates it with ETag and Last-Modified', async function() {
+        const loader = new FunctionBlobLoader({ cacheDirectory: path.join(directory, 'cache') });
+        respondWith(
+            { ok: true, status: 200, headers: headers({ etag: '"v1"', 'last-modified': 'Mon, 19 Oct 2026 00:00:00 GMT' }), json: async () => functionBlobData },
+            { ok: false, status: 304, headers: headers({}), json: async () => null }
+        );
+
+        const fetched = await loader.load(url);
+        expect(fetched).to.be.instanceOf(HalleyFunctionBlob);
+        expect(loader.lastSource).to.equal('network');
+        expect(requests[0].headers).to.deep.equal({});
+
+        const revalidated = await loader.load(url);
+        expect(revalidated.functions).to.deep.equal(functionBlobData.functions);
+        expect(loader.lastSource).to.equal('not-modified');
+        expect(requests[1].headers).to.deep.equal({
+            'If-None-Match': '"v1"',
+            'If-Modified-Since': 'Mon, 19 Oct 2026 00:00:00 GMT'
+        });
+    });
+
+    it('serves the last good blob when the network fails', async function() {
+        const loader = new FunctionBlobLoader({ cacheDirectory: directory, retries: 1 });
+        respondWith({ ok: true, status: 200, headers: headers({}), json: async () => functionBlobData });
+        await loader.load(url);
+
+        respondWith(new Error('getaddrinfo ENOTFOUND example.com'));
+        const offline = await loader.load(url);
+        expect(offline.version).to.equal('v1.0.0');
+        expect(loader.lastSource).to.equal('cache');
+        expect(loader.lastError.message).to.equal('getaddrinfo ENOTFOUND example.com');
+        expect(requests).to.have.length(3);
+
+        respondWith({ ok: false, status: 503, headers: headers({}), json: async () => null });
+        expect((await loader.load(url)).version).to.equal('v1.0.0');
+        expect(loader.lastError.message).to.equal(`Failed to fetch function blob from '${url}'`);
+
+        let thrownError = null;
+        try {
+            await new FunctionBlobLoader({ cacheDirectory: path.join(directory, 'empty') }).load(url);
+        } catch (error) {
+            thrownError = error;
+        }
+
+        expect(thrownError.message).to.equal(`Failed to fetch function blob from '${url}'`);
+    });
+
+    it('returns a fetched blob when the cache cannot be written', async function() {
+        const blocked = path.join(directory, 'blocked');
+        fs.writeFileSync(blocked, '');
+        const loader = new FunctionBlobLoader({ cacheDirectory: blocked });
+        respondWith({ ok: true, status: 200, headers: headers({}), json: async () => functionBlobData });
+
+        const result = await loader.loadWithSource(url);
+        expect(result.blob.version).to.equal('v1.0.0');
+        expect(result.source).to.equal('network');
+        expect(result.cacheError).to.be.instanceOf(Error);
+        expect((await loader.load(url)).version).to.equal('v1.0.0');
+        expect(loader.lastSource).to.equal('network');
+    });
+
+    it('reports the source of each of several concurrent loads', async function() {
+        const loader = new FunctionBlobLoader({ cacheDirectory: directory, retries: 0 });
+        respondWith({ ok: true, status: 200, headers: headers({}), json: async () => functionBlobData });
+        await loader.load(url);
+
+        respondWith(
+            { ok: true, status: 200, headers: headers({}), json: async () => functionBlobData },
+            { ok: true, status: 200, headers: headers({}), json: async () => functionBlobData },
+            new Error('socket hang up')
+        );
+        const results = await Promise.all([loader.loadWithSource(url), loader.loadWithSource(url), loader.loadWithSource(url)]);
+        expect(results.map(result => result.source).sort()).to.deep.equal(['cache', 'network', 'network']);
+        expect(results.find(result => result.source === 'cache').error.message).to.equal('socket hang up');
+        expect(fs.readdirSync(directory).filter(file => file.endsWith('.tmp'))).to.deep.equal([]);
+    });
+
+    it('times out requests that do not respond', async function() {
+        globalThis.fetch = (requestUrl, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+        });
+
+        let thrownError = null;
+        try {
+            await new FunctionBlobLoader({ cacheDirectory: directory, timeout: 10, retries: 0 }).load(url);
+        } catch (error) {
+            thrownError = error;
+        }
+
+        expect(thrownError.message).to.equal(`Fetching function blob from '${url}' timed out after 10ms`);
+        expect(() => new FunctionBlobLoader({ cacheDirectory: directory, timeout: -1 })).to.throw("Loader option 'timeout' must be a non-negative integer");
+    });
+});
@@ -59,6 +59,17 @@ describe('GeneralTemplate', function() {
                 parsed.prepare({ STATUS: { value: 'ok', type: 'string' } });
             }).to.throw('Unknown filter');
         });
+
+        it('should keep unsupplied placeholders when partial', function() {
+            const template = 'Hello ${NAME|upper}, you have ${COUNT} alerts';
+            const parsed = GeneralTemplate.parse(template);
+
+            const staged = parsed.prepare({ COUNT: { value: 3, type: 'number' } }, { partial: true });
+
+            expect(staged).to.be.instanceOf(GeneralTemplate);
+            expect(staged.templateText).to.equal('Hello ${NAME|upper}, you have 3 alerts');
+            expect(staged.prepare({ NAME: { value: 'sam', type: 'string' } })).to.equal('Hello SAM, you have 3 alerts');
+        });
     });
 
     describe('validate()', function() {
@@ -93,5 +104,47 @@ describe('GeneralTemplate', function() {
             expect(result.valid).to.be.false;
             expect(result.errors).to.deep.include("Unknown filter 'missing_filter' for variable 'STATUS'");
         });
+
+        it('should report structured diagnostics with positions', function() {
+            const template = 'Status: ${STATUS|upper|missing_filter}';
+            const parsed = GeneralTemplate.parse(template);
+
+            const result = parsed.validate();
+
+            expect(result.diagnostics).to.deep.equal([{
+                code: 'UNKNOWN_FILTER',
+                severity: 'error',
+                message: "Unknown filter 'missing_filter' for variable 'STATUS'",
+                variable: 'STATUS',
+                start: 8,
+                end: 38
+            }]);
+        });
+    });
+
+    describe('prepareMany()', function() {
+        it('should prepare each variable set, reporting failures per set', function() {
+            const parsed = GeneralTemplate.parse('The ${ROOM|lower} door is open');
+
+            const results = parsed.prepareMany([
+                { ROOM: { value: 'Kitchen', type: 'string' } },
+                {},
+                { ROOM: { value: 'HALL', type: 'string' } }
+            ]);
+
+            expect(results.map(result => result.prepared)).to.deep.equal(['The kitchen door is open', null, 'The hall door is open']);
+            expect(results[1].valid).to.be.false;
+            expect(results[1].errors).to.deep.equal(["Variable 'ROOM' not provided in variables object"]);
+            expect(results[1].diagnostics[0]).to.include({ variable: 'ROOM', start: 4, end: 17 });
+            expect(results.map(result => result.index)).to.deep.equal([0, 1, 2]);
+        });
+    });
+
+    describe('format()', function() {
+        it('should normalize placeholder spacing only', function() {
+            const parsed = GeneralTemplate.parse('The  ${ ROOM | lower }  door is ${ STATE | default( "open" ,1 ) | upper } ${ }');
+
+            expect(parsed.format()).to.equal('The  ${ROOM|lower}  door is ${STATE|default("open", 1)|upper} ${ }');
+        });
     });
 });
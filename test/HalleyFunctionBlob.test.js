@@ -1,5 +1,9 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
 const { expect } = require('chai');
-const { HalleyFunctionBlob } = require('../index');
+const { HalleyFunctionBlob, RuleTemplate } = require('../index');
 
 describe('HalleyFunctionBlob', function() {
     const functionBlobData = {
@@ -61,6 +65,199 @@ describe('HalleyFunctionBlob', function() {
         expect(blob.validate('StrConcat', ['a', 'b', 'c'])).to.deep.equal([]);
     });
 
+    it('returns structured diagnostics for function calls', function() {
+        const blob = new HalleyFunctionBlob(functionBlobData);
+
+        expect(blob.diagnose('MissingFunction', [], { start: 0, end: 17 })).to.deep.equal([{
+            code: 'UNKNOWN_FUNCTION',
+            severity: 'warning',
+            message: "function 'MissingFunction' does not exist",
+            function: 'MissingFunction',
+            start: 0,
+            end: 17
+        }]);
+        expect(blob.diagnose('TimeDelay', ['5 minutes', 'extra'])).to.deep.equal([{
+            code: 'ARITY',
+            severity: 'warning',
+            message: 'TimeDelay received 2 parameters, function expects 1 parameter',
+            function: 'TimeDelay'
+        }]);
+    });
+
+    it('normalizes typed argument lists and keeps return types', function() {
+        const blob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'TimeDelay', arguments: [{ name: 'delay', type: 'number time' }, { name: 'label', type: 'string', optional: true }], returns: 'boolean' },
+                { name: 'AnyOf', arguments: [{ name: 'first', type: 'string' }, { variadic: true, type: 'string' }], returns: 'boolean' },
+                { name: 'Value', arguments: [], returns: 'number' }
+            ]
+        });
+
+        expect(blob.functions).to.deep.equal([
+            { name: 'TimeDelay', arguments: ['delay', 'label?'], argumentTypes: ['number time', 'string'], returns: 'boolean' },
+            { name: 'AnyOf', arguments: ['first', '...'], argumentTypes: ['string', 'string'], returns: 'boolean' },
+            { name: 'Value', arguments: [], returns: 'number' }
+        ]);
+        expect(blob.returnType('Value')).to.equal('number');
+        expect(blob.returnType('Missing')).to.equal(null);
+    });
+
+    it('checks argument types against typed definitions', function() {
+        const blob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'TimeDelay', arguments: [{ name: 'delay', type: 'number time' }, { name: 'label', type: 'string', optional: true }] },
+                { name: 'AnyOf', arguments: [{ name: 'first', type: 'string' }, { variadic: true, type: 'string' }] }
+            ]
+        });
+
+        expect(blob.validate('TimeDelay', ['5 minutes', '"door"'])).to.deep.equal([]);
+        expect(blob.validate('TimeDelay', [5, 'label'])).to.deep.equal([]);
+        expect(blob.validate('TimeDelay', ['"soon"', true])).to.deep.equal([
+            "parameter 1 of TimeDelay 'delay' expects number time, found string",
+            "parameter 2 of TimeDelay 'label' expects string, found boolean"
+        ]);
+        expect(blob.diagnose('AnyOf', ['${A}', '${B}'], { start: 0, end: 18 }, ['string', 'number array'])).to.deep.equal([{
+            code: 'ARGUMENT_TYPE',
+            severity: 'warning',
+            message: 'parameter 2 of AnyOf expects string, found number array',
+            function: 'AnyOf',
+            start: 0,
+            end: 18
+        }]);
+    });
+
+    it('compares two blobs and reports renames, arity and optionality changes', function() {
+        const oldBlob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'TimeSince', arguments: ['event'] },
+                { name: 'ArrayIn', arguments: ['haystack', 'needle?'] },
+                { name: 'EventIs', arguments: ['event'] },
+                { name: 'Legacy', arguments: [] }
+            ]
+        });
+        const newBlob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'TimeSinceEvent', arguments: ['event'] },
+                { name: 'ArrayIn', arguments: ['haystack', 'needle'] },
+                { name: 'EventIs', arguments: ['event', 'source?'] },
+                { name: 'Value', arguments: [] }
+            ]
+        });
+
+        const comparison = HalleyFunctionBlob.compare(oldBlob, newBlob);
+        expect(comparison.equal).to.equal(false);
+        expect(comparison.changes.map(change => [change.change, change.name, change.breaking])).to.deep.equal([
+            ['renamed', 'TimeSince', true],
+            ['removed', 'Legacy', true],
+            ['added', 'Value', false],
+            ['arity', 'ArrayIn', true],
+            ['optionality', 'ArrayIn', true],
+            ['arity', 'EventIs', false]
+        ]);
+        expect(comparison.changes[0]).to.include({ renamedTo: 'TimeSinceEvent', similarity: 0.64 });
+        expect(comparison.changes[4]).to.include({ parameter: 2, message: "parameter 2 of ArrayIn 'needle' is no longer optional" });
+        expect(HalleyFunctionBlob.compare(oldBlob, oldBlob)).to.deep.equal({ equal: true, changes: [] });
+    });
+
+    it('finds the templates a new blob breaks with their call sites', function() {
+        const oldBlob = new HalleyFunctionBlob({ functions: [{ name: 'TimeSince', arguments: ['event'] }, { name: 'Value', arguments: [] }] });
+        const newBlob = new HalleyFunctionBlob({ functions: [{ name: 'TimeSinceEvent', arguments: ['event'] }, { name: 'Value', arguments: [] }] });
+        const templates = ['Value() > 1', 'Value() > 1 && TimeSince("door") > 5', 'Missing()'].map(text => RuleTemplate.parse(text));
+
+        const broken = HalleyFunctionBlob.brokenTemplates(templates, oldBlob, newBlob);
+        expect(broken.map(entry => entry.index)).to.deep.equal([1]);
+        expect(broken[0].template).to.equal(templates[1]);
+        expect(broken[0].diagnostics).to.deep.equal([{
+            code: 'UNKNOWN_FUNCTION',
+            severity: 'warning',
+            message: "function 'TimeSince' does not exist",
+            function: 'TimeSince',
+            start: 15,
+            end: 32
+        }]);
+        expect(() => HalleyFunctionBlob.brokenTemplates(['Value()'], oldBlob, newBlob)).to.throw('Template at index 0 must be a RuleTemplate');
+    });
+
+    it('counts a deprecated function as working until it is removed', function() {
+        const plainBlob = new HalleyFunctionBlob({ functions: [{ name: 'EventIs', arguments: ['event'] }] });
+        const deprecatedBlob = new HalleyFunctionBlob({ functions: [{ name: 'EventIs', arguments: ['event'], deprecated: true }] });
+        const removedBlob = new HalleyFunctionBlob({ functions: [] });
+        const templates = [RuleTemplate.parse('EventIs("x")')];
+
+        expect(HalleyFunctionBlob.brokenTemplates(templates, plainBlob, deprecatedBlob)).to.deep.equal([]);
+        const broken = HalleyFunctionBlob.brokenTemplates(templates, deprecatedBlob, removedBlob);
+        expect(broken.map(entry => entry.warnings)).to.deep.equal([["function 'EventIs' does not exist"]]);
+    });
+
+    it('warns about deprecated functions and reports safe replacements', function() {
+        const blob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'TimeDelay', arguments: ['delay'], deprecated: true, since: 'v2.1', removedIn: 'v3.0', replacement: 'Delay' },
+                { name: 'Delay', arguments: ['delay', 'label?'] },
+                { name: 'Wait', arguments: ['delay', 'label'], deprecated: true, replacement: 'TimeDelay' },
+                { name: 'Pause', arguments: [], deprecated: true, replacement: { name: 'Delay', arguments: [{ value: '1 minute' }] } },
+                { name: 'Halt', arguments: [], deprecated: true, replacement: 'Missing' }
+            ]
+        });
+
+        expect(blob.functions[0]).to.deep.equal({ name: 'TimeDelay', arguments: ['delay'], deprecated: true, since: 'v2.1', removedIn: 'v3.0', replacement: 'Delay' });
+        expect(blob.diagnose('TimeDelay', ['5 minutes'], { start: 0, end: 20 })).to.deep.equal([{
+            code: 'DEPRECATED_FUNCTION',
+            severity: 'warning',
+            message: "function 'TimeDelay' is deprecated since v2.1, it will be removed in v3.0, use 'Delay' instead",
+            function: 'TimeDelay',
+            start: 0,
+            end: 20
+        }]);
+        expect(blob.validate('Halt')).to.deep.equal(["function 'Halt' is deprecated, use 'Missing' instead"]);
+        expect(blob.safeReplacement('TimeDelay')).to.equal('Delay');
+        expect(blob.safeReplacement('Pause')).to.deep.equal({ name: 'Delay', arguments: [{ value: '1 minute' }] });
+        expect(blob.safeReplacement('Wait')).to.equal(null);
+        expect(blob.safeReplacement('Halt')).to.equal(null);
+        expect(blob.safeReplacement('Delay')).to.equal(null);
+    });
+
+    it('follows replacements that are deprecated themselves', function() {
+        const blob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'A', arguments: ['x'], deprecated: true, replacement: 'B' },
+                { name: 'B', arguments: ['x'], deprecated: true, replacement: { name: 'C', arguments: [{ value: '1' }, 0] } },
+                { name: 'C', arguments: ['y', 'x'] },
+                { name: 'Ping', arguments: [], deprecated: true, replacement: 'Pong' },
+                { name: 'Pong', arguments: [], deprecated: true, replacement: 'Ping' }
+            ]
+        });
+
+        expect(blob.safeReplacement('A')).to.deep.equal({ name: 'C', arguments: [{ value: '1' }, 0] });
+        expect(blob.safeReplacement('B')).to.deep.equal({ name: 'C', arguments: [{ value: '1' }, 0] });
+        expect(blob.safeReplacement('Ping')).to.equal(null);
+    });
+
+    it('constructs a blob from JSON text, a file and a file URL', async function() {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'function-blob-'));
+        try {
+            const file = path.join(directory, 'functions.json');
+            fs.writeFileSync(file, JSON.stringify(functionBlobData));
+            fs.writeFileSync(path.join(directory, 'broken.json'), '{"functions": [');
+
+            expect(HalleyFunctionBlob.fromString(JSON.stringify(functionBlobData)).functions).to.deep.equal(functionBlobData.functions);
+            expect((await HalleyFunctionBlob.fromFile(file)).version).to.equal('v0.0.0-dev');
+            expect((await HalleyFunctionBlob.fromURL(pathToFileURL(file).href)).functions).to.deep.equal(functionBlobData.functions);
+            expect(() => HalleyFunctionBlob.fromString('[]')).to.throw('Function blob must be a JSON object');
+
+            let thrownError = null;
+            try {
+                await HalleyFunctionBlob.fromFile(path.join(directory, 'broken.json'));
+            } catch (error) {
+                thrownError = error;
+            }
+
+            expect(thrownError.message).to.match(/broken\.json: Function blob is not valid JSON/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
     it('loads and constructs a blob via fetch', async function() {
         const originalFetch = globalThis.fetch;
         let requestedUrl = null;
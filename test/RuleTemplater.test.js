@@ -1,3 +1,5 @@
+const path = require('path');
+const { execFileSync } = require('child_process');
 const { expect } = require('chai');
 const {RuleTemplate, HalleyFunctionBlob} = require('../index');
 
@@ -210,6 +212,12 @@ describe('RuleTemplate', function() {
             expect(result.errors[0]).to.include('Invalid variable type');
         });
 
+        it('should report variables that are not objects', function() {
+            const result = RuleTemplate.parse('EventIs(${EVENT_TYPE})').validate({ EVENT_TYPE: 'test' });
+
+            expect(result.errors).to.deep.equal(["Variable 'EVENT_TYPE' must be an object"]);
+        });
+
         it('should allow validate() to accept partial variable metadata without prepare-time errors', function() {
             const template = 'EventIs(${EVENT})';
             const parsed = RuleTemplate.parse(template);
@@ -387,6 +395,11 @@ describe('RuleTemplate', function() {
             expect(result).to.be.false;
         });
 
+        it('should keep number_time_atom out of the public mapping', function() {
+            expect(RuleTemplate.validateVariableNode({ type: 'number_time_atom' }, 'number')).to.be.false;
+            expect(RuleTemplate.validateVariableNode({ type: 'number_time_atom' }, 'number time')).to.be.false;
+        });
+
         it('should return false for invalid variable type', function() {
             const node = { type: 'string_atom' };
             const result = RuleTemplate.validateVariableNode(node, 'invalid_type');
@@ -1090,7 +1103,10 @@ describe('RuleTemplate', function() {
             expect(variables[0].positions).to.have.length(1);
             expect(variables[0].positions[0]).to.deep.equal({
                 start: 8,
-                end: 27
+                end: 27,
+                filters: ['upper', 'trim'],
+                filterCalls: [{ name: 'upper', args: [] }, { name: 'trim', args: [] }],
+                outputType: 'string'
             });
         });
 
@@ -1099,19 +1115,44 @@ describe('RuleTemplate', function() {
             const parsed = RuleTemplate.parse(template);
             const variables = parsed.extractVariables();
             
-            // Note: Since filters are part of each variable instance,
-            // we should only track one variable name with its filter from first occurrence
+            // Each occurrence carries its own chain, the entry lists every distinct chain
             expect(variables).to.have.length(1);
             expect(variables[0].name).to.equal('NAME');
+            expect(variables[0].filters).to.deep.equal(['upper', 'lower']);
             expect(variables[0].positions).to.have.length(2);
             expect(variables[0].positions[0]).to.deep.equal({
                 start: 0,
-                end: 13
+                end: 13,
+                filters: ['upper'],
+                filterCalls: [{ name: 'upper', args: [] }],
+                outputType: 'string'
             });
             expect(variables[0].positions[1]).to.deep.equal({
                 start: 18,
-                end: 31
+                end: 31,
+                filters: ['lower'],
+                filterCalls: [{ name: 'lower', args: [] }],
+                outputType: 'string'
             });
+            expect(variables[0].chains.map(chain => chain.filters)).to.deep.equal([['upper'], ['lower']]);
+        });
+
+        it('should type each occurrence by its own filter chain', function() {
+            const template = '---\n{"variables": {"PERIOD": {"type": "time period"}}}\n---\nTimeBetween(${PERIOD|time_start}, ${PERIOD|time_end}) && Check(${PERIOD|time_start}, ${PERIOD|default("x")})';
+            const variables = RuleTemplate.parse(template).extractVariables();
+
+            expect(variables[0].positions.map(position => [position.filters, position.outputType])).to.deep.equal([
+                [['time_start'], 'time value'],
+                [['time_end'], 'time value'],
+                [['time_start'], 'time value'],
+                [['default'], 'time period']
+            ]);
+            expect(variables[0].chains).to.deep.equal([
+                { filters: ['time_start'], filterCalls: [{ name: 'time_start', args: [] }], outputType: 'time value' },
+                { filters: ['time_end'], filterCalls: [{ name: 'time_end', args: [] }], outputType: 'time value' },
+                { filters: ['default'], filterCalls: [{ name: 'default', args: ['x'] }], outputType: 'time period' }
+            ]);
+            expect(variables[0].filters).to.deep.equal(['time_start', 'time_end', 'default']);
         });
 
         it('should extract positions in complex nested expressions', function() {
@@ -1414,4 +1455,1374 @@ describe('RuleTemplate', function() {
             expect(variables[0].name).to.equal('LIMIT');
         });
     });
+    describe('dotted template paths', function() {
+        const device = {
+            value: { room: 'kitchen', threshold: 5 },
+            type: 'object',
+            properties: {
+                room: { type: 'string' },
+                threshold: { type: 'number' }
+            }
+        };
+
+        it('should report the root variable and accessed sub-paths', function() {
+            const template = 'EventIs(${DEVICE.room}) && Value() > ${DEVICE.threshold}';
+            const parsed = RuleTemplate.parse(template);
+            const variables = parsed.extractVariables();
+
+            expect(variables).to.have.length(1);
+            expect(variables[0].name).to.equal('DEVICE');
+            expect(variables[0].paths).to.deep.equal(['room', 'threshold']);
+            expect(variables[0].positions).to.deep.equal([
+                { start: 8, end: 22, path: 'room' },
+                { start: 37, end: 56, path: 'threshold' }
+            ]);
+        });
+
+        it('should prepare leaf values using nested type metadata', function() {
+            const template = 'EventIs(${DEVICE.room|upper}) && Value() > ${DEVICE . threshold}';
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.prepare({ DEVICE: device })).to.equal('EventIs("KITCHEN") && Value() > 5');
+        });
+
+        it('should still accept flattened dotted keys', function() {
+            const template = 'Value() > ${DEVICE.threshold}';
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.prepare({
+                'DEVICE.threshold': { value: 7, type: 'number' }
+            })).to.equal('Value() > 7');
+        });
+
+        it('should validate structured variables', function() {
+            const template = 'EventIs(${DEVICE.room}) && Value() > ${DEVICE.threshold}';
+            const parsed = RuleTemplate.parse(template);
+
+            const result = parsed.validate({ DEVICE: device });
+
+            expect(result.valid).to.be.true;
+            expect(result.errors).to.be.an('array').that.is.empty;
+        });
+
+        it('should report missing sub-paths', function() {
+            const template = 'EventIs(${DEVICE.name})';
+            const parsed = RuleTemplate.parse(template);
+
+            const result = parsed.validate({ DEVICE: device });
+
+            expect(result.valid).to.be.false;
+            expect(result.errors).to.deep.equal([
+                "Variable 'DEVICE.name' not provided in variables object"
+            ]);
+            expect(() => parsed.prepare({ DEVICE: device })).to.throw("Variable 'DEVICE.name' not provided");
+        });
+
+        it('should require type metadata for the leaf', function() {
+            const template = 'EventIs(${DEVICE.room})';
+            const parsed = RuleTemplate.parse(template);
+
+            expect(() => parsed.prepare({
+                DEVICE: { value: { room: 'kitchen' }, type: 'object' }
+            })).to.throw("Variable 'DEVICE.room' must have a 'type' property");
+        });
+    });
+    describe('inferVariableTypes()', function() {
+        it('should infer time values for time-of-day positions', function() {
+            const parsed = RuleTemplate.parse('BETWEEN ${START} AND ${END}');
+
+            expect(parsed.inferVariableTypes()).to.deep.equal({
+                START: ['time value'],
+                END: ['time value']
+            });
+        });
+
+        it('should infer numbers for amounts followed by a time unit', function() {
+            const parsed = RuleTemplate.parse('TimeOfDay() > TimeOfDayAdd(${LOWER_TIME}, ${HOUR_LIMIT} HOURS)');
+            const inferred = parsed.inferVariableTypes();
+
+            expect(inferred.HOUR_LIMIT).to.deep.equal(['number']);
+            expect(inferred.LOWER_TIME).to.deep.equal(RuleTemplate.VariableTypes);
+        });
+
+        it('should allow any type directly in function arguments', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT})');
+
+            expect(parsed.inferVariableTypes()).to.deep.equal({
+                EVENT: RuleTemplate.VariableTypes
+            });
+        });
+
+        it('should account for filters that change the type', function() {
+            const parsed = RuleTemplate.parse('BETWEEN ${WINDOW|time_start} AND ${WINDOW|time_end}');
+
+            expect(parsed.inferVariableTypes()).to.deep.equal({
+                WINDOW: ['time period', 'time period ago']
+            });
+        });
+
+        it('should report an error when a supplied type cannot fill the position', function() {
+            const parsed = RuleTemplate.parse('BETWEEN ${START} AND ${END}');
+
+            const result = parsed.validate({
+                START: { value: '10:00', type: 'string' },
+                END: { value: '18:00', type: 'time value' }
+            });
+
+            expect(result.valid).to.be.false;
+            expect(result.errors).to.deep.equal([
+                "Variable 'START' of type 'string' cannot be used in a tod_atom position, expected time value"
+            ]);
+        });
+
+        it('should accept filtered types that fit the position', function() {
+            const parsed = RuleTemplate.parse('BETWEEN ${WINDOW|time_start} AND ${WINDOW|time_end}');
+
+            const result = parsed.validate({
+                WINDOW: { value: { from: '08:00', to: '12:00' }, type: 'time period' }
+            });
+
+            expect(result.valid).to.be.true;
+            expect(result.errors).to.be.an('array').that.is.empty;
+        });
+    });
+    describe('validate() diagnostics', function() {
+        it('should report missing variables with codes and positions', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD}');
+
+            const result = parsed.validate({
+                EVENT_TYPE: { value: 'test', type: 'string' }
+            });
+
+            expect(result.diagnostics).to.deep.equal([{
+                code: 'MISSING_VARIABLE',
+                severity: 'error',
+                message: "Variable 'THRESHOLD' not provided in variables object",
+                variable: 'THRESHOLD',
+                start: 36,
+                end: 48
+            }]);
+            expect(result.errors).to.deep.equal([
+                "Variable 'THRESHOLD' not provided in variables object"
+            ]);
+        });
+
+        it('should classify unknown filters, invalid types and invalid values', function() {
+            const parsed = RuleTemplate.parse('EventIs(${A|missing_filter}) && Value() > ${B} && Other(${C})');
+
+            const result = parsed.validate({
+                A: { value: 'a', type: 'string' },
+                B: { value: 1, type: 'invalid_type' },
+                C: { value: 'not-a-number', type: 'number' }
+            });
+
+            expect(result.diagnostics.map(diagnostic => diagnostic.code)).to.deep.equal([
+                'UNKNOWN_FILTER',
+                'INVALID_TYPE',
+                'INVALID_VALUE'
+            ]);
+            expect(result.diagnostics[0]).to.include({ variable: 'A', start: 8, end: 27 });
+        });
+
+        it('should report function warnings with the call position', function() {
+            const parsed = RuleTemplate.parse('EventIs("a") && MissingFunction()');
+            const blob = new HalleyFunctionBlob({
+                functions: [
+                    { name: 'EventIs', arguments: ['event'] }
+                ]
+            });
+
+            const result = parsed.validate({}, blob);
+
+            expect(result.valid).to.be.true;
+            expect(result.diagnostics).to.deep.equal([{
+                code: 'UNKNOWN_FUNCTION',
+                severity: 'warning',
+                message: "function 'MissingFunction' does not exist",
+                function: 'MissingFunction',
+                start: 16,
+                end: 33
+            }]);
+            expect(result.warnings).to.deep.equal([
+                "function 'MissingFunction' does not exist"
+            ]);
+        });
+    });
+
+    describe('prepare() with partial option', function() {
+        it('should keep unsupplied placeholders and return a RuleTemplate', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE}) && Value() BETWEEN ${MIN|round} AND 100');
+
+            const staged = parsed.prepare({
+                EVENT_TYPE: { value: 'door_open', type: 'string' }
+            }, { partial: true });
+
+            expect(staged).to.be.instanceOf(RuleTemplate);
+            expect(staged.ruleTemplateText).to.equal('EventIs("door_open") && Value() BETWEEN ${MIN|round} AND 100');
+            expect(staged.extractVariables().map(v => v.name)).to.deep.equal(['MIN']);
+        });
+
+        it('should prepare the remaining variables in a later stage', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD}');
+
+            const staged = parsed.prepare({ THRESHOLD: { value: 10, type: 'number' } }, { partial: true });
+            const result = staged.prepare({ EVENT_TYPE: { value: 'test', type: 'string' } });
+
+            expect(result).to.equal('EventIs("test") && Value() > 10');
+        });
+
+        it('should keep dotted placeholders whose path is not supplied', function() {
+            const parsed = RuleTemplate.parse('EventIs(${DEVICE.room}) && Value() > ${THRESHOLD}');
+
+            const staged = parsed.prepare({
+                DEVICE: { value: {}, type: 'object' },
+                THRESHOLD: { value: 5, type: 'number' }
+            }, { partial: true });
+
+            expect(staged.ruleTemplateText).to.equal('EventIs(${DEVICE.room}) && Value() > 5');
+        });
+
+        it('should still throw for invalid supplied variables', function() {
+            const parsed = RuleTemplate.parse('Value() > ${THRESHOLD} && EventIs(${EVENT_TYPE})');
+
+            expect(() => {
+                parsed.prepare({ THRESHOLD: { value: 5, type: 'invalid' } }, { partial: true });
+            }).to.throw("Invalid variable type 'invalid'");
+        });
+    });
+
+    describe('template manifest', function() {
+        const template = [
+            '---',
+            '{',
+            '    "variables": {',
+            '        "EVENT_TYPE": {"type": "string", "label": "Event", "description": "Event to react to", "constraints": {"enum": ["door_open", "door_close"]}},',
+            '        "THRESHOLD": {"type": "number", "default": 10, "constraints": {"min": 0, "max": 100}}',
+            '    }',
+            '}',
+            '---',
+            'EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD}'
+        ].join('\n');
+
+        it('should split a front-matter manifest from the rule', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.ruleTemplateText).to.equal(template);
+            expect(parsed.manifest.get('THRESHOLD')).to.deep.equal({
+                type: 'number',
+                default: 10,
+                constraints: { min: 0, max: 100 }
+            });
+        });
+
+        it('should merge declared metadata into extracted variables', function() {
+            const parsed = RuleTemplate.parse(template);
+            const variables = parsed.extractVariables();
+
+            expect(variables[0]).to.deep.equal({
+                name: 'EVENT_TYPE',
+                filters: [],
+                positions: [{ start: template.indexOf('${EVENT_TYPE}'), end: template.indexOf('${EVENT_TYPE}') + 13 }],
+                type: 'string',
+                label: 'Event',
+                description: 'Event to react to',
+                constraints: { enum: ['door_open', 'door_close'] }
+            });
+            expect(variables[1]).to.include({ name: 'THRESHOLD', type: 'number', default: 10 });
+        });
+
+        it('should report positions in the text passed in, after the front matter', function() {
+            const parsed = RuleTemplate.parse(template);
+            const { start, end } = parsed.extractVariables()[1].positions[0];
+            const diagnostic = parsed.validateFunctions(new HalleyFunctionBlob({ functions: [{ name: 'EventIs', arguments: ['event'] }] })).diagnostics[0];
+
+            expect(template.substring(start, end)).to.equal('${THRESHOLD}');
+            expect(template.substring(parsed.ast.start, parsed.ast.end)).to.equal('EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD}');
+            expect(template.substring(diagnostic.start, diagnostic.end)).to.equal('Value()');
+        });
+
+        it('should fall back to declared types and defaults', function() {
+            const parsed = RuleTemplate.parse(template);
+            const variables = { EVENT_TYPE: { value: 'door_open' } };
+
+            expect(parsed.validate(variables).valid).to.be.true;
+            expect(parsed.prepare(variables)).to.equal('EventIs("door_open") && Value() > 10');
+        });
+
+        it('should report constraint violations', function() {
+            const parsed = RuleTemplate.parse(template);
+            const variables = {
+                EVENT_TYPE: { value: 'window_open' },
+                THRESHOLD: { value: 150 }
+            };
+
+            const result = parsed.validate(variables);
+
+            expect(result.valid).to.be.false;
+            expect(result.diagnostics.map(diagnostic => diagnostic.code)).to.deep.equal(['CONSTRAINT', 'CONSTRAINT']);
+            expect(result.errors).to.deep.equal([
+                'Variable \'EVENT_TYPE\' must be one of "door_open", "door_close"',
+                'Variable \'THRESHOLD\' must be at most 100'
+            ]);
+            expect(() => parsed.prepare(variables)).to.throw("Variable 'EVENT_TYPE' must be one of");
+        });
+
+        it('should accept a companion manifest object', function() {
+            const parsed = RuleTemplate.parse('Value() > ${THRESHOLD}', {
+                manifest: { variables: { THRESHOLD: { type: 'number', default: 5 } } }
+            });
+
+            expect(parsed.prepare({})).to.equal('Value() > 5');
+        });
+
+        it('should not apply defaults during partial preparation', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            const staged = parsed.prepare({ EVENT_TYPE: { value: 'door_open' } }, { partial: true });
+
+            expect(staged.ruleTemplateText).to.equal('EventIs("door_open") && Value() > ${THRESHOLD}');
+            expect(staged.prepare({})).to.equal('EventIs("door_open") && Value() > 10');
+        });
+
+        it('should reject invalid manifests', function() {
+            expect(() => RuleTemplate.parse('---\n{"variables": {"A": {"type": "nope"}}}\n---\nValue() > ${A}'))
+                .to.throw("Invalid template manifest: invalid variable type 'nope' for 'A'");
+            expect(() => RuleTemplate.parse('---\n{not json}\n---\nValue() > ${A}'))
+                .to.throw('Invalid template manifest');
+            expect(() => RuleTemplate.parse('Value() > ${A}', { manifest: { variables: { A: { type: 'number', default: 'x' } } } }))
+                .to.throw("Invalid template manifest: invalid default for 'A'");
+        });
+    });
+
+    describe('match()', function() {
+        it('should recover variable values and types from a concrete rule', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD} && SensorActionDuration(HasCapableSensor("bed"), ${PERIOD})');
+            const rule = 'EventIs("door_open") && Value() > 10 && SensorActionDuration(HasCapableSensor("bed"), 2 HOURS AGO BETWEEN 08:00 AND 17:00)';
+
+            const result = parsed.match(rule);
+
+            expect(result.matched).to.be.true;
+            expect(result.divergence).to.be.null;
+            expect(result.variables).to.deep.equal({
+                EVENT_TYPE: { value: 'door_open', type: 'string' },
+                THRESHOLD: { value: 10, type: 'number' },
+                PERIOD: { value: { ago: [2, 'HOURS'], from: '08:00', to: '17:00' }, type: 'time period ago' }
+            });
+            expect(parsed.prepare(result.variables)).to.equal(rule);
+        });
+
+        it('should decode booleans, times and arrays', function() {
+            const parsed = RuleTemplate.parse('Check(${FLAG}, BETWEEN ${START} AND 09:00, ${ROOMS})');
+
+            const result = parsed.match('Check(true, BETWEEN 07:30 AND 09:00, ["kitchen","hall"])');
+
+            expect(result.variables).to.deep.equal({
+                FLAG: { value: true, type: 'boolean' },
+                START: { value: '07:30', type: 'time value' },
+                ROOMS: { value: ['kitchen', 'hall'], type: 'string array' }
+            });
+        });
+
+        it('should report where the rule diverges from the template', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD}');
+
+            const result = parsed.match('EventIs("test") && Value() < 10');
+
+            expect(result.matched).to.be.false;
+            expect(result.divergence).to.deep.equal({
+                message: "Expected '>' but found '<'",
+                template: { start: 34, end: 35, text: '>' },
+                rule: { start: 27, end: 28, text: '<' }
+            });
+        });
+
+        it('should report conflicting values for a repeated variable', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE}) || EventIs(${EVENT_TYPE})');
+
+            const result = parsed.match('EventIs("a") || EventIs("b")');
+
+            expect(result.matched).to.be.false;
+            expect(result.divergence.message).to.equal('Variable \'EVENT_TYPE\' matched both "a" and "b"');
+        });
+
+        it('should report slots holding expressions rather than literals', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE})');
+
+            const result = parsed.match('EventIs(Value() + 1)');
+
+            expect(result.matched).to.be.false;
+            expect(result.divergence.message).to.equal("Variable 'EVENT_TYPE' cannot be read from 'Value() + 1'");
+        });
+
+        it('should warn when a variable is only matched through filters', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE|upper})');
+
+            const result = parsed.match('EventIs("DOOR")');
+
+            expect(result.matched).to.be.true;
+            expect(result.variables.EVENT_TYPE).to.deep.equal({ value: 'DOOR', type: 'string' });
+            expect(result.warnings).to.deep.equal([
+                "Variable 'EVENT_TYPE' is only used through filters, the matched value is the filter output"
+            ]);
+        });
+    });
+
+    describe('toJSON() / fromJSON()', function() {
+        const template = 'EventIs(${EVENT_TYPE}) && Value() > ${THRESHOLD|round}';
+        const variables = {
+            EVENT_TYPE: { value: 'door_open', type: 'string' },
+            THRESHOLD: { value: 9.6, type: 'number' }
+        };
+
+        it('should load templates serialized by another process', function() {
+            const index = JSON.stringify(path.join(__dirname, '..', 'index'));
+            const serialized = execFileSync(process.execPath, ['-e', `
+                const { RuleTemplate } = require(${index});
+                process.stdout.write(JSON.stringify(RuleTemplate.parse(${JSON.stringify(template)}).toJSON()));
+            `], { encoding: 'utf8' });
+
+            expect(RuleTemplate.fromJSON(serialized).prepare(variables)).to.equal('EventIs("door_open") && Value() > 10');
+
+            // A process that has not parsed anything yet loads it as well
+            const prepared = execFileSync(process.execPath, ['-e', `
+                const { RuleTemplate } = require(${index});
+                process.stdout.write(RuleTemplate.fromJSON(process.argv[1]).prepare(${JSON.stringify(variables)}));
+            `, serialized], { encoding: 'utf8' });
+            expect(prepared).to.equal('EventIs("door_open") && Value() > 10');
+        });
+
+        it('should serialize a compact, versioned form', function() {
+            const data = RuleTemplate.parse(template).toJSON();
+
+            expect(data.format).to.equal(2);
+            expect(data.grammar).to.equal(RuleTemplate.getGrammarVersion());
+            expect(data.template).to.equal(template);
+            expect(data.ast[0]).to.equal('statement');
+            expect(data.variables.map(v => v.name)).to.deep.equal(['EVENT_TYPE', 'THRESHOLD']);
+            expect(data.functions.map(f => f.name)).to.deep.equal(['EventIs', 'Value']);
+        });
+
+        it('should rehydrate a template that prepares and validates like the original', function() {
+            const parsed = RuleTemplate.parse(template);
+            const restored = RuleTemplate.fromJSON(JSON.stringify(parsed));
+
+            expect(restored).to.be.instanceOf(RuleTemplate);
+            expect(restored.extractVariables()).to.deep.equal(parsed.extractVariables());
+            expect(restored.prepare(variables)).to.equal('EventIs("door_open") && Value() > 10');
+            expect(restored.validate(variables)).to.deep.equal(parsed.validate(variables));
+        });
+
+        it('should keep the manifest', function() {
+            const parsed = RuleTemplate.parse('Value() > ${THRESHOLD}', {
+                manifest: { variables: { THRESHOLD: { type: 'number', default: 5 } } }
+            });
+
+            const restored = RuleTemplate.fromJSON(parsed.toJSON());
+
+            expect(restored.prepare({})).to.equal('Value() > 5');
+        });
+
+        it('should reject stale grammar versions and unknown formats', function() {
+            const data = RuleTemplate.parse(template).toJSON();
+
+            expect(() => RuleTemplate.fromJSON(Object.assign({}, data, { grammar: '00000000' })))
+                .to.throw("Serialized template was built for grammar version '00000000'");
+            expect(() => RuleTemplate.fromJSON(Object.assign({}, data, { format: 99 })))
+                .to.throw("Unsupported serialized template format '99'");
+            expect(() => RuleTemplate.fromJSON({ template })).to.throw('Invalid serialized template');
+        });
+    });
+
+    describe('syntax errors', function() {
+        const { TemplateSyntaxError } = RuleTemplate;
+
+        it('should report line, column and an excerpt for multi-line templates', function() {
+            let error;
+            try {
+                RuleTemplate.parse('EventIs("a") &&\n  Value() > 5 )');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(TemplateSyntaxError);
+            expect(error).to.include({ offset: 30, line: 2, column: 15, found: ')' });
+            expect(error.placeholder).to.be.null;
+            expect(error.excerpt).to.equal([
+                '1 | EventIs("a") &&',
+                '2 |   Value() > 5 )',
+                '  |               ^'
+            ].join('\n'));
+            expect(error.message).to.match(/^Syntax error at line 2, column 15/);
+        });
+
+        it('should locate errors after a manifest block in the original text', function() {
+            let error;
+            try {
+                RuleTemplate.parse('---\n{}\n---\nValue() > 5 )');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.include({ line: 4, column: 13 });
+        });
+
+        it('should work out the expected tokens where a real parse fails', function() {
+            let error;
+            try {
+                RuleTemplate.parse('Value() >');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.include({ offset: 9, line: 1, column: 10, found: null });
+            expect(error.expected).to.include.members(['a function name', 'a number', 'a time of day', 'a string', '"${"']);
+            expect(error.message.split('\n')[0]).to.match(/^Syntax error at line 1, column 10: expected a function name, a number, .*found end of input$/);
+            expect(() => RuleTemplate.parse('Value() > ${'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'line 1, column 13: expected a name, found end of input');
+        });
+
+        it('should list the operators that could follow a complete expression', function() {
+            let error;
+            try {
+                RuleTemplate.parse('EventIs("a") &&\n  Value() > 5 )');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error.expected).to.include.members(['"&&"', '"||"', '"+"', 'a unit']);
+        });
+
+        it('should use the position and expected tokens reported by the parser', function() {
+            const source = 'Value() > ${N|}';
+            const parsingError = new Error('Unexpected token');
+            parsingError.position = { offset: 4, line: 1, column: 5 };
+            parsingError.expected = ['template_filter_name', 'template_filter_name'];
+            parsingError.found = '}';
+
+            const error = TemplateSyntaxError.from(parsingError, source, 10, '${N|}');
+
+            expect(error).to.include({ offset: 14, line: 1, column: 15, found: '}' });
+            expect(error.expected).to.deep.equal(['template_filter_name']);
+            expect(error.placeholder).to.deep.equal({ start: 10, end: 15 });
+            expect(error.cause).to.equal(parsingError);
+            expect(error.message.split('\n')[0]).to.equal('Syntax error at line 1, column 15: expected template_filter_name, found "}" inside ${...} placeholder');
+        });
+    });
+
+    describe('rewriteFunctions()', function() {
+        it('should rename calls while preserving formatting and placeholders', function() {
+            const parsed = RuleTemplate.parse('TimeLastTrueCheck( ${CHECK|lower} ) < 60 && EventIs(${EVENT_TYPE})');
+
+            const result = parsed.rewriteFunctions({ TimeLastTrueCheck: 'TimeSinceTrue' });
+
+            expect(result.text).to.equal('TimeSinceTrue( ${CHECK|lower} ) < 60 && EventIs(${EVENT_TYPE})');
+            expect(result.changes).to.deep.equal([{
+                function: 'TimeLastTrueCheck',
+                name: 'TimeSinceTrue',
+                start: 0,
+                end: 35,
+                before: 'TimeLastTrueCheck( ${CHECK|lower} )',
+                after: 'TimeSinceTrue( ${CHECK|lower} )'
+            }]);
+        });
+
+        it('should reorder, drop and insert arguments', function() {
+            const parsed = RuleTemplate.parse('Check("a", ${B}, 3) && Outer(Check("x", 1, 2))');
+
+            const result = parsed.rewriteFunctions({
+                Check: { name: 'CheckV2', arguments: [1, { value: '"minutes"' }, 0] }
+            });
+
+            expect(result.text).to.equal('CheckV2(${B}, "minutes", "a") && Outer(CheckV2(1, "minutes", "x"))');
+            expect(result.changes.map(change => change.start)).to.deep.equal([0, 29]);
+        });
+
+        it('should keep a manifest block when rewriting', function() {
+            const template = '---\n{"variables": {"B": {"type": "number"}}}\n---\nCheck(${B})\n';
+            const parsed = RuleTemplate.parse(template);
+
+            const result = parsed.rewriteFunctions({ Check: 'CheckV2' });
+
+            expect(result.text).to.equal('---\n{"variables": {"B": {"type": "number"}}}\n---\nCheckV2(${B})\n');
+        });
+
+        it('should list call sites without rewriting on a dry run', function() {
+            const template = 'Check(1) && Check(2)';
+            const parsed = RuleTemplate.parse(template);
+
+            const result = parsed.rewriteFunctions({ Check: 'CheckV2' }, { dryRun: true });
+
+            expect(result.text).to.equal(template);
+            expect(result.changes.map(change => change.after)).to.deep.equal(['CheckV2(1)', 'CheckV2(2)']);
+        });
+
+        it('should reject invalid argument specs', function() {
+            const parsed = RuleTemplate.parse('Check(1)');
+
+            expect(() => parsed.rewriteFunctions({ Check: { arguments: ['0'] } }))
+                .to.throw("Invalid rewrite for function 'Check': arguments must be argument indexes or {value} objects");
+        });
+
+        it('should reject a rewrite that leaves the template unparseable', function() {
+            const parsed = RuleTemplate.parse('Check(${A}, 2) && Value() > 1');
+            const mapping = { Check: { name: 'CheckV2', arguments: [0, { value: '1 +' }] } };
+
+            expect(() => parsed.rewriteFunctions(mapping))
+                .to.throw(/^Rewriting functions produced a template that does not parse: Syntax error at line 1, column 17/);
+            expect(() => parsed.rewriteFunctions(mapping, { dryRun: true })).to.throw('does not parse');
+        });
+    });
+
+    describe('extractVariables() with context', function() {
+        it('should report the enclosing call, argument index and nesting path', function() {
+            const parsed = RuleTemplate.parse('EventIs(StrConcat("door:", ${ACTION}))');
+
+            const [variable] = parsed.extractVariables({ context: true });
+
+            expect(variable.positions[0].context).to.deep.equal({
+                function: 'StrConcat',
+                argument: 1,
+                operator: null,
+                side: null,
+                node: 'argument',
+                path: [
+                    { function: 'EventIs', argument: 0 },
+                    { function: 'StrConcat', argument: 1 }
+                ]
+            });
+        });
+
+        it('should report the slot a placeholder fills rather than the alternative that took it', function() {
+            const parsed = RuleTemplate.parse('Value() > ${LIMIT} && Value() BETWEEN ${MIN} AND 5 && Value() > ${AMOUNT} minutes');
+            const nodes = {};
+            for (const variable of parsed.extractVariables({ context: true })) {
+                nodes[variable.name] = variable.positions[0].context.node;
+            }
+
+            expect(nodes).to.deep.equal({ LIMIT: 'result', MIN: 'number_atom', AMOUNT: 'number_time_atom' });
+            expect(RuleTemplate.parse('Check(${VALUES...})').extractVariables({ context: true })[0].positions[0].context.node)
+                .to.equal('argument');
+        });
+
+        it('should report the operator and operand side', function() {
+            const parsed = RuleTemplate.parse('${LEFT} > Value() && Value() > ${RIGHT} && Value() BETWEEN ${MIN} AND ${MAX}');
+
+            const contexts = {};
+            for (const variable of parsed.extractVariables({ context: true })) {
+                const { operator, side } = variable.positions[0].context;
+                contexts[variable.name] = { operator, side };
+            }
+
+            expect(contexts).to.deep.equal({
+                LEFT: { operator: '>', side: 'left' },
+                RIGHT: { operator: '>', side: 'right' },
+                MIN: { operator: 'BETWEEN', side: 'lower' },
+                MAX: { operator: 'BETWEEN', side: 'upper' }
+            });
+        });
+
+        it('should not apply operators outside the enclosing call', function() {
+            const parsed = RuleTemplate.parse('Count(${ROOM}) > 2');
+
+            const [variable] = parsed.extractVariables({ context: true });
+
+            expect(variable.positions[0].context).to.include({ function: 'Count', argument: 0, operator: null });
+        });
+
+        it('should only add context when asked', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT_TYPE})');
+
+            expect(parsed.extractVariables()[0].positions[0]).to.deep.equal({ start: 8, end: 21 });
+        });
+    });
+
+    describe('conditional blocks', function() {
+        const template = 'Value() > ${THRESHOLD} ${#if AWAY_CHECK} && Presence(${ROOM}) == 0 ${/if}';
+
+        it('should include or leave out a block depending on its condition', function() {
+            const parsed = RuleTemplate.parse(template);
+            const threshold = { value: 5, type: 'number' };
+
+            expect(parsed.prepare({ THRESHOLD: threshold, AWAY_CHECK: { value: false, type: 'boolean' } }))
+                .to.equal('Value() > 5');
+            expect(parsed.prepare({
+                THRESHOLD: threshold,
+                AWAY_CHECK: { value: true, type: 'boolean' },
+                ROOM: { value: 'lounge', type: 'string' }
+            })).to.equal('Value() > 5 && Presence("lounge") == 0');
+        });
+
+        it('should not leave whitespace inside brackets around a removed block', function() {
+            const flag = (value) => ({ type: 'boolean', value });
+
+            expect(RuleTemplate.parse('A() && (X() ${#if B}&& Y() ${/if})').prepare({ B: flag(false) }))
+                .to.equal('A() && (X())');
+            expect(RuleTemplate.parse('A() ${#if B}&& (X() ${#if C}|| Y() ${/if}) ${/if}').prepare({ B: flag(true), C: flag(false) }))
+                .to.equal('A() && (X())');
+            expect(RuleTemplate.parse('(X() ${#if B}&& Y()${/if} )').prepare({ B: flag(false) }))
+                .to.equal('(X())');
+        });
+
+        it('should report the conditions a variable is nested in', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.extractVariables()).to.deep.equal([
+                { name: 'THRESHOLD', filters: [], positions: [{ start: 10, end: 22 }] },
+                { name: 'AWAY_CHECK', filters: [], positions: [{ start: 23, end: 40, block: 'if' }] },
+                { name: 'ROOM', filters: [], positions: [{ start: 53, end: 60, conditions: ['AWAY_CHECK'] }] }
+            ]);
+            expect(parsed.inferVariableTypes().AWAY_CHECK).to.deep.equal(['boolean']);
+        });
+
+        it('should reject a block that breaks the rule for one of its conditions', function() {
+            let error;
+            try {
+                RuleTemplate.parse('${#if AWAY_CHECK}Presence() == 0${/if}');
+            } catch (err) {
+                error = err;
+            }
+
+            expect(error).to.be.instanceOf(RuleTemplate.TemplateSyntaxError);
+            expect(error.conditions).to.deep.equal({ AWAY_CHECK: false });
+            expect(error.message).to.contain('when AWAY_CHECK is false');
+        });
+
+        it('should reject unbalanced and unknown markers', function() {
+            expect(() => RuleTemplate.parse('Value() > 1 ${#if A} && Value() < 2'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'expected ${/if} closing the block opened at line 1, column 13');
+            expect(() => RuleTemplate.parse('Value() > 1 ${/if}')).to.throw(RuleTemplate.TemplateSyntaxError, 'found "${/if}"');
+            expect(() => RuleTemplate.parse('Value() > 1 ${#unless A}${/unless}')).to.throw(RuleTemplate.TemplateSyntaxError, 'expected ${#if NAME}');
+        });
+
+        it('should only require variables used in included blocks', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.validate({
+                THRESHOLD: { value: 5, type: 'number' },
+                AWAY_CHECK: { value: false, type: 'boolean' }
+            }).valid).to.be.true;
+
+            const result = parsed.validate({
+                THRESHOLD: { value: 5, type: 'number' },
+                AWAY_CHECK: { value: 'yes', type: 'string' }
+            });
+            expect(result.diagnostics.map(diagnostic => diagnostic.code)).to.deep.equal(['TYPE_MISMATCH', 'MISSING_VARIABLE']);
+        });
+
+        it('should keep undecided blocks in a partial prepare', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            const partial = parsed.prepare({ THRESHOLD: { value: 5, type: 'number' } }, { partial: true });
+
+            expect(partial.ruleTemplateText).to.equal('Value() > 5 ${#if AWAY_CHECK} && Presence(${ROOM}) == 0 ${/if}');
+            expect(partial.prepare({ AWAY_CHECK: { value: false, type: 'boolean' } })).to.equal('Value() > 5');
+        });
+
+        it('should match rules produced with either condition value', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.match('Value() > 5').variables).to.deep.equal({
+                THRESHOLD: { value: 5, type: 'number' },
+                AWAY_CHECK: { value: false, type: 'boolean' }
+            });
+            expect(parsed.match('Value() > 5 && Presence("lounge") == 0').variables.AWAY_CHECK).to.deep.equal({ value: true, type: 'boolean' });
+        });
+
+        it('should keep markers when rewriting functions and round-trip through toJSON()', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.rewriteFunctions({ Presence: 'Occupancy' }).text)
+                .to.equal('Value() > ${THRESHOLD} ${#if AWAY_CHECK} && Occupancy(${ROOM}) == 0 ${/if}');
+
+            const restored = RuleTemplate.fromJSON(JSON.stringify(parsed));
+            expect(restored.extractVariables()).to.deep.equal(parsed.extractVariables());
+        });
+    });
+
+    describe('repeated blocks', function() {
+        const template = 'Value() > ${THRESHOLD} && ${#each DEVICES as DEVICE join || empty false}EventIs(${DEVICE|upper})${/each}';
+        const threshold = { value: 5, type: 'number' };
+
+        it('should repeat the block once per element, joined and bracketed', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.prepare({ THRESHOLD: threshold, DEVICES: { value: ['door', 'window'], type: 'string array' } }))
+                .to.equal('Value() > 5 && (EventIs("DOOR") || EventIs("WINDOW"))');
+            expect(parsed.prepare({ THRESHOLD: threshold, DEVICES: { value: ['door'], type: 'string array' } }))
+                .to.equal('Value() > 5 && EventIs("DOOR")');
+        });
+
+        it('should bracket each copy whose body has its own logical operators', function() {
+            const parsed = RuleTemplate.parse('${#each DEVICES as D join &&}EventIs(${D}) || Other(${D})${/each}');
+            const devices = { DEVICES: { value: ['a', 'b'], type: 'string array' } };
+
+            expect(parsed.prepare(devices)).to.equal('((EventIs("a") || Other("a")) && (EventIs("b") || Other("b")))');
+            expect(parsed.validate(devices).valid).to.equal(true);
+            expect(parsed.prepare({ DEVICES: { value: ['a'], type: 'string array' } })).to.equal('EventIs("a") || Other("a")');
+        });
+
+        it('should reject variables named like a rendered loop variable', function() {
+            expect(() => RuleTemplate.parse('${#each DEVICES as D join ||}EventIs(${D})${/each} && Value(${D__1}) > 1'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'line 1, column 63: expected a variable name other than D__1, which is reserved for the D loop variable');
+
+            const parsed = RuleTemplate.parse('${#each DEVICES as D join ||}EventIs(${D})${/each} && Value(${E__1}) > 1');
+            expect(parsed.prepare({ DEVICES: { value: ['a', 'b'], type: 'string array' }, E__1: { value: 'zz', type: 'string' } }))
+                .to.equal('(EventIs("a") || EventIs("b")) && Value("zz") > 1');
+        });
+
+        it('should resolve dotted paths into object elements', function() {
+            const parsed = RuleTemplate.parse('${#each DEVICES as D join ||}EventIs(${D.id|upper}) && Value() > ${D.limit}${/each}');
+            const devices = { value: [{ id: 'door', limit: 1 }, { id: 'window', limit: 2 }], type: 'object array' };
+
+            expect(parsed.prepare({ DEVICES: devices }))
+                .to.equal('((EventIs("DOOR") && Value() > 1) || (EventIs("WINDOW") && Value() > 2))');
+            expect(parsed.validate({ DEVICES: devices }).valid).to.equal(true);
+
+            const declared = Object.assign({ properties: { id: { type: 'string' }, limit: { type: 'number' } } }, devices);
+            expect(parsed.prepare({ DEVICES: declared }))
+                .to.equal('((EventIs("DOOR") && Value() > 1) || (EventIs("WINDOW") && Value() > 2))');
+        });
+
+        it('should apply the empty-array policy', function() {
+            const parsed = RuleTemplate.parse(template);
+            expect(parsed.prepare({ THRESHOLD: threshold, DEVICES: { value: [], type: 'string array' } }))
+                .to.equal('Value() > 5 && false');
+
+            const strict = RuleTemplate.parse('${#each IDS as ID join &&}Value(${ID}) > 1${/each}');
+            expect(strict.prepare({ IDS: { value: [1, 2], type: 'number array' } })).to.equal('(Value(1) > 1 && Value(2) > 1)');
+            expect(() => strict.prepare({ IDS: { value: [], type: 'number array' } }))
+                .to.throw("Variable 'IDS' must not be empty, its ${#each} block has no empty value");
+        });
+
+        it('should report the array and not the loop variable', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.extractVariables()).to.deep.equal([
+                { name: 'THRESHOLD', filters: [], positions: [{ start: 10, end: 22 }] },
+                { name: 'DEVICES', filters: [], positions: [{ start: 26, end: 72, block: 'each', item: 'DEVICE' }] }
+            ]);
+            expect(parsed.inferVariableTypes().DEVICES).to.deep.equal(['string array', 'number array', 'boolean array', 'object array']);
+        });
+
+        it('should require an array variable', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            const result = parsed.validate({ THRESHOLD: threshold, DEVICES: { value: 'door', type: 'string' } });
+
+            expect(result.valid).to.be.false;
+            expect(result.diagnostics[0]).to.include({ code: 'TYPE_MISMATCH', variable: 'DEVICES' });
+            expect(parsed.validate({ THRESHOLD: threshold, DEVICES: { value: ['door'], type: 'string array' } }).valid).to.be.true;
+        });
+
+        it('should check the loop variable against every element', function() {
+            const parsed = RuleTemplate.parse('---\n{"variables": {"LIMIT": {"type": "number", "constraints": {"max": 10}}}}\n---\n${#each LIMITS as LIMIT join ||}Level() > ${LIMIT}${/each}');
+
+            expect(parsed.validate({ LIMITS: { value: [1, 20, 30], type: 'number array' } }).diagnostics).to.deep.equal([
+                { code: 'CONSTRAINT', severity: 'error', message: "Variable 'LIMIT' must be at most 10", variable: 'LIMIT', start: 123, end: 131 }
+            ]);
+            expect(parsed.validate({ LIMITS: { value: [1, 2], type: 'number array' } }).valid).to.be.true;
+        });
+
+        it('should reject a block that cannot be repeated in its position', function() {
+            expect(() => RuleTemplate.parse('Value() > ${#each LIMITS as LIMIT}${LIMIT}${/each}'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'when LIMITS has 2 elements');
+        });
+
+        it('should keep the block in a partial prepare until the array is supplied', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            const partial = parsed.prepare({ THRESHOLD: threshold }, { partial: true });
+
+            expect(partial.ruleTemplateText).to.equal('Value() > 5 && ${#each DEVICES as DEVICE join || empty false}EventIs(${DEVICE|upper})${/each}');
+            expect(partial.prepare({ DEVICES: { value: ['door'], type: 'string array' } })).to.equal('Value() > 5 && EventIs("DOOR")');
+        });
+    });
+
+    describe('spread arguments', function() {
+        const template = 'AnyOf(${DEVICES|upper...}, "hall") && Value() > 5';
+
+        it('should expand an array into separate arguments, filtering each element', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.prepare({ DEVICES: { value: ['door', 'window'], type: 'string array' } }))
+                .to.equal('AnyOf("DOOR", "WINDOW", "hall") && Value() > 5');
+            expect(parsed.prepare({ DEVICES: { value: [], type: 'string array' } }))
+                .to.equal('AnyOf("hall") && Value() > 5');
+        });
+
+        it('should report spread occurrences and infer array types', function() {
+            const parsed = RuleTemplate.parse('AnyOf(${IDS...})');
+
+            expect(parsed.extractVariables()).to.deep.equal([
+                { name: 'IDS', filters: [], positions: [{ start: 6, end: 15, spread: true }] }
+            ]);
+            expect(parsed.inferVariableTypes().IDS).to.deep.equal(['string array', 'number array', 'boolean array', 'object array']);
+        });
+
+        it('should only allow a spread as a whole function argument', function() {
+            expect(() => RuleTemplate.parse('Value() > ${LIMITS...}'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'a spread placeholder must be a whole function argument');
+        });
+
+        it('should only allow one spread in an argument list', function() {
+            expect(() => RuleTemplate.parse('AnyOf(${IDS...}, ${ROOMS...})'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'a function call may only have one spread argument');
+            expect(() => RuleTemplate.parse('AnyOf(${IDS...}) && AnyOf(1, AllOf(${ROOMS...}))')).to.not.throw();
+        });
+
+        it('should reject variables that are not arrays', function() {
+            const parsed = RuleTemplate.parse(template);
+
+            expect(parsed.validate({ DEVICES: { value: 'door', type: 'string' } }).errors)
+                .to.deep.equal(["Variable 'DEVICES' of type 'string' cannot be spread, expected an array type"]);
+            expect(() => parsed.prepare({ DEVICES: { value: 'door', type: 'string' } }))
+                .to.throw("Variable 'DEVICES' of type 'string' cannot be spread, expected an array type");
+        });
+
+        it('should check function arity against the expanded argument count', function() {
+            const parsed = RuleTemplate.parse(template);
+            const functionBlob = new HalleyFunctionBlob({
+                functions: [
+                    { name: 'AnyOf', arguments: ['first', 'second', 'third?'] },
+                    { name: 'Value', arguments: [] }
+                ]
+            });
+
+            expect(parsed.validate({ DEVICES: { value: ['door'], type: 'string array' } }, functionBlob).warnings).to.deep.equal([]);
+            expect(parsed.validate({ DEVICES: { value: ['door', 'window', 'gate'], type: 'string array' } }, functionBlob).warnings)
+                .to.deep.equal(['AnyOf received 4 parameters, function expects 2 to 3 parameters']);
+        });
+
+        it('should match any number of spread arguments', function() {
+            const parsed = RuleTemplate.parse('AnyOf(${IDS...}, "hall")');
+
+            expect(parsed.match('AnyOf(1, 2, 3, "hall")').variables).to.deep.equal({
+                IDS: { value: [1, 2, 3], type: 'number array' }
+            });
+        });
+
+        it('should match its own output for an empty spread', function() {
+            const parsed = RuleTemplate.parse('AnyOf(${IDS...}) && Value() > 5');
+            const rule = parsed.prepare({ IDS: { value: [], type: 'number array' } });
+
+            expect(rule).to.equal('AnyOf() && Value() > 5');
+            expect(parsed.match(rule)).to.include({ matched: true });
+            expect(parsed.match(rule).variables).to.deep.equal({ IDS: { value: [], type: 'string array' } });
+            expect(RuleTemplate.parse('---\n{"variables": {"IDS": {"type": "number array"}}}\n---\nAnyOf(${IDS...})').match('AnyOf()').variables)
+                .to.deep.equal({ IDS: { value: [], type: 'number array' } });
+            expect(RuleTemplate.parse('AnyOf(${IDS...}, "hall")').match('AnyOf()').matched).to.equal(false);
+        });
+    });
+
+    describe('includes', function() {
+        const partials = {
+            quiet_hours: 'TimeOfDay() BETWEEN ${START} AND ${END}',
+            home: 'Presence(${ROOM}) == 1 && ${> quiet_hours prefix HOME_}'
+        };
+
+        it('should expand includes, renaming the fragment variables', function() {
+            const parsed = RuleTemplate.parse('${> quiet_hours with START=QUIET_START} && Value() > ${LIMIT}', { partials });
+
+            expect(parsed.extractVariables().map(variable => variable.name)).to.deep.equal(['QUIET_START', 'END', 'LIMIT']);
+            expect(parsed.prepare({
+                QUIET_START: { value: '22:00', type: 'time value' },
+                END: { value: '06:00', type: 'time value' },
+                LIMIT: { value: 5, type: 'number' }
+            })).to.equal('TimeOfDay() BETWEEN 22:00 AND 06:00 && Value() > 5');
+        });
+
+        it('should report the fragment each occurrence came from', function() {
+            const parsed = RuleTemplate.parse('${> home prefix UPSTAIRS_} && Value() > ${LIMIT}', { partials });
+            const positions = {};
+            for (const variable of parsed.extractVariables()) {
+                positions[variable.name] = variable.positions[0];
+            }
+
+            expect(Object.keys(positions)).to.deep.equal(['UPSTAIRS_ROOM', 'UPSTAIRS_HOME_START', 'UPSTAIRS_HOME_END', 'LIMIT']);
+            expect(positions.UPSTAIRS_ROOM.include).to.deep.equal({ name: 'home', path: ['home'], start: 9, end: 16 });
+            expect(positions.UPSTAIRS_HOME_START.include).to.deep.equal({ name: 'quiet_hours', path: ['home', 'quiet_hours'], start: 20, end: 28 });
+            expect(positions.LIMIT).to.not.have.property('include');
+        });
+
+        it('should merge fragment manifests under the template\'s own', function() {
+            const parsed = RuleTemplate.parse('---\n{"variables": {"END": {"type": "time value", "label": "Until"}}}\n---\n${> quiet_hours}', {
+                partials: {
+                    quiet_hours: '---\n{"variables": {"START": {"type": "time value", "label": "From"}, "END": {"type": "time value", "label": "To"}}}\n---\nTimeOfDay() BETWEEN ${START} AND ${END}'
+                }
+            });
+
+            expect(parsed.extractVariables().map(variable => variable.label)).to.deep.equal(['From', 'Until']);
+        });
+
+        it('should detect include cycles and unknown fragments', function() {
+            const cyclic = { a: 'Value() > 1 && ${> b}', b: '${> a}' };
+
+            expect(() => RuleTemplate.parse('${> a}', { partials: cyclic }))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'expected a partial outside the include cycle a > b > a, found "${> a}"');
+            expect(() => RuleTemplate.parse('${> home with ROOM}', { partials })).to.throw(RuleTemplate.TemplateSyntaxError);
+
+            let error;
+            try {
+                RuleTemplate.parse('Value() > 1 &&\n  ${> missing}', { partials });
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(RuleTemplate.TemplateSyntaxError);
+            expect(error).to.include({ offset: 17, line: 2, column: 3, found: '${> missing}' });
+            expect(error.expected).to.deep.equal(["a registered partial, 'missing' is unknown"]);
+            expect(() => RuleTemplate.parse('${> broken}', { partials: { broken: 5 } }))
+                .to.throw(RuleTemplate.TemplateSyntaxError, "expected a partial registered as a string, 'broken' is number");
+            expect(() => RuleTemplate.parse('Value() > 1 && ${> home}'))
+                .to.throw(RuleTemplate.TemplateSyntaxError, 'line 1, column 16: expected a partial from the partials object passed to parse(), none was given, found "${> home}"');
+        });
+
+        it('should keep the expanded rule when serialized', function() {
+            const parsed = RuleTemplate.parse('${> home}', { partials });
+            const restored = RuleTemplate.fromJSON(JSON.parse(JSON.stringify(parsed)));
+
+            expect(restored.extractVariables()).to.deep.equal(parsed.extractVariables());
+            expect(restored.prepare({
+                ROOM: { value: 'lounge', type: 'string' },
+                HOME_START: { value: '22:00', type: 'time value' },
+                HOME_END: { value: '06:00', type: 'time value' }
+            })).to.equal('Presence("lounge") == 1 && TimeOfDay() BETWEEN 22:00 AND 06:00');
+        });
+    });
+
+    describe('validateFunctions', function() {
+        it('should check function calls without any variables', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT}) && AnyOf(${IDS...}) && Missing()');
+            const functionBlob = new HalleyFunctionBlob({
+                functions: [
+                    { name: 'EventIs', arguments: ['event', 'source'] },
+                    { name: 'AnyOf', arguments: ['first'] }
+                ]
+            });
+
+            expect(parsed.validateFunctions(functionBlob).warnings).to.deep.equal([
+                "parameter 2 of EventIs 'source' is missing, function expects 2 parameters",
+                "function 'Missing' does not exist"
+            ]);
+        });
+    });
+
+    describe('prepareMany', function() {
+        it('should prepare each variable set, reporting failures per set', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT|upper}) && Value() > ${LIMIT}');
+
+            const results = parsed.prepareMany([
+                { EVENT: { value: 'door', type: 'string' }, LIMIT: { value: 5, type: 'number' } },
+                { EVENT: { value: 'door', type: 'string' } },
+                null,
+                { EVENT: { value: 'window', type: 'string' }, LIMIT: { value: 2, type: 'number' } }
+            ]);
+
+            expect(results.map(result => result.prepared)).to.deep.equal([
+                'EventIs("DOOR") && Value() > 5',
+                null,
+                null,
+                'EventIs("WINDOW") && Value() > 2'
+            ]);
+            expect(results[0]).to.deep.include({ index: 0, valid: true, errors: [], diagnostics: [] });
+            expect(results[1].index).to.equal(1);
+            expect(results[1].diagnostics).to.deep.equal([
+                { code: 'MISSING_VARIABLE', severity: 'error', message: "Variable 'LIMIT' not provided in variables object", variable: 'LIMIT', start: 37, end: 45 }
+            ]);
+            expect(results[2].diagnostics[0].code).to.equal('INVALID_VARIABLES');
+        });
+
+        it('should locate failures inside blocks in the template text', function() {
+            const parsed = RuleTemplate.parse('Value() > 1 ${#if AWAY}&& ${#each LEVELS as LEVEL join ||}Level() > ${LEVEL|number}${/each}${/if}');
+
+            const [loopFailure, arrayFailure, conditionFailure] = parsed.prepareMany([
+                { AWAY: { value: true, type: 'boolean' }, LEVELS: { value: ['1', 'high'], type: 'string array' } },
+                { AWAY: { value: true, type: 'boolean' }, LEVELS: { value: ['1', 2], type: 'string array' } },
+                { AWAY: { value: 'yes', type: 'string' }, LEVELS: { value: ['1'], type: 'string array' } }
+            ]);
+
+            expect(loopFailure.diagnostics[0]).to.include({ variable: 'LEVEL', start: 68, end: 83 });
+            expect(arrayFailure.diagnostics[0]).to.include({ variable: 'LEVELS', start: 26, end: 58 });
+            expect(conditionFailure).to.include({ index: 2 });
+            expect(conditionFailure.diagnostics[0]).to.include({ variable: 'AWAY', start: 12, end: 23 });
+        });
+
+        it('should share block variants and spread arguments between sets', function() {
+            const parsed = RuleTemplate.parse('AnyOf(${IDS...}) ${#if AWAY} && Presence() == 0 ${/if}');
+
+            const results = parsed.prepareMany([
+                { IDS: { value: [1, 2], type: 'number array' }, AWAY: { value: true, type: 'boolean' } },
+                { IDS: { value: [3], type: 'number array' }, AWAY: { value: false, type: 'boolean' } },
+                { IDS: { value: [], type: 'number array' }, AWAY: { value: true, type: 'boolean' } }
+            ]);
+
+            expect(results.map(result => result.prepared)).to.deep.equal([
+                'AnyOf(1, 2) && Presence() == 0',
+                'AnyOf(3)',
+                'AnyOf() && Presence() == 0'
+            ]);
+        });
+    });
+
+    describe('diff', function() {
+        it('should ignore whitespace-only differences', function() {
+            expect(RuleTemplate.diff('EventIs("a b") && Value() > 5', 'EventIs("a b")  &&\n  Value()>5')).to.deep.equal({ equal: true, changes: [] });
+            expect(RuleTemplate.diff('EventIs("a b")', 'EventIs("a  b")').equal).to.equal(false);
+        });
+
+        it('should report a threshold turned into a variable', function() {
+            expect(RuleTemplate.diff('Value() > 5', 'Value() > ${LIMIT}').changes).to.deep.equal([
+                { kind: 'variable', change: 'added', name: 'LIMIT', before: null, after: { start: 10, end: 18, text: '${LIMIT}' } },
+                { kind: 'structure', change: 'changed', node: 'template_value', before: { start: 10, end: 11, text: '5' }, after: { start: 10, end: 18, text: '${LIMIT}' } }
+            ]);
+        });
+
+        it('should report filter, function and operator changes', function() {
+            const before = RuleTemplate.parse('EventIs(${EVENT|upper}) && Value() > ${LIMIT}');
+            const after = RuleTemplate.parse('EventIs(${EVENT|lower}) && Level() < ${LIMIT}');
+
+            expect(RuleTemplate.diff(before, after).changes).to.deep.equal([
+                {
+                    kind: 'filter',
+                    change: 'changed',
+                    name: 'EVENT',
+                    before: { start: 8, end: 22, text: '${EVENT|upper}' },
+                    after: { start: 8, end: 22, text: '${EVENT|lower}' },
+                    filters: { before: ['upper'], after: ['lower'] }
+                },
+                {
+                    kind: 'function',
+                    change: 'renamed',
+                    name: 'Level',
+                    previousName: 'Value',
+                    before: { start: 27, end: 34, text: 'Value()' },
+                    after: { start: 27, end: 34, text: 'Level()' }
+                },
+                { kind: 'structure', change: 'changed', node: 'compare_operator', before: { start: 35, end: 36, text: '>' }, after: { start: 35, end: 36, text: '<' } }
+            ]);
+
+            const { changes } = RuleTemplate.diff('Value() > ${LIMIT|abs} && EventIs(${EVENT})', 'Value() > ${LIMIT} && EventIs(${EVENT|upper|trim})');
+            expect(changes.map(change => [change.kind, change.change, change.name || change.node])).to.deep.equal([
+                ['filter', 'changed', 'LIMIT'],
+                ['filter', 'changed', 'EVENT']
+            ]);
+        });
+
+        it('should report added and removed arguments, calls and variables', function() {
+            const { changes } = RuleTemplate.diff('AnyOf(1, 3) && Value() > ${LIMIT}', 'AnyOf(1, 2, 3)');
+
+            expect(changes.map(change => [change.kind, change.change, change.name || change.node])).to.deep.equal([
+                ['function', 'changed', 'AnyOf'],
+                ['structure', 'added', 'argument'],
+                ['structure', 'removed', 'logical_operator'],
+                ['function', 'removed', 'Value'],
+                ['structure', 'removed', 'expression'],
+                ['variable', 'removed', 'LIMIT']
+            ]);
+        });
+
+        it('should report changed manifest declarations', function() {
+            const before = '---\n{"variables": {"LIMIT": {"type": "number"}}}\n---\nValue() > ${LIMIT}';
+            const after = '---\n{"variables": {"LIMIT": {"type": "number", "default": 5}}}\n---\nValue() > ${LIMIT}';
+
+            expect(RuleTemplate.diff(before, after).changes).to.deep.equal([{
+                kind: 'variable',
+                change: 'changed',
+                name: 'LIMIT',
+                before: { start: 63, end: 71, text: '${LIMIT}' },
+                after: { start: 77, end: 85, text: '${LIMIT}' },
+                declaration: { before: { type: 'number' }, after: { type: 'number', default: 5 } }
+            }]);
+        });
+    });
+
+    describe('format', function() {
+        it('should regenerate the rule in a canonical style', function() {
+            const parsed = RuleTemplate.parse('!Active( ) &&(EventIs( ${ EVENT | upper } ,[1,2] )||Value()>${ T|default( 5 ,"x" ) })');
+
+            expect(parsed.format()).to.equal('!Active() && (EventIs(${EVENT|upper}, [1, 2]) || Value() > ${T|default(5, "x")})');
+        });
+
+        it('should break long boolean chains before each operator', function() {
+            const parsed = RuleTemplate.parse('EventIs(${EVENT}) && TimeSince(${EVENT}) > ${LIMIT} && (Value(1) > 2 || Other(${ROOM|upper}, "some text") < 3)');
+
+            expect(parsed.format({ maxLength: 40, indent: 2 })).to.equal([
+                'EventIs(${EVENT})',
+                '  && TimeSince(${EVENT}) > ${LIMIT}',
+                '  && (Value(1) > 2',
+                '    || Other(${ROOM|upper}, "some text") < 3)'
+            ].join('\n'));
+            expect(parsed.format({ maxLength: 0 })).to.equal(parsed.ruleTemplateText);
+            expect(() => parsed.format({ indent: -1 })).to.throw("Format option 'indent' must be a non-negative integer");
+        });
+
+        it('should keep the manifest and block markers', function() {
+            const text = '---\n{"variables": {"T": {"type": "number"}}}\n---\nValue()>${T} ${ #if AWAY } && Presence()==0 ${/if}';
+            const formatted = RuleTemplate.parse(text).format();
+
+            expect(formatted).to.equal('---\n{"variables": {"T": {"type": "number"}}}\n---\nValue() > ${T} ${#if AWAY} && Presence() == 0 ${/if}');
+            expect(RuleTemplate.diff(text, formatted).equal).to.equal(true);
+        });
+    });
+
+    describe('fingerprint', function() {
+        it('should match templates differing only in whitespace, variable names or literals', function() {
+            const fingerprint = (text, options) => RuleTemplate.parse(text).fingerprint(options);
+
+            expect(fingerprint('EventIs(${EVENT}) && Value() > 5')).to.match(/^[0-9a-f]{8}$/);
+            expect(fingerprint('EventIs( ${EVENT} )&&Value()>5')).to.equal(fingerprint('EventIs(${EVENT}) && Value() > 5'));
+            expect(fingerprint('EventIs(${KIND}) && Value() > 5')).to.not.equal(fingerprint('EventIs(${EVENT}) && Value() > 5'));
+            expect(fingerprint('EventIs(${KIND}) && Value() > 5', { ignoreVariableNames: true }))
+                .to.equal(fingerprint('EventIs(${EVENT}) && Value() > 5', { ignoreVariableNames: true }));
+            expect(fingerprint('Both(${A}, ${B})', { ignoreVariableNames: true }))
+                .to.not.equal(fingerprint('Both(${A}, ${A})', { ignoreVariableNames: true }));
+            expect(fingerprint('EventIs("a", true) > 1', { ignoreLiterals: true }))
+                .to.equal(fingerprint('EventIs("b", false) > 2', { ignoreLiterals: true }));
+            expect(fingerprint('Value() > 1 ${#if AWAY} && Level(${ROOM}) == 0 ${/if}', { ignoreVariableNames: true }))
+                .to.equal(fingerprint('Value() > 1 ${#if OUT} && Level(${AREA}) == 0 ${/if}', { ignoreVariableNames: true }));
+        });
+
+        it('should group templates into equivalence classes', function() {
+            const parsed = RuleTemplate.parse('Level()>3');
+
+            expect(RuleTemplate.groupByFingerprint(['Value() > ${LIMIT}', 'Level() > 1', parsed, 'Value()  >  ${MAX}'], { ignoreVariableNames: true, ignoreLiterals: true })
+                .map(group => ({ templates: group.templates, indexes: group.indexes })))
+                .to.deep.equal([
+                    { templates: ['Value() > ${LIMIT}', 'Value()  >  ${MAX}'], indexes: [0, 3] },
+                    { templates: ['Level() > 1', parsed], indexes: [1, 2] }
+                ]);
+        });
+    });
+
+    describe('typed function signatures', function() {
+        const functionBlob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'EventIs', arguments: [{ name: 'event', type: 'string' }], returns: 'boolean' },
+                { name: 'TimeDelay', arguments: [{ name: 'delay', type: 'number time' }], returns: 'boolean' },
+                { name: 'AnyOf', arguments: [{ variadic: true, type: 'string' }], returns: 'boolean' },
+                { name: 'Value', arguments: [], returns: 'number' }
+            ]
+        });
+
+        it('should check literals, placeholders and calls against argument types', function() {
+            const parsed = RuleTemplate.parse('EventIs(5) && TimeDelay(Value()) && EventIs(${LEVEL|string}) && EventIs(${ROOM}) && AnyOf(${IDS...})');
+            const result = parsed.validate({
+                LEVEL: { value: 3, type: 'number' },
+                ROOM: { value: 4, type: 'number' },
+                IDS: { value: ['a', 'b'], type: 'string array' }
+            }, functionBlob);
+
+            expect(result.diagnostics.filter(diagnostic => diagnostic.code === 'ARGUMENT_TYPE')).to.deep.equal([
+                {
+                    code: 'ARGUMENT_TYPE',
+                    severity: 'warning',
+                    message: "parameter 1 of EventIs 'event' expects string, found number",
+                    function: 'EventIs',
+                    start: 0,
+                    end: 10
+                },
+                {
+                    code: 'ARGUMENT_TYPE',
+                    severity: 'warning',
+                    message: "parameter 1 of EventIs 'event' expects string, found number",
+                    function: 'EventIs',
+                    start: 64,
+                    end: 80
+                }
+            ]);
+        });
+
+        it('should use declared types when checking functions without variables', function() {
+            const parsed = RuleTemplate.parse('---\n{"variables": {"DELAY": {"type": "string"}}}\n---\nTimeDelay(${DELAY}) && EventIs(${EVENT})');
+
+            expect(parsed.validateFunctions(functionBlob).warnings).to.deep.equal([
+                "parameter 1 of TimeDelay 'delay' expects number time, found string"
+            ]);
+        });
+    });
+
+    describe('expression types', function() {
+        const functionBlob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'EventIs', arguments: [{ name: 'event', type: 'string' }], returns: 'boolean' },
+                { name: 'Value', arguments: [], returns: 'number' },
+                { name: 'Name', arguments: [], returns: 'string' }
+            ]
+        });
+        const warningsFor = (text, variables = {}) => RuleTemplate.parse(text).validate(variables, functionBlob).diagnostics
+            .filter(diagnostic => diagnostic.code === 'EXPRESSION_TYPE')
+            .map(({ message, start, end }) => ({ message, start, end }));
+
+        it('should flag comparisons and logical operators given the wrong types', function() {
+            expect(warningsFor('EventIs("x") > 5')).to.deep.equal([
+                { message: 'cannot compare boolean with number using >', start: 0, end: 16 }
+            ]);
+            expect(warningsFor('Value() && !Value()')).to.deep.equal([
+                { message: 'operand of ! must be boolean, found number', start: 12, end: 19 },
+                { message: 'operand of && must be boolean, found number', start: 0, end: 7 }
+            ]);
+            expect(warningsFor('Value() > ${LIMIT} && (EventIs("a") || Name() == ${ROOM|upper})', { LIMIT: { value: 5, type: 'number' }, ROOM: { value: 'hall', type: 'string' } })).to.deep.equal([]);
+        });
+
+        it('should keep the type of a parenthesised expression', function() {
+            expect(warningsFor('(Value()) && EventIs("x")')).to.deep.equal([
+                { message: 'operand of && must be boolean, found number', start: 0, end: 9 }
+            ]);
+            expect(warningsFor('!(Value())')).to.deep.equal([
+                { message: 'operand of ! must be boolean, found number', start: 1, end: 10 }
+            ]);
+            expect(warningsFor('(Value())')).to.deep.equal([
+                { message: 'rule must evaluate to boolean, found number', start: 0, end: 9 }
+            ]);
+        });
+
+        it('should flag arithmetic on strings and rules that are not boolean', function() {
+            expect(warningsFor('Name() + 1 > 2')).to.deep.equal([
+                { message: 'cannot use string in arithmetic with +', start: 0, end: 6 }
+            ]);
+            expect(warningsFor('Value() + ${OFFSET}', { OFFSET: { value: 2, type: 'number' } })).to.deep.equal([
+                { message: 'rule must evaluate to boolean, found number', start: 0, end: 19 }
+            ]);
+            expect(RuleTemplate.parse('Value() BETWEEN 1 - 5 && Name() BETWEEN 1 - 5').validateFunctions(functionBlob).warnings).to.deep.equal([
+                'BETWEEN expects a number, found string'
+            ]);
+        });
+    });
+
+    describe('applyBlobFixes', function() {
+        const functionBlob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'TimeDelay', arguments: ['delay'], deprecated: true, since: '2.1', replacement: 'Delay' },
+                { name: 'Delay', arguments: ['delay', 'label?'] },
+                { name: 'EventOn', arguments: ['event', 'day?'], deprecated: true, replacement: { name: 'EventIs', arguments: [0] } },
+                { name: 'EventIs', arguments: ['event'] },
+                { name: 'Between', arguments: ['a', 'b', 'c'], deprecated: true, replacement: 'Delay' }
+            ]
+        });
+
+        it('should rewrite deprecated calls that have a safe replacement', function() {
+            const template = RuleTemplate.parse('TimeDelay(${DELAY}) && EventOn("door", "mon") && Between(1, 2, 3)');
+
+            const result = template.applyBlobFixes(functionBlob);
+            expect(result.text).to.equal('Delay(${DELAY}) && EventIs("door") && Between(1, 2, 3)');
+            expect(result.changes.map(change => [change.function, change.after])).to.deep.equal([
+                ['TimeDelay', 'Delay(${DELAY})'],
+                ['EventOn', 'EventIs("door")']
+            ]);
+            expect(template.applyBlobFixes(functionBlob, { dryRun: true }).text).to.equal(template.ruleTemplateText);
+            expect(() => template.applyBlobFixes(null)).to.throw('A function blob must be provided');
+        });
+
+        it('should rewrite through chained deprecations in one pass', function() {
+            const chainedBlob = new HalleyFunctionBlob({
+                functions: [
+                    { name: 'A', arguments: ['x'], deprecated: true, replacement: 'B' },
+                    { name: 'B', arguments: ['x'], deprecated: true, replacement: 'C' },
+                    { name: 'C', arguments: ['x'] }
+                ]
+            });
+
+            expect(RuleTemplate.parse('A(1) && B(2)').applyBlobFixes(chainedBlob).text).to.equal('C(1) && C(2)');
+        });
+    });
 });
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { TemplateLibrary, RuleTemplate, GeneralTemplate, VariableTemplate, HalleyFunctionBlob } = require('../index');
+
+describe('TemplateLibrary', function() {
+    const createLibrary = () => {
+        const library = new TemplateLibrary();
+        library.add('door_alert', '1.9', 'EventIs(${EVENT}) && Value() > ${LIMIT}');
+        library.add('door_alert', '1.10', 'EventIs(${EVENT}) && TimeSince(${EVENT}) > ${LIMIT}');
+        library.add('door_message', 1, 'The ${ROOM|lower} door is open', { kind: 'text' });
+        library.add('room_name', 1, VariableTemplate.parse('${ROOM|capitalize}'));
+        return library;
+    };
+
+    it('should store templates by name and version, returning the latest by default', function() {
+        const library = createLibrary();
+
+        expect(library.get('door_alert')).to.be.instanceOf(RuleTemplate);
+        expect(library.get('door_alert').ruleTemplateText).to.contain('TimeSince');
+        expect(library.get('door_alert', '1.9').ruleTemplateText).to.contain('Value()');
+        expect(library.get('door_message', 1)).to.be.instanceOf(GeneralTemplate);
+        expect(library.get('missing')).to.equal(null);
+        expect(library.versions('door_alert')).to.deep.equal(['1.9', '1.10']);
+    });
+
+    it('should list entries by name and version', function() {
+        const library = createLibrary();
+
+        expect(library.list()).to.deep.equal([
+            { name: 'door_alert', version: '1.9', kind: 'rule' },
+            { name: 'door_alert', version: '1.10', kind: 'rule' },
+            { name: 'door_message', version: '1', kind: 'text' },
+            { name: 'room_name', version: '1', kind: 'variable' }
+        ]);
+        expect(library.list({ latest: true, kind: 'rule' })).to.deep.equal([
+            { name: 'door_alert', version: '1.10', kind: 'rule' }
+        ]);
+    });
+
+    it('should reject duplicate versions and remove entries', function() {
+        const library = createLibrary();
+
+        expect(() => library.add('door_alert', '1.9', 'Value() > 1')).to.throw("Template 'door_alert' version '1.9' already exists");
+        expect(library.remove('door_alert', '1.10')).to.equal(true);
+        expect(library.versions('door_alert')).to.deep.equal(['1.9']);
+        expect(library.remove('door_alert')).to.equal(true);
+        expect(library.has('door_alert')).to.equal(false);
+    });
+
+    it('should find templates by function and variable', function() {
+        const library = createLibrary();
+
+        expect(library.find({ function: 'TimeSince' }).map(entry => entry.version)).to.deep.equal(['1.10']);
+        expect(library.find({ variable: 'ROOM' }).map(entry => entry.name)).to.deep.equal(['door_message', 'room_name']);
+        expect(library.find({ function: 'EventIs', variable: 'LIMIT' }, { latest: true })).to.deep.equal([
+            { name: 'door_alert', version: '1.10', kind: 'rule' }
+        ]);
+    });
+
+    it('should validate every template against a function blob', function() {
+        const library = createLibrary();
+        const functionBlob = new HalleyFunctionBlob({
+            functions: [
+                { name: 'EventIs', arguments: ['event'] },
+                { name: 'Value', arguments: [] }
+            ]
+        });
+
+        const results = library.validate(functionBlob, { kind: 'rule' });
+        expect(results.map(result => result.warnings)).to.deep.equal([
+            [],
+            ["function 'TimeSince' does not exist"]
+        ]);
+        expect(library.available(functionBlob)).to.deep.equal([
+            { name: 'door_alert', version: '1.9', kind: 'rule' },
+            { name: 'door_message', version: '1', kind: 'text' },
+            { name: 'room_name', version: '1', kind: 'variable' }
+        ]);
+    });
+
+    it('should save to and load from a directory', async function() {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'template-library-'));
+        try {
+            await createLibrary().save(directory);
+            fs.writeFileSync(path.join(directory, 'README.md'), 'not a template');
+
+            expect(fs.readdirSync(directory).sort()).to.deep.equal([
+                'README.md',
+                'door_alert@1.10.rule',
+                'door_alert@1.9.rule',
+                'door_message@1.text',
+                'room_name@1.variable'
+            ]);
+
+            const loaded = await TemplateLibrary.load(directory);
+            expect(loaded.list()).to.deep.equal(createLibrary().list());
+            expect(loaded.get('room_name').templateText).to.equal('${ROOM|capitalize}');
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+
+    it('should name the file a template failed to load from', async function() {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'template-library-'));
+        try {
+            fs.writeFileSync(path.join(directory, 'broken@1.rule'), 'Value() >');
+
+            let error = null;
+            try {
+                await TemplateLibrary.load(directory);
+            } catch (caught) {
+                error = caught;
+            }
+
+            expect(error).to.be.instanceOf(RuleTemplate.TemplateSyntaxError);
+            expect(error.message).to.match(/^broken@1\.rule: Syntax error/);
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    });
+});
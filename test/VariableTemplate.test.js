@@ -1,5 +1,5 @@
 const { expect } = require('chai');
-const { VariableTemplate } = require('../index');
+const { VariableTemplate, TemplateSyntaxError } = require('../index');
 
 describe('VariableTemplate', function() {
     describe('parse()', function() {
@@ -22,6 +22,25 @@ describe('VariableTemplate', function() {
                 filters: ['trim']
             });
         });
+
+        it('should throw a TemplateSyntaxError located in the original text', function() {
+            let error;
+            try {
+                VariableTemplate.parse('${A b}');
+            } catch (e) {
+                error = e;
+            }
+
+            expect(error).to.be.instanceOf(TemplateSyntaxError);
+            expect(error).to.include({ offset: 4, line: 1, column: 5 });
+            expect(error.placeholder).to.deep.equal({ start: 0, end: 6 });
+            expect(error.excerpt).to.equal('1 | ${A b}\n  |     ^');
+            expect(error.expected).to.deep.equal(['"."', '"|"', '"..."']);
+        });
+
+        it('should reject the spread form', function() {
+            expect(() => VariableTemplate.parse('${DEVICES...}')).to.throw(TemplateSyntaxError, 'found "..."');
+        });
     });
 
     describe('format()', function() {